@@ -12,6 +12,12 @@ const CONFIG = {
     cellSize: 5,           // Pixel size per grid cell
     populationSize: 5,     // Number of conscious entities
     tickRate: 5,          // Initial ticks per second
+    seed: null,           // Random seed (null picks one and stores it with the session)
+    physicsConfig: {},    // World physics overrides (see DEFAULT_PHYSICS_CONFIG)
+    perturbations: [],    // Timed interventions, e.g. { tick: 500, type: 'cull', fraction: 0.5 }
+    brainConfig: {},      // Brain architecture overrides (see DEFAULT_BRAIN_CONFIG), or a list per slot
+    structuralMutation: {}, // Brain shape mutation rates (see DEFAULT_STRUCTURAL_MUTATION)
+    reproduction: {},     // Selection and crossover settings (see DEFAULT_REPRODUCTION_CONFIG)
     autoSave: true,       // Enable automatic state saving
     dataRecording: false, // Start with data recording disabled
     enableDatabase: true, // Enable database logging
@@ -40,10 +46,10 @@ async function initializeSimulation() {
         // Setup database UI
         setupDatabaseUI();
         
-        // Try to load saved state
-        const stateLoaded = simulation.loadState();
-        if (stateLoaded) {
-            console.log('Loaded previous simulation state');
+        // Try to resume from the last saved snapshot
+        const snapshotLoaded = await simulation.loadSnapshot();
+        if (snapshotLoaded) {
+            console.log('Resumed from saved snapshot');
         }
         
         // Hide loading screen
@@ -87,10 +93,19 @@ function setupAdditionalHandlers() {
         }
     });
     
-    // Handle before unload (save state)
+    // Save while the page is still alive when it is hidden (the last event
+    // closing tabs reliably get)
+    document.addEventListener('visibilitychange', () => {
+        if (simulation && CONFIG.autoSave && document.hidden) {
+            simulation.saveSnapshot();
+        }
+    });
+    
+    // Handle before unload (store the latest snapshot; the host cannot be
+    // asked for a new one while the page unloads)
     window.addEventListener('beforeunload', () => {
         if (simulation && CONFIG.autoSave) {
-            simulation.saveState();
+            simulation.saveLatestSnapshot();
         }
     });
     
@@ -134,7 +149,7 @@ function setupAdditionalHandlers() {
                 
             case 'p':
                 event.preventDefault();
-                simulation.population.forceEvolution();
+                simulation.request('forceEvolution');
                 break;
                 
             case 'd':
@@ -197,20 +212,15 @@ function setupDevTools() {
         get renderer() { return simulation?.renderer; },
         
         // Utility functions
-        killRandomEntity() {
-            const entities = simulation.population.getLivingEntities();
-            if (entities.length > 0) {
-                const randomEntity = entities[Math.floor(Math.random() * entities.length)];
-                randomEntity.energy = 0;
-                console.log(`Killed entity ${randomEntity.id}`);
+        async killRandomEntity() {
+            const entityId = await simulation.request('killRandomEntity');
+            if (entityId !== null) {
+                console.log(`Killed entity ${entityId}`);
             }
         },
         
-        addEnergy(amount = 50) {
-            const entities = simulation.population.getLivingEntities();
-            entities.forEach(entity => {
-                entity.energy += amount;
-            });
+        async addEnergy(amount = 50) {
+            await simulation.request('addEnergy', amount);
             console.log(`Added ${amount} energy to all entities`);
         },
         
@@ -219,10 +229,11 @@ function setupDevTools() {
             console.log(`Set speed to ${ticksPerSecond} ticks/second`);
         },
         
-        exportState() {
+        async exportState() {
+            const exported = await simulation.request('exportState');
             const state = {
-                world: simulation.world.getWorldState(),
-                population: simulation.population.exportPopulationState(),
+                world: exported.worldState,
+                population: exported.populationExport,
                 config: CONFIG
             };
             console.log('Current state:', state);
@@ -302,6 +313,7 @@ function setupDatabaseUI() {
     window.toggleDatabase = toggleDatabase;
     window.openDatabaseAnalysis = openDatabaseAnalysis;
     window.exportDatabaseData = exportDatabaseData;
+    window.resumeServerSnapshot = resumeServerSnapshot;
 }
 
 /**
@@ -580,6 +592,29 @@ async function generateDatabaseAnalysisHTML(popup) {
     }
 }
 
+/**
+ * Resume from the newest snapshot stored on the server for a session
+ */
+async function resumeServerSnapshot() {
+    // Callable from the console before initialization finishes (or after it fails)
+    if (!simulation) {
+        console.warn('Simulation not initialized; cannot resume a server snapshot');
+        return;
+    }
+    if (!simulation.dbAPI || !simulation.dbAPI.isEnabled) {
+        simulation.ui.showNotification('Database API not available', 'warning');
+        return;
+    }
+    
+    const sessionId = prompt('Session ID to resume:', simulation.currentSessionId || simulation.lastSessionId || '');
+    if (!sessionId) return;
+    
+    const resumed = await simulation.resumeFromServer(sessionId.trim());
+    if (resumed) {
+        console.log(`Resumed from server snapshot of ${sessionId}`);
+    }
+}
+
 /**
  * Export database data
  */
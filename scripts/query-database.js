@@ -11,6 +11,7 @@
  * - Behavioral pattern analysis
  * - Memory and experience tracking
  * - Lineage and genetic relationships
+ * - Core lifecycle: bloom frequency, time to harvest and harvesting entities
  */
 
 import { DatabaseManager } from '../src/utils/DatabaseManager.js';
@@ -36,7 +37,8 @@ async function main() {
         console.log(`   Neural Networks: ${stats.networks}`);
         console.log(`   Metrics Records: ${stats.metrics}`);
         console.log(`   Memory Records: ${stats.memories}`);
-        console.log(`   Evolution Events: ${stats.events}\n`);
+        console.log(`   Evolution Events: ${stats.events}`);
+        console.log(`   Core Events: ${stats.coreEvents}\n`);
 
         // Get session ID
         const sessionId = process.argv[2] || await getLatestSessionId();
@@ -59,9 +61,10 @@ async function main() {
             console.log('6. Entity lineage and genetics');
             console.log('7. Custom SQL query');
             console.log('8. Export session data');
+            console.log('9. Core lifecycle and harvesting');
             console.log('0. Exit');
 
-            const choice = await askQuestion('\nSelect analysis option (0-8): ');
+            const choice = await askQuestion('\nSelect analysis option (0-9): ');
 
             switch (choice.trim()) {
                 case '1':
@@ -88,6 +91,9 @@ async function main() {
                 case '8':
                     await exportSessionData(sessionId);
                     break;
+                case '9':
+                    await analyzeCoreLifecycle(sessionId);
+                    break;
                 case '0':
                     console.log('👋 Goodbye!');
                     process.exit(0);
@@ -137,6 +143,15 @@ async function analyzePopulationTrends(sessionId) {
     console.log(`   Total Deaths: ${lastTick.total_deaths}`);
     console.log(`   Final Generation: ${lastTick.generation}`);
 
+    // Sessions from before selection strategies bred from the fittest
+    const { strategy = 'best', ...selectionOptions } = db.getSession(sessionId)?.config.reproduction?.selection ?? {};
+    const optionsDisplay = Object.entries(selectionOptions).map(([key, value]) => `${key} ${value}`).join(', ');
+    console.log(`   Selection: ${strategy}${optionsDisplay ? ` (${optionsDisplay})` : ''}`);
+    // Sessions from before inheritance modes passed on learned brains
+    const reproduction = db.getSession(sessionId)?.config.reproduction;
+    const inheritance = reproduction?.inheritance ?? 'lamarckian';
+    console.log(`   Inheritance: ${inheritance}${inheritance === 'hybrid' ? ` (learned share ${reproduction.learnedShare})` : ''}`);
+
     // Fitness progression (show every 10th data point)
     console.log('\n🏆 Fitness Progression:');
     console.log('Tick\t|\tBest\t|\tAvg\t|\tAlive\t|\tGen');
@@ -160,6 +175,54 @@ async function analyzePopulationTrends(sessionId) {
     events.forEach(event => {
         console.log(`   ${event.event_type}: ${event.count} times`);
     });
+
+    // Causes of death
+    const causes = db.db.prepare(`
+        SELECT cause_of_death, COUNT(*) as count, AVG(age_at_death) as avg_age
+        FROM entities
+        WHERE session_id = ? AND death_tick IS NOT NULL
+        GROUP BY cause_of_death
+        ORDER BY count DESC
+    `).all(sessionId);
+
+    if (causes.length > 0) {
+        console.log('\n☠️  Causes of Death:');
+        causes.forEach(cause => {
+            console.log(`   ${cause.cause_of_death}: ${cause.count} deaths (avg age ${cause.avg_age.toFixed(1)})`);
+        });
+    }
+
+    // Scheduled perturbations and how the population recovered
+    const perturbations = db.db.prepare(`
+        SELECT tick, event_data FROM evolution_events
+        WHERE session_id = ? AND event_type = 'perturbation'
+        ORDER BY tick
+    `).all(sessionId);
+
+    if (perturbations.length > 0) {
+        const before = db.db.prepare(`
+            SELECT average_fitness FROM population_stats
+            WHERE session_id = ? AND tick < ? ORDER BY tick DESC LIMIT 1
+        `);
+        const recovered = db.db.prepare(`
+            SELECT MIN(tick) as tick FROM population_stats
+            WHERE session_id = ? AND tick > ? AND average_fitness >= ?
+        `);
+
+        console.log('\n⚡ Perturbations:');
+        perturbations.forEach(event => {
+            const data = JSON.parse(event.event_data);
+            const baseline = before.get(sessionId, event.tick);
+            let recovery = 'no baseline';
+            if (baseline) {
+                const back = recovered.get(sessionId, event.tick, baseline.average_fitness);
+                recovery = back.tick !== null
+                    ? `avg fitness back to ${baseline.average_fitness.toFixed(1)} after ${back.tick - event.tick} ticks`
+                    : `avg fitness not yet back to ${baseline.average_fitness.toFixed(1)}`;
+            }
+            console.log(`   Tick ${event.tick}: ${data.type} ${JSON.stringify(data.effect)} - ${recovery}`);
+        });
+    }
 }
 
 async function analyzeEntityEvolution(sessionId) {
@@ -202,6 +265,9 @@ async function analyzeEntityEvolution(sessionId) {
         console.log(`   Fitness: ${entityInfo.fitness || 'N/A'}`);
         console.log(`   Energy Gained: ${entityInfo.total_energy_gained || 0}`);
         console.log(`   Parent: ${entityInfo.parent_id || 'None (original)'}`);
+        if (entityInfo.second_parent_id) {
+            console.log(`   Second Parent: ${entityInfo.second_parent_id} (crossover)`);
+        }
     }
 
     // Get neural network evolution
@@ -264,18 +330,60 @@ async function analyzeNeuralNetworks(sessionId) {
 
     // Get network architecture distribution
     const architectures = db.db.prepare(`
-        SELECT architecture_hash, total_parameters, COUNT(*) as count
+        SELECT architecture_hash, total_parameters, COUNT(*) as count, MIN(id) as sample_id
         FROM neural_networks 
         WHERE session_id = ?
         GROUP BY architecture_hash, total_parameters
         ORDER BY count DESC
     `).all(sessionId);
 
+    const sampleNetwork = db.db.prepare('SELECT network_data FROM neural_networks WHERE id = ?');
+
     console.log('🏗️ Architecture Distribution:');
     architectures.forEach(arch => {
-        console.log(`   Hash ${arch.architecture_hash}: ${arch.total_parameters} params (${arch.count} snapshots)`);
+        const { architecture } = JSON.parse(sampleNetwork.get(arch.sample_id).network_data);
+        const recurrent = architecture.recurrent && architecture.recurrent !== 'none' ? ` (${architecture.recurrent})` : '';
+        const hidden = (architecture.hiddenSizes || architecture.structure.slice(0, -1).map(layer => layer.neurons)).join('-') + recurrent;
+        const activation = architecture.activation || 'relu';
+        const head = (architecture.outputHead || 'softmax') + (architecture.valueHead ? '+value' : '');
+        console.log(`   Hash ${arch.architecture_hash}: ${arch.total_parameters} params, hidden ${hidden}, ${activation}/${head} (${arch.count} snapshots)`);
     });
 
+    // Brains with a value head log their one-step TD error as the metrics reward
+    const tdErrors = db.db.prepare(`
+        SELECT entity_id, COUNT(*) as records, AVG(reward) as mean_error, AVG(ABS(reward)) as mean_abs_error
+        FROM entity_metrics
+        WHERE session_id = ? AND reward IS NOT NULL
+        GROUP BY entity_id
+        ORDER BY MIN(tick) ASC
+        LIMIT 10
+    `).all(sessionId);
+
+    if (tdErrors.length > 0) {
+        console.log('\n📉 Critic TD Errors (first 10 entities):');
+        console.log('Entity\t\t|\tRecords\t|\tMean\t|\tMean |δ|');
+        console.log('----------------|---------------|-------|-----------');
+        tdErrors.forEach(row => {
+            console.log(`${row.entity_id.substring(0, 8)}\t\t|\t${row.records}\t|\t${row.mean_error.toFixed(4)}\t|\t${row.mean_abs_error.toFixed(4)}`);
+        });
+    }
+
+    // Structural mutations recorded with births
+    const structuralChanges = db.db.prepare(`
+        SELECT json_extract(change.value, '$.type') as change_type, COUNT(*) as count
+        FROM evolution_events, json_each(evolution_events.event_data, '$.structuralChanges') as change
+        WHERE session_id = ? AND event_type = 'mutation'
+        GROUP BY change_type
+        ORDER BY count DESC
+    `).all(sessionId);
+
+    if (structuralChanges.length > 0) {
+        console.log('\n🧬 Structural Mutations:');
+        structuralChanges.forEach(change => {
+            console.log(`   ${change.change_type}: ${change.count}`);
+        });
+    }
+
     // Weight statistics evolution
     const networkSnapshots = db.db.prepare(`
         SELECT tick, network_data 
@@ -429,11 +537,12 @@ async function analyzeEntityLineage(sessionId) {
     }
 
     console.log(`\n🧬 Lineage for Entity: ${entityId.trim()}`);
-    console.log('Generation\t|\tEntity ID\t|\tFitness\t|\tAge\t|\tParent');
+    console.log('Generation\t|\tEntity ID\t|\tFitness\t|\tAge\t|\tParents');
     console.log('------------|---------------|-------|-------|-------------');
     
     lineage.forEach((entity, index) => {
-        const parentDisplay = entity.parent_id ? entity.parent_id.substring(0, 8) : 'None';
+        const parentDisplay = entity.parent_id ?
+            [entity.parent_id, entity.second_parent_id].filter(Boolean).map(id => id.substring(0, 8)).join(' × ') : 'None';
         const fitnessDisplay = entity.fitness ? entity.fitness.toFixed(1) : 'N/A';
         console.log(`${index}\t\t|\t${entity.id.substring(0, 8)}\t|\t${fitnessDisplay}\t|\t${entity.age_at_death || 'Alive'}\t|\t${parentDisplay}`);
     });
@@ -492,6 +601,117 @@ async function executeCustomQuery() {
     }
 }
 
+async function analyzeCoreLifecycle(sessionId) {
+    console.log('\n🌱 Core Lifecycle Analysis');
+    console.log('=========================');
+
+    const events = db.db.prepare(`
+        SELECT event_type, COUNT(*) as count, MIN(tick) as first_tick, MAX(tick) as last_tick
+        FROM core_events
+        WHERE session_id = ?
+        GROUP BY event_type
+    `).all(sessionId);
+
+    if (events.length === 0) {
+        console.log('❌ No core events recorded for this session.');
+        return;
+    }
+
+    const counts = Object.fromEntries(events.map(event => [event.event_type, event.count]));
+    const firstTick = Math.min(...events.map(event => event.first_tick));
+    const lastTick = Math.max(...events.map(event => event.last_tick));
+    const blooms = counts['core:bloomed'] || 0;
+    const consumed = counts['energy:consumed'] || 0;
+    const expired = counts['energy:expired'] || 0;
+
+    console.log('📊 Events:');
+    events.forEach(event => {
+        console.log(`   ${event.event_type}: ${event.count}`);
+    });
+
+    // Bloom frequency
+    console.log('\n🌸 Bloom Frequency:');
+    console.log(`   ${blooms} blooms over ticks ${firstTick}-${lastTick} (${(blooms * 100 / Math.max(1, lastTick - firstTick)).toFixed(2)} per 100 ticks)`);
+    console.log(`   Harvested: ${consumed} (${(consumed * 100 / Math.max(1, consumed + expired)).toFixed(1)}% of resolved energies), expired: ${expired}`);
+
+    const busiestCores = db.db.prepare(`
+        SELECT core_id, nutrient, COUNT(*) as blooms
+        FROM core_events
+        WHERE session_id = ? AND event_type = 'core:bloomed'
+        GROUP BY core_id
+        ORDER BY blooms DESC
+        LIMIT 5
+    `).all(sessionId);
+    console.log('   Most frequent bloomers:');
+    busiestCores.forEach(core => {
+        console.log(`     Core ${core.core_id} (${core.nutrient}): ${core.blooms} blooms`);
+    });
+
+    // Time to consumption, early vs late in the session
+    const harvestTimes = db.db.prepare(`
+        SELECT AVG(energy_age) as avg_age, MIN(energy_age) as min_age, MAX(energy_age) as max_age
+        FROM core_events
+        WHERE session_id = ? AND event_type = 'energy:consumed'
+    `).get(sessionId);
+
+    if (consumed > 0) {
+        console.log('\n⏱️  Time to Consumption (ticks from bloom to harvest):');
+        console.log(`   Average: ${harvestTimes.avg_age.toFixed(2)}, min: ${harvestTimes.min_age}, max: ${harvestTimes.max_age}`);
+
+        // Falling harvest delays suggest entities learn to anticipate blooms
+        const bucketSize = Math.max(1, Math.ceil((lastTick - firstTick + 1) / 5));
+        const trend = db.db.prepare(`
+            SELECT CAST((tick - ?) / ? AS INTEGER) as bucket, COUNT(*) as harvests, AVG(energy_age) as avg_age
+            FROM core_events
+            WHERE session_id = ? AND event_type = 'energy:consumed'
+            GROUP BY bucket
+            ORDER BY bucket
+        `).all(firstTick, bucketSize, sessionId);
+
+        console.log('   Tick range\t|\tHarvests\t|\tAvg delay');
+        trend.forEach(row => {
+            const start = firstTick + row.bucket * bucketSize;
+            console.log(`   ${start}-${start + bucketSize - 1}\t|\t${row.harvests}\t\t|\t${row.avg_age.toFixed(2)}`);
+        });
+    }
+
+    // Which entities harvested which cores
+    const harvesters = db.db.prepare(`
+        SELECT entity_id, COUNT(*) as harvests, COUNT(DISTINCT core_id) as cores,
+               AVG(energy_age) as avg_age, GROUP_CONCAT(DISTINCT nutrient) as nutrients
+        FROM core_events
+        WHERE session_id = ? AND event_type = 'energy:consumed'
+        GROUP BY entity_id
+        ORDER BY harvests DESC
+        LIMIT 10
+    `).all(sessionId);
+
+    if (harvesters.length > 0) {
+        console.log('\n🍽️  Top Harvesters:');
+        console.log('Entity\t\t|\tHarvests\t|\tCores\t|\tAvg delay\t|\tNutrients');
+        harvesters.forEach(harvester => {
+            console.log(`${harvester.entity_id.substring(0, 8)}\t|\t${harvester.harvests}\t\t|\t${harvester.cores}\t|\t${harvester.avg_age.toFixed(2)}\t\t|\t${harvester.nutrients}`);
+        });
+
+        const pairs = db.db.prepare(`
+            SELECT entity_id, core_id, COUNT(*) as harvests
+            FROM core_events
+            WHERE session_id = ? AND event_type = 'energy:consumed'
+            GROUP BY entity_id, core_id
+            HAVING harvests > 1
+            ORDER BY harvests DESC
+            LIMIT 10
+        `).all(sessionId);
+
+        if (pairs.length > 0) {
+            console.log('\n🔁 Repeat Harvests (entity returning to the same core):');
+            pairs.forEach(pair => {
+                console.log(`   ${pair.entity_id.substring(0, 8)} → core ${pair.core_id}: ${pair.harvests} times`);
+            });
+        }
+    }
+}
+
 async function exportSessionData(sessionId) {
     console.log('\n💾 Export Session Data');
     console.log('=====================');
@@ -522,6 +742,10 @@ async function exportSessionData(sessionId) {
                 SELECT * FROM evolution_events WHERE session_id = ? ORDER BY tick
             `).all(sessionId),
             
+            coreEvents: db.db.prepare(`
+                SELECT * FROM core_events WHERE session_id = ? ORDER BY tick
+            `).all(sessionId),
+            
             behaviorSummary: db.db.prepare(`
                 SELECT action, COUNT(*) as count, AVG(energy) as avg_energy
                 FROM entity_metrics 
@@ -541,6 +765,7 @@ async function exportSessionData(sessionId) {
         console.log(`   Entities: ${exportData.entities.length}`);
         console.log(`   Population Data Points: ${exportData.populationStats.length}`);
         console.log(`   Evolution Events: ${exportData.evolutionEvents.length}`);
+        console.log(`   Core Events: ${exportData.coreEvents.length}`);
         
     } catch (error) {
         console.log(`❌ Export failed: ${error.message}`);
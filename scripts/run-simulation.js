@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * Headless Simulation Runner
+ *
+ * Usage: npm run sim -- [options]
+ *
+ * Runs the consciousness simulation under plain Node at full speed, without
+ * a browser, canvas or HTTP server, logging directly into the SQLite database.
+ *
+ * Options:
+ *   --ticks <n>           Number of simulation ticks to run (default: 10000)
+ *   --population <n>      Number of conscious entities (default: 5)
+ *   --grid <n>            World grid size (default: 100)
+ *   --seed <n>            Random seed (default: random, stored with the session)
+ *   --physics <json|file> World physics overrides, e.g. '{"coreCount":80}' or a JSON file
+ *   --perturbations <json|file> Scheduled interventions, e.g. '[{"tick":500,"type":"cull"}]'
+ *   --brain <json|file>   Brain architecture, e.g. '{"hiddenSizes":[32],"activation":"tanh"}'
+ *                         or a list of them assigned to population slots in turn
+ *   --structural-mutation <json|file> Brain shape mutation rates, e.g. '{"addNeuron":0.1}'
+ *   --reproduction <json|file> Selection and crossover, e.g. '{"selection":{"strategy":"tournament"},"crossoverRate":0.5}'
+ *   --replay <sessionId>  Re-run a stored session with its seed and configuration
+ *   --resume <file>       Continue from a snapshot file for another --ticks ticks
+ *   --save-snapshot <file> Write a full snapshot when the run ends
+ *   --db <path>           Database file (default: data/consciousness-evolution.db)
+ *   --no-db               Run without database logging
+ *   --name <name>         Session name
+ *   --metrics-every <n>   Record entity metrics every N world ticks (default: 1)
+ *   --store-networks      Store periodic neural network snapshots
+ *   --report-every <n>    Print progress every N ticks (default: 1000)
+ *   --verbose             Log every entity death
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { HeadlessSimulation } from '../src/core/HeadlessSimulation.js';
+import { DatabaseManager } from '../src/utils/DatabaseManager.js';
+import { DatabaseRecorder } from '../src/utils/DatabaseRecorder.js';
+
+function parseArgs(argv) {
+    const options = {
+        ticks: 10000,
+        population: 5,
+        grid: 100,
+        seed: null,
+        physics: null,
+        perturbations: null,
+        brain: null,
+        structuralMutation: null,
+        reproduction: null,
+        replay: null,
+        resume: null,
+        saveSnapshot: null,
+        db: 'data/consciousness-evolution.db',
+        useDatabase: true,
+        name: null,
+        metricsEvery: 1,
+        storeNetworks: false,
+        reportEvery: 1000,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            const value = argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return value;
+        };
+
+        switch (arg) {
+            case '--ticks': options.ticks = parseInt(next()); break;
+            case '--population': options.population = parseInt(next()); break;
+            case '--grid': options.grid = parseInt(next()); break;
+            case '--seed': options.seed = parseInt(next()); break;
+            case '--physics': options.physics = parseJsonOption(next(), arg); break;
+            case '--perturbations': options.perturbations = parseJsonOption(next(), arg); break;
+            case '--brain': options.brain = parseJsonOption(next(), arg); break;
+            case '--structural-mutation': options.structuralMutation = parseJsonOption(next(), arg); break;
+            case '--reproduction': options.reproduction = parseJsonOption(next(), arg); break;
+            case '--replay': options.replay = next(); break;
+            case '--resume': options.resume = next(); break;
+            case '--save-snapshot': options.saveSnapshot = next(); break;
+            case '--db': options.db = next(); break;
+            case '--no-db': options.useDatabase = false; break;
+            case '--name': options.name = next(); break;
+            case '--metrics-every': options.metricsEvery = parseInt(next()); break;
+            case '--store-networks': options.storeNetworks = true; break;
+            case '--report-every': options.reportEvery = parseInt(next()); break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    for (const key of ['ticks', 'population', 'grid', 'metricsEvery', 'reportEvery']) {
+        if (!Number.isInteger(options[key]) || options[key] <= 0) {
+            throw new Error(`--${key.replace(/[A-Z]/g, c => '-' + c.toLowerCase())} must be a positive integer`);
+        }
+    }
+
+    if (options.seed !== null && (!Number.isInteger(options.seed) || options.seed < 0)) {
+        throw new Error('--seed must be a non-negative integer');
+    }
+    
+    if (options.replay && !options.useDatabase) {
+        throw new Error('--replay needs the database to read the session configuration');
+    }
+    
+    if (options.replay && options.resume) {
+        throw new Error('--replay and --resume cannot be combined');
+    }
+    
+    if (options.physics && (options.replay || options.resume)) {
+        throw new Error('--physics cannot be combined with --replay or --resume, which reuse stored physics');
+    }
+    
+    if (options.perturbations && (options.replay || options.resume)) {
+        throw new Error('--perturbations cannot be combined with --replay or --resume, which reuse the stored schedule');
+    }
+    
+    if (options.brain && (options.replay || options.resume)) {
+        throw new Error('--brain cannot be combined with --replay or --resume, which reuse the stored architectures');
+    }
+    
+    if (options.structuralMutation && (options.replay || options.resume)) {
+        throw new Error('--structural-mutation cannot be combined with --replay or --resume, which reuse the stored rates');
+    }
+    
+    if (options.reproduction && (options.replay || options.resume)) {
+        throw new Error('--reproduction cannot be combined with --replay or --resume, which reuse the stored settings');
+    }
+
+    return options;
+}
+
+/**
+ * Read an option value from inline JSON or a JSON file
+ */
+function parseJsonOption(value, flag) {
+    const json = /^[{[]/.test(value.trim()) ? value : fs.readFileSync(value, 'utf8');
+    try {
+        return JSON.parse(json);
+    } catch (error) {
+        throw new Error(`${flag} is not valid JSON: ${error.message}`);
+    }
+}
+
+async function main() {
+    console.log('🧠 Consciousness World - Headless Runner');
+    console.log('=======================================\n');
+
+    const options = parseArgs(process.argv.slice(2));
+
+    // Database logging
+    let database = null;
+    let recorder = null;
+    if (options.useDatabase) {
+        database = new DatabaseManager(options.db);
+        recorder = new DatabaseRecorder(database, {
+            metricsInterval: options.metricsEvery,
+            enableNeuralNetworks: options.storeNetworks
+        });
+    }
+
+    let config = {
+        gridSize: options.grid,
+        populationSize: options.population,
+        seed: options.seed ?? undefined,
+        physicsConfig: options.physics ?? undefined,
+        perturbations: options.perturbations ?? undefined,
+        brainConfig: options.brain ?? undefined,
+        structuralMutation: options.structuralMutation ?? undefined,
+        reproduction: options.reproduction ?? undefined,
+        headless: true
+    };
+
+    // Replays reuse the stored configuration, including its seed
+    if (options.replay) {
+        const session = database.getSession(options.replay);
+        if (!session) {
+            throw new Error(`Session not found: ${options.replay}`);
+        }
+        if (session.config.seed === undefined) {
+            throw new Error(`Session ${options.replay} predates seeded runs and cannot be replayed`);
+        }
+        config = { ...session.config, replayOf: options.replay, headless: true };
+        console.log(`🔁 Replaying session ${options.replay} (seed ${config.seed})`);
+    }
+
+    // Resumed runs take their configuration and full state from the snapshot
+    let snapshot = null;
+    if (options.resume) {
+        snapshot = JSON.parse(fs.readFileSync(options.resume, 'utf8'));
+        config = { ...snapshot.config, resumedFrom: path.basename(options.resume), headless: true };
+    }
+
+    const simulation = new HeadlessSimulation(config, recorder);
+    simulation.population.verbose = options.verbose;
+
+    if (snapshot) {
+        simulation.loadSnapshot(snapshot);
+        console.log(`⏯️ Resuming from ${options.resume} at tick ${simulation.sessionStats.totalTicks}`);
+    }
+    const targetTicks = simulation.sessionStats.totalTicks + options.ticks;
+
+    const sessionName = options.name || `Headless ${new Date().toISOString()}`;
+    const sessionId = await simulation.startSession(
+        sessionName,
+        `Headless consciousness simulation with ${simulation.config.populationSize} entities for ${options.ticks} ticks`
+    );
+
+    console.log(`🔧 Grid: ${simulation.config.gridSize}x${simulation.config.gridSize}, Population: ${simulation.config.populationSize}, Ticks: ${options.ticks}, Seed: ${simulation.config.seed}`);
+    console.log(sessionId ? `📊 Session: ${sessionId}\n` : '📊 Database logging disabled\n');
+
+    // Stop cleanly on Ctrl+C so the session row still gets its end time
+    let interrupted = false;
+    process.on('SIGINT', () => {
+        if (interrupted) process.exit(130);
+        interrupted = true;
+        console.log('\n🛑 Interrupt received, finishing current tick...');
+    });
+
+    const startTime = Date.now();
+    let lastReportTime = startTime;
+
+    while (simulation.sessionStats.totalTicks < targetTicks && !interrupted) {
+        if (recorder) {
+            recorder.transaction(() => simulation.step());
+        } else {
+            simulation.step();
+        }
+
+        const ticks = simulation.sessionStats.totalTicks;
+        if (ticks % options.reportEvery === 0) {
+            const now = Date.now();
+            const rate = options.reportEvery / Math.max((now - lastReportTime) / 1000, 0.001);
+            const stats = simulation.population.getPopulationStats();
+            console.log(`⏱️ Tick ${ticks}/${targetTicks} | Gen ${stats.generation} | Alive ${stats.livingCount} | Best ${stats.bestAllTimeFitness} | ${rate.toFixed(1)} ticks/s`);
+            lastReportTime = now;
+        }
+
+        // Yield to the event loop now and then so signals are delivered
+        if (ticks % 50 === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    simulation.endSession();
+
+    if (options.saveSnapshot) {
+        fs.mkdirSync(path.dirname(path.resolve(options.saveSnapshot)), { recursive: true });
+        fs.writeFileSync(options.saveSnapshot, JSON.stringify(simulation.saveSnapshot()));
+        console.log(`💾 Snapshot written to ${options.saveSnapshot}`);
+    }
+
+    const elapsed = (Date.now() - startTime) / 1000;
+    const stats = simulation.sessionStats;
+    console.log(`\n✅ ${interrupted ? 'Stopped' : 'Finished'} after ${stats.totalTicks} ticks in ${elapsed.toFixed(1)}s`);
+    console.log(`   Generations: ${stats.totalGenerations}`);
+    console.log(`   Peak Fitness: ${stats.peakFitness}`);
+    console.log(`   Longest Survival: ${stats.longestSurvival}`);
+
+    if (database) {
+        database.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Simulation failed:', error.message);
+    process.exit(1);
+});
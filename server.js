@@ -125,8 +125,8 @@ app.post('/api/simulation/entity/birth', (req, res) => {
     if (!db) return res.status(503).json({ error: 'Database not available' });
     
     try {
-        const { sessionId, entity, generation, tick, parentId } = req.body;
-        db.recordEntityBirth(sessionId, entity, generation, tick, parentId);
+        const { sessionId, entity, generation, tick, parentId, secondParentId } = req.body;
+        db.recordEntityBirth(sessionId, entity, generation, tick, parentId, secondParentId);
         res.json({ message: 'Entity birth recorded' });
     } catch (error) {
         console.error('Error recording entity birth:', error);
@@ -196,6 +196,22 @@ app.post('/api/simulation/metrics/batch', (req, res) => {
     }
 });
 
+// Core Lifecycle Events (batch endpoint)
+app.post('/api/simulation/core-events/batch', (req, res) => {
+    if (!db) return res.status(503).json({ error: 'Database not available' });
+    
+    try {
+        const { sessionId, events } = req.body;
+        db.db.transaction(() => {
+            events.forEach(event => db.recordCoreEvent(sessionId, event));
+        })();
+        res.json({ message: `${events.length} core events recorded` });
+    } catch (error) {
+        console.error('Error recording core events:', error);
+        res.status(500).json({ error: 'Failed to record core events', details: error.message });
+    }
+});
+
 // Population Statistics
 app.post('/api/simulation/population-stats', (req, res) => {
     if (!db) return res.status(503).json({ error: 'Database not available' });
@@ -302,6 +318,58 @@ app.get('/api/sessions', (req, res) => {
     }
 });
 
+// Session snapshots
+app.post('/api/sessions/:sessionId/snapshots', (req, res) => {
+    if (!db) return res.status(503).json({ error: 'Database not available' });
+    
+    try {
+        const { sessionId } = req.params;
+        const { snapshot, label } = req.body;
+        
+        if (!db.getSession(sessionId)) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        if (!snapshot || !snapshot.version || !snapshot.world || !snapshot.population) {
+            return res.status(400).json({ error: 'Invalid snapshot' });
+        }
+        
+        const snapshotId = db.storeSnapshot(sessionId, snapshot, label || null);
+        res.json({ snapshotId, message: 'Snapshot stored' });
+    } catch (error) {
+        console.error('Error storing snapshot:', error);
+        res.status(500).json({ error: 'Failed to store snapshot', details: error.message });
+    }
+});
+
+app.get('/api/sessions/:sessionId/snapshots', (req, res) => {
+    if (!db) return res.status(503).json({ error: 'Database not available' });
+    
+    try {
+        const { sessionId } = req.params;
+        const snapshots = db.listSnapshots(sessionId);
+        res.json({ snapshots });
+    } catch (error) {
+        console.error('Error listing snapshots:', error);
+        res.status(500).json({ error: 'Failed to list snapshots', details: error.message });
+    }
+});
+
+app.get('/api/sessions/:sessionId/snapshots/:snapshotId', (req, res) => {
+    if (!db) return res.status(503).json({ error: 'Database not available' });
+    
+    try {
+        const { sessionId, snapshotId } = req.params;
+        const snapshot = db.getSnapshot(sessionId, parseInt(snapshotId));
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        res.json({ snapshot });
+    } catch (error) {
+        console.error('Error loading snapshot:', error);
+        res.status(500).json({ error: 'Failed to load snapshot', details: error.message });
+    }
+});
+
 // Export session data
 app.get('/api/export/:sessionId', (req, res) => {
     if (!db) return res.status(503).json({ error: 'Database not available' });
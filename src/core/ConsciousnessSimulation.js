@@ -7,18 +7,25 @@
  * - Evolution and genetic algorithms
  * - Real-time visualization and interaction
  * - Data collection and analysis
+ * - Full snapshot save/restore (IndexedDB, downloadable files and the server)
+ *
+ * Stepping runs in a SimulationHost inside a Web Worker (inline when workers
+ * are unavailable). The host posts compact frames which are applied to
+ * WorldMirror / PopulationMirror, and the renderer and UI read those mirrors,
+ * so the page stays responsive at high tick rates.
  */
 
-import { WorldPhysics } from '../physics/WorldPhysics.js';
-import { PopulationManager } from '../evolution/PopulationManager.js';
+import { SimulationHost } from './SimulationHost.js';
+import { WorldMirror, PopulationMirror } from './FrameProtocol.js';
 import { WorldRenderer } from '../visualization/WorldRenderer.js';
 import { UIController } from '../visualization/UIController.js';
 import { DatabaseAPI } from '../utils/DatabaseAPI.js';
+import { SnapshotStore } from '../utils/SnapshotStore.js';
 
 export class ConsciousnessSimulation {
     constructor(canvasId, options = {}) {
         // Configuration
-        this.config = {
+        const config = {
             gridSize: options.gridSize || 100,
             cellSize: options.cellSize || 5,
             populationSize: options.populationSize || 5,
@@ -30,15 +37,28 @@ export class ConsciousnessSimulation {
             ...options
         };
         
-        // Core systems
-        this.world = new WorldPhysics(this.config.gridSize);
-        this.population = new PopulationManager(this.config.populationSize, this.config.gridSize);
-        this.renderer = new WorldRenderer(canvasId, this.config.gridSize, this.config.cellSize);
-        this.ui = new UIController();
-        
-        // Database system (API client for browser)
+        // Database API client for status and snapshots; the simulation host
+        // records the run through its own client
         this.dbAPI = new DatabaseAPI();
+        
+        // Snapshot persistence (IndexedDB)
+        this.snapshotStore = new SnapshotStore();
+        
+        // Last snapshot received from the host and whether it has been stored;
+        // written on page unload, when there is no time to ask the host
+        this.latestSnapshot = null;
+        this.latestSnapshotStored = true;
+        
+        // Mirrors of the host's world and population, updated from frames
+        this.config = config;
+        this.world = new WorldMirror(config.gridSize);
+        this.population = new PopulationMirror();
         this.currentSessionId = null;
+        this.sessionStats = null;
+        this.perturbations = [];
+        
+        this.renderer = new WorldRenderer(canvasId, this.config.gridSize, this.config.cellSize);
+        this.ui = new UIController();
         
         // Check database connectivity
         this.dbAPI.checkStatus().then(status => {
@@ -51,19 +71,18 @@ export class ConsciousnessSimulation {
         
         // Simulation state
         this.isRunning = false;
-        this.animationId = null;
         this.tickInterval = 1000 / this.config.tickRate;
-        this.lastTick = 0;
         this.paused = false;
         
-        // Statistics and analysis
-        this.sessionStats = {
-            startTime: Date.now(),
-            totalTicks: 0,
-            totalGenerations: 0,
-            peakFitness: 0,
-            longestSurvival: 0
-        };
+        // Simulation host connection
+        this.worker = null;
+        this.hostReady = false;
+        this.pendingRequests = new Map();
+        this.nextRequestId = 1;
+        this.renderScheduled = false;
+        
+        // Most recent database session, kept after it ends for snapshot uploads
+        this.lastSessionId = null;
         
         // Data collection
         this.dataRecording = options.dataRecording || false;
@@ -71,6 +90,143 @@ export class ConsciousnessSimulation {
         
         // Initialize
         this.initialize();
+        this.connectHost(config);
+    }
+    
+    /**
+     * Start the simulation host, in a Web Worker when possible
+     */
+    connectHost(config) {
+        if (config.useWorker !== false && typeof Worker !== 'undefined') {
+            try {
+                this.worker = new Worker(new URL('./SimulationWorker.js', import.meta.url), { type: 'module' });
+                this.worker.onmessage = (event) => this.handleHostMessage(event.data);
+                this.worker.onerror = (event) => {
+                    console.error('Simulation worker error:', event.message);
+                    
+                    // Module workers can fail to load; fall back before anything ran
+                    if (!this.hostReady) {
+                        this.worker.terminate();
+                        this.worker = null;
+                        this.startInlineHost(config);
+                    }
+                };
+                this.sendToHost = (message) => this.worker.postMessage(message);
+                this.sendToHost({ type: 'init', config });
+                return;
+            } catch (error) {
+                console.warn('⚠️ Web Worker unavailable, stepping on the main thread:', error.message);
+                this.worker = null;
+            }
+        }
+        
+        this.startInlineHost(config);
+    }
+    
+    /**
+     * Run the simulation host on the main thread with worker-like async messaging
+     */
+    startInlineHost(config) {
+        const host = new SimulationHost((message) => {
+            queueMicrotask(() => this.handleHostMessage(message));
+        });
+        this.sendToHost = (message) => queueMicrotask(() => host.handle(message));
+        this.sendToHost({ type: 'init', config });
+    }
+    
+    /**
+     * Handle a message from the simulation host
+     */
+    handleHostMessage(message) {
+        switch (message.type) {
+            case 'ready':
+                this.hostReady = true;
+                this.config = message.config;
+                this.ui.updatePhysicsPanel(this.config.physicsConfig);
+                break;
+                
+            case 'frame':
+                this.applyFrame(message);
+                break;
+                
+            case 'response': {
+                const pending = this.pendingRequests.get(message.requestId);
+                if (!pending) break;
+                this.pendingRequests.delete(message.requestId);
+                
+                if (message.error) {
+                    pending.reject(new Error(message.error));
+                } else {
+                    pending.resolve(message.result);
+                }
+                break;
+            }
+                
+            case 'error':
+                console.error('Simulation error:', message.message);
+                this.ui.showNotification(`Simulation error: ${message.message}`, 'error');
+                break;
+        }
+    }
+    
+    /**
+     * Ask the simulation host to perform an action
+     * @param {string} action - Request name (see SimulationHost.runRequest)
+     * @param {*} payload - Action argument
+     * @returns {Promise<*>} - Action result
+     */
+    request(action, payload = null) {
+        const requestId = this.nextRequestId++;
+        
+        return new Promise((resolve, reject) => {
+            this.pendingRequests.set(requestId, { resolve, reject });
+            this.sendToHost({ type: 'request', requestId, action, payload });
+        });
+    }
+    
+    /**
+     * Apply a frame from the host and render it on the next animation frame
+     */
+    applyFrame(frame) {
+        this.world.applyFrame(frame);
+        this.population.applyFrame(frame);
+        this.currentSessionId = frame.sessionId;
+        this.sessionStats = frame.sessionStats;
+        
+        // Timeline changes arrive only when a perturbation fires
+        if (frame.perturbations) {
+            if (!frame.full) {
+                frame.perturbations
+                    .filter((entry, i) => entry.applied && !this.perturbations[i]?.applied)
+                    .forEach(entry => this.ui.showNotification(`⚡ Tick ${entry.tick}: ${entry.description}`, 'warning', 5000));
+            }
+            this.perturbations = frame.perturbations;
+        }
+        
+        if (frame.sessionId && frame.sessionId !== this.lastSessionId) {
+            this.lastSessionId = frame.sessionId;
+            console.log('📊 Database session started:', frame.sessionId);
+        }
+        
+        // Record data if enabled
+        if (this.dataRecording) {
+            this.recordDataPoint();
+        }
+        
+        if (this.renderScheduled) return;
+        this.renderScheduled = true;
+        
+        requestAnimationFrame(() => {
+            this.renderScheduled = false;
+            
+            // Render and update UI
+            this.render();
+            this.ui.updateUI(this.world, this.population, this.renderer);
+            this.ui.updatePerturbationTimeline(this.perturbations, this.world.tick);
+            
+            // Ready for the next frame
+            this.sendToHost({ type: 'frameAck' });
+        });
     }
     
     /**
@@ -150,10 +306,15 @@ export class ConsciousnessSimulation {
         
         // Force evolution event
         document.addEventListener('forceEvolution', () => {
-            this.population.forceEvolution();
+            this.request('forceEvolution');
             this.ui.showNotification('Forced evolution event triggered', 'info');
         });
         
+        // Physics panel changes
+        document.addEventListener('physicsChange', (event) => {
+            this.setPhysicsConfig(event.detail.physicsConfig);
+        });
+        
         // Data export event
         document.addEventListener('exportData', () => {
             this.exportData();
@@ -162,7 +323,7 @@ export class ConsciousnessSimulation {
         // Auto-save functionality
         if (this.config.autoSave) {
             setInterval(() => {
-                this.saveState();
+                this.saveSnapshot();
             }, 30000); // Save every 30 seconds
         }
     }
@@ -175,27 +336,9 @@ export class ConsciousnessSimulation {
         
         this.isRunning = true;
         this.paused = false;
-        this.lastTick = Date.now();
-        
-        // Start new database session
-        if (!this.currentSessionId) {
-            const sessionName = `Simulation ${new Date().toISOString()}`;
-            const sessionDescription = `Consciousness simulation with ${this.config.populationSize} entities`;
-            this.dbAPI.startSession(sessionName, sessionDescription, this.config).then(sessionId => {
-                if (sessionId) {
-                    this.currentSessionId = sessionId;
-                    console.log('📊 Database session started:', sessionId);
-                    
-                    // Register initial population
-                    const initialEntities = this.population.getLivingEntities();
-                    this.dbAPI.registerInitialPopulation(initialEntities, 0, 0);
-                }
-            });
-        }
         
-        this.animationId = setInterval(() => {
-            this.step();
-        }, this.tickInterval);
+        // The host starts a database session if none is active
+        this.sendToHost({ type: 'start' });
         
         this.ui.updateControlStates(true);
         
@@ -212,21 +355,8 @@ export class ConsciousnessSimulation {
         
         this.isRunning = false;
         
-        if (this.animationId) {
-            clearInterval(this.animationId);
-            this.animationId = null;
-        }
-        
-        // End database session
-        if (this.currentSessionId) {
-            const stats = this.population.getPopulationStats();
-            this.dbAPI.endSession(
-                this.sessionStats.totalTicks,
-                stats.totalDeaths + this.config.populationSize,
-                stats.bestAllTimeFitness
-            );
-            this.currentSessionId = null;
-        }
+        // Stops stepping and ends the database session
+        this.sendToHost({ type: 'stop' });
         
         this.ui.updateControlStates(false);
         
@@ -239,57 +369,7 @@ export class ConsciousnessSimulation {
      * Step the simulation forward one tick
      */
     step() {
-        const startTime = performance.now();
-        
-        // Step world physics
-        this.world.step();
-        
-        // Update population with database API
-        this.population.update(this.world, this.world.tick, this.dbAPI, this.currentSessionId);
-        
-        // Record generation statistics periodically
-        if (this.world.tick % 10 === 0) {
-            this.population.recordGenerationStats(this.world.tick);
-        }
-        
-        // Database logging through API
-        if (this.currentSessionId) {
-            // Record population stats every tick
-            const stats = this.population.getPopulationStats();
-            const worldState = this.world.getWorldState();
-            this.dbAPI.recordPopulationStats(this.world.tick, stats, worldState);
-            
-            // Neural network storage is disabled by default in DatabaseAPI
-            // Can be re-enabled later once entity serialization is properly handled
-            if (this.world.tick % 100 === 0) {
-                // Only store one random entity's network very rarely
-                const livingEntities = this.population.getLivingEntities();
-                if (livingEntities.length > 0) {
-                    const randomEntity = livingEntities[Math.floor(Math.random() * livingEntities.length)];
-                    this.dbAPI.storeNeuralNetwork(randomEntity, this.world.tick, stats.generation);
-                }
-            }
-        }
-        
-        // Update session statistics
-        this.updateSessionStats();
-        
-        // Record data if enabled
-        if (this.dataRecording) {
-            this.recordDataPoint();
-        }
-        
-        // Render and update UI
-        this.render();
-        this.ui.updateUI(this.world, this.population, this.renderer);
-        
-        // Performance monitoring
-        const stepTime = performance.now() - startTime;
-        if (this.config.debug && stepTime > 50) {
-            console.warn(`Slow simulation step: ${stepTime.toFixed(2)}ms`);
-        }
-        
-        this.sessionStats.totalTicks++;
+        this.sendToHost({ type: 'step' });
     }
     
     /**
@@ -309,30 +389,16 @@ export class ConsciousnessSimulation {
             this.stop();
         }
         
-        // Reset all systems
-        this.world.reset();
-        this.population.reset();
+        // Reset world, population and session stats; the host sends a full frame
+        this.sendToHost({ type: 'reset' });
         
         // Clear visualization
         this.renderer.clearPaths();
         this.selectEntity(null);
         
-        // Reset session stats
-        this.sessionStats = {
-            startTime: Date.now(),
-            totalTicks: 0,
-            totalGenerations: 0,
-            peakFitness: 0,
-            longestSurvival: 0
-        };
-        
         // Clear recorded data
         this.recordedData = [];
         
-        // Render initial state
-        this.render();
-        this.ui.updateUI(this.world, this.population, this.renderer);
-        
         this.ui.showNotification('Simulation reset', 'info');
         
         if (wasRunning) {
@@ -349,19 +415,28 @@ export class ConsciousnessSimulation {
      */
     setTickRate(ticksPerSecond) {
         this.tickInterval = 1000 / ticksPerSecond;
-        
-        if (this.isRunning) {
-            clearInterval(this.animationId);
-            this.animationId = setInterval(() => {
-                this.step();
-            }, this.tickInterval);
-        }
+        this.sendToHost({ type: 'setTickRate', tickRate: ticksPerSecond });
         
         if (this.config.debug) {
             console.log(`Tick rate set to ${ticksPerSecond} ticks/second`);
         }
     }
     
+    /**
+     * Change world physics parameters while the simulation runs
+     * The session config records the parameters in effect when a session starts
+     */
+    async setPhysicsConfig(changes) {
+        try {
+            this.config = await this.request('setPhysicsConfig', changes);
+            this.ui.updatePhysicsPanel(this.config.physicsConfig);
+            this.ui.showNotification('World physics updated', 'success');
+        } catch (error) {
+            console.error('Failed to update physics:', error);
+            this.ui.showNotification(`Physics update failed: ${error.message}`, 'error');
+        }
+    }
+    
     /**
      * Select an entity for detailed observation
      */
@@ -369,6 +444,9 @@ export class ConsciousnessSimulation {
         this.renderer.selectEntity(entity);
         this.ui.setSelectedEntity(entity);
         
+        // Frames carry vision and memory for the focused entity only
+        this.sendToHost({ type: 'focus', entityId: entity ? entity.id : null });
+        
         if (entity) {
             this.ui.showNotification(`Selected entity ${entity.id}`, 'info', 1000);
         }
@@ -393,8 +471,11 @@ export class ConsciousnessSimulation {
      */
     toggleVisualization(controlId, enabled) {
         const visualizationMap = {
+            'showTerrain': 'showTerrain',
+            'showStorms': 'showStorms',
             'showTemperature': 'showTemperature',
             'showCatalyser': 'showCatalyser',
+            'showUpperCatalyser': 'showUpperCatalyser',
             'showCores': 'showCores',
             'showEnergies': 'showEnergies',
             'showEntities': 'showEntities',
@@ -409,29 +490,24 @@ export class ConsciousnessSimulation {
                 this.renderer.clearPaths();
             }
             
+            // Only visible field layers are sent in frames
+            if (['showTemperature', 'showCatalyser', 'showUpperCatalyser'].includes(controlId)) {
+                this.sendToHost({
+                    type: 'layers',
+                    layers: {
+                        temperature: this.renderer.showTemperature,
+                        catalyser: this.renderer.showCatalyser,
+                        upperCatalyser: this.renderer.showUpperCatalyser
+                    }
+                });
+            }
+            
             if (this.config.debug) {
                 console.log(`${controlId} ${enabled ? 'enabled' : 'disabled'}`);
             }
         }
     }
     
-    /**
-     * Update session statistics
-     */
-    updateSessionStats() {
-        const stats = this.population.getPopulationStats();
-        
-        this.sessionStats.totalGenerations = stats.generation;
-        this.sessionStats.peakFitness = Math.max(this.sessionStats.peakFitness, stats.bestAllTimeFitness);
-        
-        // Track longest individual survival
-        const livingEntities = this.population.getLivingEntities();
-        if (livingEntities.length > 0) {
-            const maxAge = Math.max(...livingEntities.map(entity => entity.age));
-            this.sessionStats.longestSurvival = Math.max(this.sessionStats.longestSurvival, maxAge);
-        }
-    }
-    
     /**
      * Record data point for analysis
      */
@@ -456,15 +532,16 @@ export class ConsciousnessSimulation {
     /**
      * Export simulation data
      */
-    exportData() {
+    async exportData() {
+        const state = await this.request('exportState');
         const exportData = {
-            config: this.config,
-            sessionStats: this.sessionStats,
+            config: state.config,
+            sessionStats: state.sessionStats,
             finalState: {
-                worldState: this.world.getWorldState(),
-                populationStats: this.population.getPopulationStats(),
-                entities: this.population.getEntityDetails(),
-                populationExport: this.population.exportPopulationState()
+                worldState: state.worldState,
+                populationStats: state.populationStats,
+                entities: state.entities,
+                populationExport: state.populationExport
             },
             recordedData: this.dataRecording ? this.recordedData : [],
             exportTime: Date.now()
@@ -487,58 +564,204 @@ export class ConsciousnessSimulation {
     }
     
     /**
-     * Save current simulation state to localStorage
+     * Save a full snapshot (world, population, brains, UI) to IndexedDB
+     * @param {boolean} notify - Show a notification on success
+     * @returns {Promise<boolean>} - Whether the snapshot was stored
      */
-    saveState() {
+    async saveSnapshot(notify = false) {
         try {
-            const state = {
-                config: this.config,
-                worldState: this.world.getWorldState(),
-                populationState: this.population.exportPopulationState(),
-                sessionStats: this.sessionStats,
-                uiState: this.ui.exportUIState(),
-                saveTime: Date.now()
-            };
+            const snapshot = await this.captureSnapshot();
+            
+            await this.snapshotStore.save(snapshot);
+            if (this.latestSnapshot === snapshot) {
+                this.latestSnapshotStored = true;
+            }
             
-            localStorage.setItem('consciousnessSimulationState', JSON.stringify(state));
+            if (notify) {
+                this.ui.showNotification('Snapshot saved', 'success');
+            }
             
             if (this.config.debug) {
-                console.log('State saved to localStorage');
+                console.log('Snapshot saved to IndexedDB');
             }
+            
+            return true;
         } catch (error) {
-            console.error('Failed to save state:', error);
+            console.error('Failed to save snapshot:', error);
+            this.ui.showNotification('Failed to save snapshot', 'error');
+            return false;
         }
     }
     
     /**
-     * Load simulation state from localStorage
+     * Fetch a full snapshot from the host and keep it as the latest one
+     * @returns {Promise<object>} - Snapshot with the UI state
      */
-    loadState() {
+    async captureSnapshot() {
+        const snapshot = await this.request('saveSnapshot');
+        snapshot.uiState = this.ui.exportUIState();
+        
+        this.latestSnapshot = snapshot;
+        this.latestSnapshotStored = false;
+        return snapshot;
+    }
+    
+    /**
+     * Store the latest snapshot if it has not been stored yet, without a
+     * round trip to the host, so it can run while the page unloads
+     */
+    saveLatestSnapshot() {
+        if (!this.latestSnapshot || this.latestSnapshotStored) return;
+        
+        this.latestSnapshotStored = true;
+        this.snapshotStore.save(this.latestSnapshot).catch(error => {
+            console.error('Failed to save snapshot:', error);
+        });
+    }
+    
+    /**
+     * Load the last snapshot saved to IndexedDB and resume from it
+     * @param {boolean} notify - Show a notification when no snapshot is stored
+     * @returns {Promise<boolean>} - Whether a snapshot was restored
+     */
+    async loadSnapshot(notify = false) {
         try {
-            const savedState = localStorage.getItem('consciousnessSimulationState');
-            if (!savedState) return false;
-            
-            const state = JSON.parse(savedState);
+            const snapshot = await this.snapshotStore.load();
+            if (!snapshot) {
+                if (notify) {
+                    this.ui.showNotification('No saved snapshot found', 'info');
+                }
+                return false;
+            }
             
-            // Load UI state
-            this.ui.importUIState(state.uiState);
+            await this.applySnapshot(snapshot);
             
-            // Load session stats
-            this.sessionStats = { ...this.sessionStats, ...state.sessionStats };
+            if (this.config.debug) {
+                console.log('Snapshot loaded from IndexedDB');
+            }
             
-            this.ui.showNotification('Simulation state loaded', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to load snapshot:', error);
+            this.ui.showNotification(`Failed to load snapshot: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Download a full snapshot as a JSON file
+     */
+    async downloadSnapshot() {
+        const snapshot = await this.request('saveSnapshot');
+        snapshot.uiState = this.ui.exportUIState();
+        
+        const dataBlob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = `consciousness-snapshot-tick${this.world.tick}-${Date.now()}.json`;
+        link.click();
+        
+        this.ui.showNotification('Snapshot downloaded', 'success');
+    }
+    
+    /**
+     * Resume from a snapshot file chosen by the user
+     * @param {File} file - JSON file created by downloadSnapshot() or the headless runner
+     * @returns {Promise<boolean>} - Whether the snapshot was restored
+     */
+    async loadSnapshotFile(file) {
+        try {
+            const snapshot = JSON.parse(await file.text());
+            await this.applySnapshot(snapshot);
+            return true;
+        } catch (error) {
+            console.error('Failed to load snapshot file:', error);
+            this.ui.showNotification(`Failed to load snapshot: ${error.message}`, 'error');
+            return false;
+        }
+    }
+    
+    /**
+     * Upload a full snapshot to the server under the current (or last) session
+     * @param {string|null} label - Optional description stored with the snapshot
+     * @returns {Promise<number|null>} - Snapshot id, or null on failure
+     */
+    async uploadSnapshot(label = null) {
+        const sessionId = this.currentSessionId || this.lastSessionId;
+        if (!sessionId) {
+            this.ui.showNotification('Start the simulation to create a database session first', 'warning');
+            return null;
+        }
+        
+        const snapshot = await this.request('saveSnapshot');
+        snapshot.uiState = this.ui.exportUIState();
+        
+        const snapshotId = await this.dbAPI.uploadSnapshot(snapshot, label, sessionId);
+        if (snapshotId) {
+            this.ui.showNotification(`Snapshot ${snapshotId} stored on server`, 'success');
+        } else {
+            this.ui.showNotification('Failed to store snapshot on server', 'error');
+        }
+        
+        return snapshotId;
+    }
+    
+    /**
+     * Resume from a snapshot stored on the server
+     * @param {string} sessionId - Session the snapshot belongs to
+     * @param {number|null} snapshotId - Snapshot to load (default: the newest)
+     * @returns {Promise<boolean>} - Whether the snapshot was restored
+     */
+    async resumeFromServer(sessionId, snapshotId = null) {
+        try {
+            if (snapshotId === null) {
+                const snapshots = await this.dbAPI.listSnapshots(sessionId);
+                if (snapshots.length === 0) {
+                    this.ui.showNotification(`No snapshots stored for ${sessionId}`, 'warning');
+                    return false;
+                }
+                snapshotId = snapshots[0].id;
+            }
             
-            if (this.config.debug) {
-                console.log('State loaded from localStorage');
+            const snapshot = await this.dbAPI.fetchSnapshot(sessionId, snapshotId);
+            if (!snapshot) {
+                this.ui.showNotification('Failed to fetch snapshot from server', 'error');
+                return false;
             }
             
+            await this.applySnapshot(snapshot);
+            
+            // The next database session records where it was resumed from
+            this.config = await this.request('setConfig', { resumedFrom: { sessionId, snapshotId } });
+            
             return true;
         } catch (error) {
-            console.error('Failed to load state:', error);
+            console.error('Failed to resume from server snapshot:', error);
+            this.ui.showNotification(`Failed to load snapshot: ${error.message}`, 'error');
             return false;
         }
     }
     
+    /**
+     * Restore engine and UI state from a snapshot; the host sends a full frame
+     */
+    async applySnapshot(snapshot) {
+        this.config = await this.request('loadSnapshot', snapshot);
+        this.ui.updatePhysicsPanel(this.config.physicsConfig);
+        
+        if (snapshot.uiState) {
+            this.ui.importUIState(snapshot.uiState);
+        }
+        
+        // Paths and selection belong to the replaced entities
+        this.renderer.clearPaths();
+        this.selectEntity(null);
+        this.recordedData = [];
+        
+        this.ui.showNotification(`Snapshot restored at tick ${snapshot.world.tick}`, 'success');
+    }
+    
     /**
      * Enable or disable data recording
      */
@@ -573,9 +796,10 @@ export class ConsciousnessSimulation {
     destroy() {
         this.stop();
         
-        // Clear any remaining timers
-        if (this.animationId) {
-            clearInterval(this.animationId);
+        // Shut down the simulation host
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
         }
         
         // Remove event listeners
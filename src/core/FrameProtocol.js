@@ -0,0 +1,462 @@
+/**
+ * Frame Protocol - Compact state frames between the simulation host and the UI
+ *
+ * The simulation steps wherever SimulationHost runs (normally a Web Worker);
+ * the main thread only renders. Each frame carries what changed since the
+ * previous frame:
+ * - Visible field layers (temperature, catalyser, upper catalyser) as
+ *   transferable Float32Array copies
+ * - The terrain grid, only when it has been regenerated
+ * - Cores whose position or state changed, as flat number tuples
+ * - The short energy list, flattened
+ * - Storm centres, flattened, with the storm radius
+ * - Entity summaries that changed, the living order, and detail for the one
+ *   entity in focus: changed vision cells, new memories, and its brain
+ *   architecture only when the focus moves to another entity or brain
+ * - Population, world and session statistics
+ * - The perturbation timeline, only when a perturbation fired or the schedule changed
+ *
+ * FrameEncoder builds frames on the host side; WorldMirror and
+ * PopulationMirror apply them on the main thread and expose the subset of the
+ * WorldPhysics / PopulationManager interface used by WorldRenderer and
+ * UIController.
+ */
+
+import { NUTRIENT_NAMES } from '../physics/Nutrients.js';
+
+const CORE_STATES = ['dormant', 'incubated', 'bloomed'];
+const ACTION_NAMES = ['up', 'down', 'left', 'right', 'stay'];
+
+// Values per entry in the flat core and energy arrays
+const CORE_STRIDE = 4;   // id, x, y, state
+const ENERGY_STRIDE = 5; // x, y, createdAt, coreId, nutrient index
+
+export class FrameEncoder {
+    constructor() {
+        this.invalidate();
+    }
+
+    /**
+     * Forget what was sent, so the next frame carries the complete state
+     * (after reset, snapshot restore, or a new receiver)
+     */
+    invalidate() {
+        this.sentCores = [];
+        this.sentEntities = new Map();
+        this.sentFocus = null;
+        this.sentTerrainVersion = null;
+        this.sentTimelineVersion = null;
+        this.full = true;
+    }
+
+    /**
+     * Encode the current simulation state as a frame
+     * @param {HeadlessSimulation} simulation - Engine to encode
+     * @param {object} options - { layers: {temperature, catalyser, upperCatalyser}, focusId }
+     * @returns {{frame: object, transfer: ArrayBuffer[]}} - Frame and transferable buffers
+     */
+    encode(simulation, options = {}) {
+        const { world, population } = simulation;
+        const layers = options.layers || {};
+        const transfer = [];
+
+        // Field layers are copied so the host keeps stepping its own buffers
+        const fields = {};
+        for (const name of ['temperature', 'catalyser']) {
+            if (layers[name] || this.full) {
+                fields[name] = world.lowerDimension[name].slice();
+                transfer.push(fields[name].buffer);
+            }
+        }
+        if (layers.upperCatalyser || this.full) {
+            fields.upperCatalyser = world.upperDimension.catalyser.slice();
+            transfer.push(fields.upperCatalyser.buffer);
+        }
+
+        // Terrain rarely changes, so it is only sent after regeneration
+        let terrain = null;
+        if (this.full || world.terrainVersion !== this.sentTerrainVersion) {
+            terrain = world.terrain.slice();
+            transfer.push(terrain.buffer);
+            this.sentTerrainVersion = world.terrainVersion;
+        }
+
+        // The perturbation timeline only changes when something fires
+        let perturbations = null;
+        if (this.full || simulation.scheduler.version !== this.sentTimelineVersion) {
+            perturbations = simulation.scheduler.getTimeline();
+            this.sentTimelineVersion = simulation.scheduler.version;
+        }
+
+        const frame = {
+            type: 'frame',
+            full: this.full,
+            gridSize: world.gridSize,
+            topology: world.physics.topology,
+            tick: world.tick,
+            phase: world.phase,
+            worldState: world.getWorldState(),
+            fields,
+            terrain,
+            coreCount: world.lowerDimension.cores.length,
+            cores: this.encodeCores(world.lowerDimension.cores),
+            energies: this.encodeEnergies(world.lowerDimension.energies),
+            storms: world.storms.flatMap(storm => [storm.x, storm.y]),
+            stormRadius: world.physics.stormRadius,
+            upperCatalyserMax: world.physics.upperCatalyserMax,
+            ...this.encodeEntities(population, options.focusId),
+            populationStats: population.getPopulationStats(),
+            evolutionTrends: population.getEvolutionTrends(),
+            sessionStats: { ...simulation.sessionStats },
+            perturbations,
+            sessionId: simulation.currentSessionId
+        };
+
+        this.full = false;
+        return { frame, transfer };
+    }
+
+    /**
+     * Flat [id, x, y, state] tuples for cores that changed since the last frame
+     */
+    encodeCores(cores) {
+        const changed = [];
+
+        cores.forEach((core, i) => {
+            const state = CORE_STATES.indexOf(core.state);
+            const sent = this.sentCores[i];
+            if (sent && sent.x === core.x && sent.y === core.y && sent.state === state) return;
+
+            this.sentCores[i] = { x: core.x, y: core.y, state };
+            changed.push(core.id, core.x, core.y, state);
+        });
+        this.sentCores.length = cores.length;
+
+        return changed;
+    }
+
+    /**
+     * Flat [x, y, createdAt, coreId, nutrient] tuples for all energies (the list stays short)
+     */
+    encodeEnergies(energies) {
+        const flat = [];
+        for (const energy of energies) {
+            flat.push(energy.x, energy.y, energy.createdAt, energy.coreId, NUTRIENT_NAMES.indexOf(energy.nutrient));
+        }
+        return flat;
+    }
+
+    /**
+     * Changed entity summaries, living order and focus entity detail
+     */
+    encodeEntities(population, focusId) {
+        const living = population.getLivingEntities();
+        const entities = [];
+        const seen = new Set();
+
+        for (const entity of living) {
+            const summary = [
+                entity.id, entity.x, entity.y, entity.energy, entity.age, entity.fitness,
+                entity.totalEnergyGained, entity.memory.length, entity.recentOutcomes.length,
+                entity.lastActionIndex
+            ];
+            const key = summary.join(',');
+            seen.add(entity.id);
+
+            if (this.sentEntities.get(entity.id) !== key) {
+                this.sentEntities.set(entity.id, key);
+                entities.push(summary);
+            }
+        }
+
+        // Entities no longer alive drop out of the mirror
+        for (const id of this.sentEntities.keys()) {
+            if (!seen.has(id)) {
+                this.sentEntities.delete(id);
+            }
+        }
+
+        const focusEntity = living.find(entity => entity.id === focusId) || living[0];
+
+        return {
+            entities,
+            order: living.map(entity => entity.id),
+            focus: focusEntity ? this.encodeFocus(focusEntity) : null
+        };
+    }
+
+    /**
+     * Focus entity detail as changes since the last frame: vision cells as
+     * [index, cell] pairs, memories added since, and the brain architecture
+     * only when the focus entity or its brain is new (reset)
+     */
+    encodeFocus(entity) {
+        let sent = this.sentFocus;
+        const reset = !sent || sent.id !== entity.id || sent.brain !== entity.brain;
+        if (reset) {
+            sent = this.sentFocus = { id: entity.id, brain: entity.brain, visionKeys: [], lastMemory: null };
+        }
+
+        const vision = [];
+        entity.vision.forEach((cell, i) => {
+            const key = Object.values(cell).join(',');
+            if (sent.visionKeys[i] !== key) {
+                sent.visionKeys[i] = key;
+                vision.push([i, cell]);
+            }
+        });
+        sent.visionKeys.length = entity.vision.length;
+
+        // Memories are only appended and shifted out, so the newest one sent
+        // marks where the new ones start
+        const memory = entity.memory.slice(entity.memory.lastIndexOf(sent.lastMemory) + 1);
+        sent.lastMemory = entity.memory[entity.memory.length - 1] ?? null;
+
+        return {
+            id: entity.id,
+            reset,
+            vision,
+            visionLength: entity.vision.length,
+            memory,
+            memoryLength: entity.memory.length,
+            memoryCapacity: entity.memoryCapacity,
+            reserves: entity.reserves,
+            nutrientsEaten: entity.nutrientsEaten,
+            value: entity.value,
+            tdError: entity.tdError,
+            architecture: reset ? entity.brain.getArchitecture() : null
+        };
+    }
+}
+
+/**
+ * Main-thread view of the world, updated from frames
+ */
+export class WorldMirror {
+    constructor(gridSize = 100) {
+        this.gridSize = gridSize;
+        this.topology = 'torus';
+        this.tick = 0;
+        this.phase = 'emit';
+        this.worldState = null;
+        this.lowerDimension = {
+            temperature: new Float32Array(gridSize * gridSize),
+            catalyser: new Float32Array(gridSize * gridSize),
+            cores: [],
+            energies: []
+        };
+        this.upperDimension = {
+            catalyser: new Float32Array(gridSize * gridSize)
+        };
+        this.upperCatalyserMax = 2;
+        this.terrain = new Uint8Array(gridSize * gridSize);
+        this.storms = [];
+        this.stormRadius = 0;
+    }
+
+    /**
+     * Flat field index of grid position (x, y), as in WorldPhysics
+     */
+    index(x, y) {
+        return x * this.gridSize + y;
+    }
+
+    /**
+     * Apply the world part of a frame
+     */
+    applyFrame(frame) {
+        if (frame.gridSize !== this.gridSize) {
+            this.gridSize = frame.gridSize;
+            this.lowerDimension.temperature = new Float32Array(frame.gridSize * frame.gridSize);
+            this.lowerDimension.catalyser = new Float32Array(frame.gridSize * frame.gridSize);
+            this.upperDimension.catalyser = new Float32Array(frame.gridSize * frame.gridSize);
+            this.terrain = new Uint8Array(frame.gridSize * frame.gridSize);
+        }
+
+        this.topology = frame.topology;
+        this.tick = frame.tick;
+        this.phase = frame.phase;
+        this.worldState = frame.worldState;
+
+        for (const [name, field] of Object.entries(frame.fields)) {
+            if (name === 'upperCatalyser') {
+                this.upperDimension.catalyser = field;
+            } else {
+                this.lowerDimension[name] = field;
+            }
+        }
+        if (frame.terrain) {
+            this.terrain = frame.terrain;
+        }
+
+        // Cores: resize, then patch the changed ones
+        const cores = this.lowerDimension.cores;
+        if (frame.full) cores.length = 0;
+        cores.length = Math.min(cores.length, frame.coreCount);
+        for (let i = 0; i < frame.cores.length; i += CORE_STRIDE) {
+            const id = frame.cores[i];
+            const core = cores[id] || (cores[id] = { id });
+            core.x = frame.cores[i + 1];
+            core.y = frame.cores[i + 2];
+            core.state = CORE_STATES[frame.cores[i + 3]];
+        }
+
+        const energies = [];
+        for (let i = 0; i < frame.energies.length; i += ENERGY_STRIDE) {
+            energies.push({
+                x: frame.energies[i],
+                y: frame.energies[i + 1],
+                createdAt: frame.energies[i + 2],
+                coreId: frame.energies[i + 3],
+                nutrient: NUTRIENT_NAMES[frame.energies[i + 4]],
+                active: true
+            });
+        }
+        this.lowerDimension.energies = energies;
+
+        this.storms = [];
+        for (let i = 0; i < frame.storms.length; i += 2) {
+            this.storms.push({ x: frame.storms[i], y: frame.storms[i + 1] });
+        }
+        this.stormRadius = frame.stormRadius;
+        this.upperCatalyserMax = frame.upperCatalyserMax;
+    }
+
+    /**
+     * Get current world state summary
+     */
+    getWorldState() {
+        return this.worldState || {
+            tick: this.tick,
+            phase: this.phase,
+            cores: 0,
+            energies: 0,
+            activeEnergies: 0,
+            coreStates: { dormant: 0, incubated: 0, bloomed: 0 }
+        };
+    }
+}
+
+/**
+ * Main-thread view of the population, updated from frames
+ *
+ * Entity objects keep their identity across frames, so selections held by
+ * the renderer and UI stay valid while the entity lives.
+ */
+export class PopulationMirror {
+    constructor() {
+        this.entities = new Map();
+        this.living = [];
+        this.stats = null;
+        this.trends = { fitnessImprovement: 0, survivalRate: 0, populationStability: 0 };
+    }
+
+    /**
+     * Apply the population part of a frame
+     */
+    applyFrame(frame) {
+        if (frame.full) this.entities.clear();
+
+        for (const summary of frame.entities) {
+            const [id, x, y, energy, age, fitness, totalEnergyGained, memorySize, recentOutcomes, lastActionIndex] = summary;
+            let entity = this.entities.get(id);
+            if (!entity) {
+                entity = { id, vision: [], memory: [], memoryCapacity: 0, architecture: null };
+                this.entities.set(id, entity);
+            }
+
+            Object.assign(entity, {
+                x, y, energy, age, fitness, totalEnergyGained, memorySize, recentOutcomes,
+                lastActionIndex,
+                lastAction: ACTION_NAMES[lastActionIndex] || 'unknown'
+            });
+        }
+
+        // Drop entities that are no longer alive
+        const alive = new Set(frame.order);
+        for (const id of this.entities.keys()) {
+            if (!alive.has(id)) this.entities.delete(id);
+        }
+        this.living = frame.order.map(id => this.entities.get(id));
+
+        if (frame.focus) {
+            const entity = this.entities.get(frame.focus.id);
+            if (entity) {
+                const focus = frame.focus;
+                if (focus.reset) {
+                    entity.vision = [];
+                    entity.memory = [];
+                    entity.architecture = focus.architecture;
+                }
+
+                for (const [i, cell] of focus.vision) {
+                    entity.vision[i] = cell;
+                }
+                entity.vision.length = focus.visionLength;
+                entity.memory.push(...focus.memory);
+                entity.memory.splice(0, entity.memory.length - focus.memoryLength);
+
+                entity.memoryCapacity = focus.memoryCapacity;
+                entity.reserves = focus.reserves;
+                entity.nutrientsEaten = focus.nutrientsEaten;
+                entity.value = focus.value;
+                entity.tdError = focus.tdError;
+            }
+        }
+
+        this.stats = frame.populationStats;
+        this.trends = frame.evolutionTrends;
+    }
+
+    /**
+     * Get living entities in population order
+     */
+    getLivingEntities() {
+        return this.living;
+    }
+
+    /**
+     * Get population statistics
+     */
+    getPopulationStats() {
+        return this.stats || {
+            livingCount: 0,
+            totalEnergy: 0,
+            totalAge: 0,
+            averageEnergy: 0,
+            averageAge: 0,
+            averageFitness: 0,
+            bestCurrentFitness: 0,
+            generation: 0,
+            totalDeaths: 0,
+            deathCauses: {},
+            bestAllTimeFitness: 0
+        };
+    }
+
+    /**
+     * Get evolution trends
+     */
+    getEvolutionTrends() {
+        return this.trends;
+    }
+
+    /**
+     * Get entity information in the shape of ConsciousEntity.getStatus()
+     */
+    getEntityDetails() {
+        return this.living.map((entity, index) => ({
+            index,
+            alive: true,
+            id: entity.id,
+            position: { x: entity.x, y: entity.y },
+            energy: entity.energy,
+            age: entity.age,
+            fitness: entity.fitness,
+            totalEnergyGained: entity.totalEnergyGained,
+            memorySize: entity.memorySize,
+            recentOutcomes: entity.recentOutcomes,
+            lastAction: entity.lastAction
+        }));
+    }
+}
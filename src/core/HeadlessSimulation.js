@@ -0,0 +1,327 @@
+/**
+ * Headless Simulation - Renderer-free simulation engine
+ *
+ * Runs the simulation loop without touching the DOM or a canvas:
+ * - World physics and population stepping
+ * - Session statistics tracking
+ * - Database logging through an injected recorder
+ * - Scheduled perturbations from config.perturbations (see PerturbationScheduler.js),
+ *   recorded as 'perturbation' evolution events
+ * - Configurable brain architectures from config.brainConfig (see NeuralNetwork.js),
+ *   optionally evolving their shape under config.structuralMutation (see StructuralMutation.js)
+ * - Parent selection and single- or two-parent reproduction from config.reproduction
+ *   (see PopulationManager.js and Selection.js)
+ *
+ * The recorder is any object exposing the DatabaseAPI recording methods
+ * (DatabaseAPI in the browser, DatabaseRecorder under Node), so the same
+ * engine drives both the browser view and overnight command-line runs.
+ *
+ * All randomness flows through one SeededRandom seeded from config.seed, so a
+ * session replayed with the same seed and configuration is bit-identical.
+ * Snapshots capture the world fields, every entity and brain, and the
+ * generator position, so a restored run continues exactly where it stopped.
+ */
+
+import { WorldPhysics, resolvePhysicsConfig } from '../physics/WorldPhysics.js';
+import { PopulationManager, resolveReproductionConfig } from '../evolution/PopulationManager.js';
+import { resolveBrainConfig } from '../neural/NeuralNetwork.js';
+import { resolveStructuralMutation } from '../neural/StructuralMutation.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { PerturbationScheduler, resolvePerturbations } from './PerturbationScheduler.js';
+
+// Bump whenever the snapshot layout changes; older versions from
+// SNAPSHOT_MIN_VERSION on are still read
+export const SNAPSHOT_FORMAT = 'consciousness-world-snapshot';
+export const SNAPSHOT_VERSION = 3;
+export const SNAPSHOT_MIN_VERSION = 1;
+
+export class HeadlessSimulation {
+    constructor(options = {}, recorder = null) {
+        // Configuration
+        this.config = {
+            gridSize: options.gridSize || 100,
+            populationSize: options.populationSize || 5,
+            debug: options.debug || false,
+            ...options
+        };
+
+        // Pick a seed up front so it is stored with the session config
+        this.config.seed ??= SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.config.seed);
+
+        // Complete physics parameters, stored with the session config
+        this.config.physicsConfig = resolvePhysicsConfig(this.config.physicsConfig);
+
+        // Brain architecture, or a list of them assigned to population slots in turn
+        this.config.brainConfig = HeadlessSimulation.resolveBrains(this.config.brainConfig);
+        this.config.structuralMutation = resolveStructuralMutation(this.config.structuralMutation);
+        this.config.reproduction = resolveReproductionConfig(this.config.reproduction, this.config.brainConfig);
+
+        // Core systems
+        this.world = new WorldPhysics(this.config.gridSize, this.rng, this.config.physicsConfig);
+        this.population = new PopulationManager(
+            this.config.populationSize, this.config.gridSize, this.rng,
+            this.config.brainConfig, this.config.structuralMutation, this.config.reproduction
+        );
+
+        // Timed interventions, stored with the session config
+        this.config.perturbations = resolvePerturbations(this.config.perturbations);
+        this.scheduler = new PerturbationScheduler(this.config.perturbations);
+
+        // Database recording
+        this.recorder = recorder;
+        this.currentSessionId = null;
+
+        // Core and energy lifecycle events are recorded while a session is open
+        this.world.on('*', event => {
+            if (this.currentSessionId) {
+                this.recorder.recordCoreEvent(event);
+            }
+        });
+
+        // Statistics
+        this.sessionStats = this.createSessionStats();
+    }
+
+    /**
+     * Resolve one brain config or a non-empty list of them
+     */
+    static resolveBrains(brainConfig) {
+        if (!Array.isArray(brainConfig)) {
+            return resolveBrainConfig(brainConfig);
+        }
+        if (brainConfig.length === 0) {
+            throw new Error('brainConfig list must not be empty');
+        }
+        return brainConfig.map(config => resolveBrainConfig(config));
+    }
+
+    /**
+     * Create a fresh session statistics object
+     */
+    createSessionStats() {
+        return {
+            startTime: Date.now(),
+            totalTicks: 0,
+            totalGenerations: 0,
+            peakFitness: 0,
+            longestSurvival: 0
+        };
+    }
+
+    /**
+     * Start a new database session and register the current population
+     * @param {string} name - Session name
+     * @param {string} description - Session description
+     * @returns {Promise<string|null>} - Session id, or null without a recorder
+     */
+    async startSession(name, description) {
+        if (!this.recorder) return null;
+        if (this.currentSessionId) return this.currentSessionId;
+
+        const sessionId = await this.recorder.startSession(name, description, this.config);
+        if (sessionId) {
+            this.currentSessionId = sessionId;
+
+            // Register initial population
+            const initialEntities = this.population.getLivingEntities();
+            this.recorder.registerInitialPopulation(initialEntities, 0, 0);
+        }
+
+        return sessionId;
+    }
+
+    /**
+     * End the current database session
+     */
+    endSession() {
+        if (!this.recorder || !this.currentSessionId) return;
+
+        const stats = this.population.getPopulationStats();
+        this.recorder.endSession(
+            this.sessionStats.totalTicks,
+            stats.totalDeaths + this.config.populationSize,
+            stats.bestAllTimeFitness
+        );
+        this.currentSessionId = null;
+    }
+
+    /**
+     * Step the simulation forward one tick
+     */
+    step() {
+        // Scheduled perturbations take effect before the world moves on
+        this.applyPerturbations();
+
+        // Step world physics
+        this.world.step();
+
+        // Update population with database recorder
+        this.population.update(this.world, this.world.tick, this.recorder, this.currentSessionId);
+
+        // Record generation statistics periodically
+        if (this.world.tick % 10 === 0) {
+            this.population.recordGenerationStats(this.world.tick);
+        }
+
+        // Database logging
+        if (this.currentSessionId) {
+            // Record population stats every tick
+            const stats = this.population.getPopulationStats();
+            const worldState = this.world.getWorldState();
+            this.recorder.recordPopulationStats(this.world.tick, stats, worldState);
+
+            // Neural network storage is disabled by default in the recorders
+            if (this.world.tick % 100 === 0) {
+                // Only store one random entity's network very rarely
+                const livingEntities = this.population.getLivingEntities();
+                if (livingEntities.length > 0) {
+                    // Logging only - kept off the seeded generator so recording never alters a run
+                    const randomEntity = livingEntities[Math.floor(Math.random() * livingEntities.length)];
+                    this.recorder.storeNeuralNetwork(randomEntity, this.world.tick, stats.generation);
+                }
+            }
+        }
+
+        // Update session statistics
+        this.updateSessionStats();
+
+        this.sessionStats.totalTicks++;
+    }
+
+    /**
+     * Apply perturbations due at the current world tick and record them
+     */
+    applyPerturbations() {
+        for (const record of this.scheduler.applyDue(this)) {
+            const { tick, type, appliedAt, effect, ...options } = record;
+            console.log(`⚡ Perturbation at tick ${appliedAt}: ${type}`, effect);
+
+            if (this.currentSessionId) {
+                this.recorder.recordEvolutionEvent(appliedAt, 'perturbation', 'world', null, null, {
+                    type,
+                    scheduledTick: tick,
+                    ...options,
+                    effect
+                });
+            }
+        }
+    }
+
+    /**
+     * Update session statistics
+     */
+    updateSessionStats() {
+        const stats = this.population.getPopulationStats();
+
+        this.sessionStats.totalGenerations = stats.generation;
+        this.sessionStats.peakFitness = Math.max(this.sessionStats.peakFitness, stats.bestAllTimeFitness);
+
+        // Track longest individual survival
+        const livingEntities = this.population.getLivingEntities();
+        if (livingEntities.length > 0) {
+            const maxAge = Math.max(...livingEntities.map(entity => entity.age));
+            this.sessionStats.longestSurvival = Math.max(this.sessionStats.longestSurvival, maxAge);
+        }
+    }
+
+    /**
+     * Change world physics parameters; takes effect from the next step
+     * @param {object} changes - Partial physics config
+     * @returns {object} - Complete physics config now in effect
+     */
+    setPhysicsConfig(changes) {
+        this.config.physicsConfig = { ...this.world.setPhysicsConfig(changes) };
+        return this.config.physicsConfig;
+    }
+
+    /**
+     * Reset world, population and statistics to their initial state
+     * The generator is re-seeded and physics changed by perturbations is
+     * put back, so a reset replays the same run
+     */
+    reset() {
+        if (this.scheduler.initialPhysics) {
+            this.config.physicsConfig = { ...this.scheduler.initialPhysics };
+            this.world.physics = { ...this.config.physicsConfig };
+        }
+        this.rng.setSeed(this.config.seed);
+        this.world.reset();
+        this.population.reset();
+        this.scheduler.reset();
+        this.sessionStats = this.createSessionStats();
+    }
+
+    /**
+     * Capture the complete simulation state as a versioned, JSON-safe snapshot
+     * @returns {object} - Snapshot accepted by loadSnapshot()
+     */
+    saveSnapshot() {
+        return {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            savedAt: Date.now(),
+            config: { ...this.config },
+            sessionId: this.currentSessionId,
+            sessionStats: { ...this.sessionStats },
+            rng: this.rng.getState(),
+            world: this.world.toSnapshot(),
+            population: this.population.toSnapshot(),
+            perturbations: this.scheduler.toSnapshot()
+        };
+    }
+
+    /**
+     * Restore world, population, statistics and generator from a snapshot
+     * @param {object} snapshot - Snapshot created by saveSnapshot()
+     */
+    loadSnapshot(snapshot) {
+        if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a simulation snapshot');
+        }
+        if (!(snapshot.version >= SNAPSHOT_MIN_VERSION && snapshot.version <= SNAPSHOT_VERSION)) {
+            throw new Error(`Unsupported snapshot version ${snapshot.version} (supported ${SNAPSHOT_MIN_VERSION}-${SNAPSHOT_VERSION})`);
+        }
+        if (snapshot.config.gridSize !== this.config.gridSize) {
+            throw new Error(`Snapshot grid size ${snapshot.config.gridSize} does not match simulation grid size ${this.config.gridSize}`);
+        }
+
+        this.config.seed = snapshot.config.seed;
+        this.config.populationSize = snapshot.config.populationSize;
+        // Snapshots from before configurable physics ran on the defaults
+        this.config.physicsConfig = resolvePhysicsConfig(snapshot.config.physicsConfig);
+        this.world.physics = { ...this.config.physicsConfig };
+        // Snapshots from before configurable brains used the default architecture
+        this.config.brainConfig = HeadlessSimulation.resolveBrains(snapshot.config.brainConfig);
+        this.population.brainConfigs = [].concat(this.config.brainConfig);
+        this.config.structuralMutation = resolveStructuralMutation(snapshot.config.structuralMutation);
+        this.population.structuralMutation = this.config.structuralMutation;
+        this.config.reproduction = resolveReproductionConfig(snapshot.config.reproduction, this.config.brainConfig);
+        this.population.setReproduction(this.config.reproduction);
+        this.world.restoreSnapshot(snapshot.world);
+        this.population.restoreSnapshot(snapshot.population);
+        // Snapshots from before scheduling had no perturbations
+        this.config.perturbations = resolvePerturbations(snapshot.config.perturbations);
+        this.scheduler = new PerturbationScheduler(this.config.perturbations);
+        this.scheduler.restoreSnapshot(snapshot.perturbations, this.world.tick);
+        this.sessionStats = { ...snapshot.sessionStats };
+
+        // Rebuilding brains draws from the generator, so restore its position last
+        this.rng.setState(snapshot.rng);
+    }
+
+    /**
+     * Get current engine status
+     */
+    getStatus() {
+        return {
+            currentTick: this.world.tick,
+            seed: this.config.seed,
+            sessionId: this.currentSessionId,
+            sessionStats: this.sessionStats,
+            populationStats: this.population.getPopulationStats(),
+            worldState: this.world.getWorldState(),
+            perturbations: this.scheduler.getTimeline()
+        };
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * Perturbation Scheduler - Timed environmental interventions
+ *
+ * A session config may declare a schedule of perturbations, each applied
+ * once when the world reaches its tick:
+ * - scaleCores: multiply the core count (factor 0.5 halves it)
+ * - shiftTemperature: roll the temperature field by (dx, dy) cells and add offset
+ * - injectCatalyser: add catalyser to the lower or upper dimension, over the
+ *   whole world or a disc around (x, y)
+ * - cull: kill a fraction of the living entities, replaced by offspring of the
+ *   survivors as after any death
+ * - setPhysics: apply arbitrary physics parameter changes
+ *
+ * Schedule entries look like { tick: 500, type: 'cull', fraction: 0.5 }.
+ * Options left out take the type's defaults. Any randomness (random culls,
+ * injection sites) is drawn from the simulation's SeededRandom when the
+ * perturbation fires, so scheduled runs stay reproducible.
+ *
+ * More types can be added with registerPerturbation(name, { defaults, validate, apply }).
+ */
+
+import { resolvePhysicsConfig } from '../physics/WorldPhysics.js';
+
+const PERTURBATIONS = new Map();
+
+/**
+ * Register a perturbation type
+ * @param {string} name - Type name used in schedules
+ * @param {object} definition - { defaults, validate(entry), apply(simulation, entry) }
+ *   apply returns a plain object describing the effect, recorded with the event
+ */
+export function registerPerturbation(name, definition) {
+    PERTURBATIONS.set(name, { defaults: {}, validate: () => {}, ...definition });
+}
+
+/**
+ * Look up a registered perturbation type
+ * @throws {Error} - If the type is unknown
+ */
+export function getPerturbation(name) {
+    const perturbation = PERTURBATIONS.get(name);
+    if (!perturbation) {
+        throw new Error(`Unknown perturbation type "${name}" (expected ${[...PERTURBATIONS.keys()].join(', ')})`);
+    }
+    return perturbation;
+}
+
+/**
+ * Validate a schedule, fill in defaults and order it by tick
+ * @param {Array<object>} schedule - Perturbation entries
+ * @returns {Array<object>} - Complete entries, earliest first
+ */
+export function resolvePerturbations(schedule = []) {
+    if (!Array.isArray(schedule)) {
+        throw new Error('perturbations must be an array');
+    }
+
+    const resolved = schedule.map(entry => {
+        const { tick, type, ...options } = entry || {};
+        if (!Number.isInteger(tick) || tick < 0) {
+            throw new Error(`Perturbation tick must be a non-negative integer (got ${tick})`);
+        }
+
+        const perturbation = getPerturbation(type);
+        for (const key of Object.keys(options)) {
+            if (!(key in perturbation.defaults)) {
+                throw new Error(`Unknown ${type} perturbation option: ${key}`);
+            }
+        }
+
+        const complete = { ...perturbation.defaults, ...options };
+        perturbation.validate(complete);
+        return { tick, type, ...complete };
+    });
+
+    // Stable sort keeps same-tick entries in declared order
+    return resolved.sort((a, b) => a.tick - b.tick);
+}
+
+/**
+ * Short human-readable description of a schedule entry
+ */
+export function describePerturbation(entry) {
+    switch (entry.type) {
+        case 'scaleCores': return `Scale cores x${entry.factor}`;
+        case 'shiftTemperature': return `Shift temperature (${entry.dx}, ${entry.dy}) ${entry.offset >= 0 ? '+' : ''}${entry.offset}`;
+        case 'injectCatalyser': return `Inject ${entry.amount} ${entry.dimension} catalyser${entry.radius === null ? '' : ` (r=${entry.radius})`}`;
+        case 'cull': return `Cull ${Math.round(entry.fraction * 100)}% of entities`;
+        case 'setPhysics': return `Physics ${JSON.stringify(entry.changes)}`;
+        default: return entry.type;
+    }
+}
+
+export class PerturbationScheduler {
+    constructor(schedule = []) {
+        this.schedule = schedule;
+        this.reset();
+    }
+
+    /**
+     * Forget applied perturbations
+     */
+    reset() {
+        this.nextIndex = 0;
+        this.applied = [];
+        // Physics in effect before the first perturbation, restored on reset
+        this.initialPhysics = null;
+        this.version = (this.version || 0) + 1;
+    }
+
+    /**
+     * Apply every perturbation due at the world tick
+     * @param {HeadlessSimulation} simulation - Engine to perturb
+     * @returns {Array<object>} - Applied entries with their effect
+     */
+    applyDue(simulation) {
+        const tick = simulation.world.tick;
+        const fired = [];
+
+        while (this.nextIndex < this.schedule.length && this.schedule[this.nextIndex].tick <= tick) {
+            this.initialPhysics ??= { ...simulation.config.physicsConfig };
+            const entry = this.schedule[this.nextIndex++];
+            const effect = getPerturbation(entry.type).apply(simulation, entry);
+            const record = { ...entry, appliedAt: tick, effect };
+            this.applied.push(record);
+            fired.push(record);
+        }
+
+        if (fired.length > 0) {
+            this.version++;
+        }
+        return fired;
+    }
+
+    /**
+     * Scheduled and applied perturbations in tick order, for the UI timeline
+     */
+    getTimeline() {
+        return this.schedule.map((entry, i) => ({
+            tick: entry.tick,
+            type: entry.type,
+            description: describePerturbation(entry),
+            applied: i < this.nextIndex,
+            effect: this.applied[i]?.effect ?? null
+        }));
+    }
+
+    toSnapshot() {
+        return {
+            nextIndex: this.nextIndex,
+            applied: this.applied.map(record => ({ ...record })),
+            initialPhysics: this.initialPhysics
+        };
+    }
+
+    /**
+     * Restore progress; snapshots without scheduler state count entries
+     * before the world tick as already applied
+     */
+    restoreSnapshot(snapshot, worldTick) {
+        if (snapshot) {
+            this.nextIndex = snapshot.nextIndex;
+            this.applied = snapshot.applied.map(record => ({ ...record }));
+            this.initialPhysics = snapshot.initialPhysics;
+        } else {
+            this.nextIndex = this.schedule.filter(entry => entry.tick < worldTick).length;
+            this.applied = this.schedule.slice(0, this.nextIndex).map(entry => ({ ...entry, appliedAt: null, effect: null }));
+        }
+        this.version++;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Perturbation types
+// ---------------------------------------------------------------------------
+
+const requireNumber = (type, key, value, min = 0, max = Infinity) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Perturbation ${type}.${key} must be a number from ${min} to ${max}`);
+    }
+};
+
+const fieldMean = (field) => field.reduce((sum, value) => sum + value, 0) / field.length;
+
+registerPerturbation('scaleCores', {
+    defaults: { factor: 0.5 },
+    validate: (options) => requireNumber('scaleCores', 'factor', options.factor),
+    apply(simulation, options) {
+        const from = simulation.world.physics.coreCount;
+        const to = Math.floor(from * options.factor);
+        simulation.setPhysicsConfig({ coreCount: to });
+        return { from, to };
+    }
+});
+
+registerPerturbation('shiftTemperature', {
+    defaults: { dx: 0, dy: 0, offset: 0.2 },
+    validate(options) {
+        if (!Number.isInteger(options.dx) || !Number.isInteger(options.dy)) {
+            throw new Error('Perturbation shiftTemperature.dx and dy must be integers');
+        }
+        requireNumber('shiftTemperature', 'offset', options.offset, -1, 1);
+    },
+    apply(simulation, options) {
+        const world = simulation.world;
+        const size = world.gridSize;
+        const source = world.lowerDimension.temperature;
+        const target = world.temperatureBuffer;
+        const meanBefore = fieldMean(source);
+
+        // Cell (x, y) takes cell (x - dx, y - dy), as in advection
+        for (let x = 0; x < size; x++) {
+            const sx = world.fieldCoordinate(x - options.dx);
+            for (let y = 0; y < size; y++) {
+                const sy = world.fieldCoordinate(y - options.dy);
+                target[x * size + y] = Math.max(0, Math.min(1, source[sx * size + sy] + options.offset));
+            }
+        }
+
+        world.temperatureBuffer = source;
+        world.lowerDimension.temperature = target;
+        return { meanBefore, meanAfter: fieldMean(target) };
+    }
+});
+
+registerPerturbation('injectCatalyser', {
+    // x, y: disc centre (random when null); radius: null covers the whole world
+    defaults: { amount: 0.5, dimension: 'lower', x: null, y: null, radius: null },
+    validate(options) {
+        requireNumber('injectCatalyser', 'amount', options.amount);
+        if (options.dimension !== 'lower' && options.dimension !== 'upper') {
+            throw new Error('Perturbation injectCatalyser.dimension must be lower or upper');
+        }
+        if (options.radius !== null) {
+            requireNumber('injectCatalyser', 'radius', options.radius);
+        }
+    },
+    apply(simulation, options) {
+        const world = simulation.world;
+        const field = options.dimension === 'upper' ? world.upperDimension.catalyser : world.lowerDimension.catalyser;
+        const cap = options.dimension === 'upper' ? world.physics.upperCatalyserMax : Infinity;
+
+        const inject = (cell) => {
+            field[cell] = Math.min(cap, field[cell] + options.amount);
+        };
+
+        if (options.radius === null) {
+            for (let cell = 0; cell < field.length; cell++) {
+                inject(cell);
+            }
+            return { cells: field.length };
+        }
+
+        const cx = options.x ?? world.rng.nextInt(world.gridSize);
+        const cy = options.y ?? world.rng.nextInt(world.gridSize);
+        const reach = Math.ceil(options.radius);
+        let cells = 0;
+        for (let dx = -reach; dx <= reach; dx++) {
+            for (let dy = -reach; dy <= reach; dy++) {
+                if (dx * dx + dy * dy > options.radius * options.radius) continue;
+                const x = world.wrap(cx + dx);
+                const y = world.wrap(cy + dy);
+                if (x < 0 || y < 0) continue;
+                inject(world.index(x, y));
+                cells++;
+            }
+        }
+        return { x: cx, y: cy, cells };
+    }
+});
+
+registerPerturbation('cull', {
+    defaults: { fraction: 0.5 },
+    validate: (options) => requireNumber('cull', 'fraction', options.fraction, 0, 1),
+    apply(simulation, options) {
+        const culled = simulation.population.cull(
+            options.fraction,
+            simulation.world.tick,
+            simulation.recorder,
+            simulation.currentSessionId
+        );
+        return { culled };
+    }
+});
+
+registerPerturbation('setPhysics', {
+    defaults: { changes: {} },
+    validate(options) {
+        if (typeof options.changes !== 'object' || options.changes === null || Array.isArray(options.changes)) {
+            throw new Error('Perturbation setPhysics.changes must be an object');
+        }
+        resolvePhysicsConfig(options.changes);
+    },
+    apply(simulation, options) {
+        simulation.setPhysicsConfig(options.changes);
+        return { changes: options.changes };
+    }
+});
@@ -0,0 +1,301 @@
+/**
+ * Simulation Host - Runs the headless engine off the UI thread
+ *
+ * Owns the HeadlessSimulation, its database recorder and the run loop, and
+ * talks to the UI only through messages:
+ * - Commands in: init, start, stop, step, reset, setTickRate, focus, layers
+ * - Requests in: snapshot, export and debugging actions answered by id
+ * - Frames out: compact diffs from FrameEncoder, one in flight at a time
+ *
+ * Normally hosted by SimulationWorker.js inside a Web Worker; where workers
+ * are unavailable ConsciousnessSimulation runs it inline with the same
+ * messages, so both paths behave the same.
+ */
+
+import { HeadlessSimulation } from './HeadlessSimulation.js';
+import { FrameEncoder } from './FrameProtocol.js';
+import { DatabaseAPI } from '../utils/DatabaseAPI.js';
+
+// Catch-up limit per frame when stepping falls behind the requested rate
+const MAX_STEPS_PER_FRAME = 50;
+
+// Minimum delay between loop iterations (~60 frames per second)
+const MIN_FRAME_INTERVAL = 1000 / 60;
+
+export class SimulationHost {
+    constructor(post) {
+        this.post = post;
+        this.simulation = null;
+        this.recorder = null;
+        this.encoder = new FrameEncoder();
+
+        // Run loop
+        this.isRunning = false;
+        this.tickRate = 5;
+        this.timer = null;
+        this.lastFrameTime = 0;
+        this.accumulator = 0;
+
+        // Frame delivery - wait for the UI to acknowledge before sending more
+        this.awaitingAck = false;
+        this.framePending = false;
+        this.layers = { temperature: true, catalyser: true, upperCatalyser: false };
+        this.focusId = null;
+    }
+
+    /**
+     * Handle a message from the UI
+     */
+    handle(message) {
+        try {
+            switch (message.type) {
+                case 'init': this.init(message.config); break;
+                case 'start': this.start(); break;
+                case 'stop': this.stop(); break;
+                case 'step': this.step(); break;
+                case 'reset': this.reset(); break;
+                case 'setTickRate': this.setTickRate(message.tickRate); break;
+                case 'focus': this.focusId = message.entityId; this.flushFrame(); break;
+                case 'layers': this.layers = message.layers; break;
+                case 'frameAck': this.onFrameAck(); break;
+                case 'request': this.handleRequest(message); break;
+                default:
+                    console.warn(`Unknown simulation message: ${message.type}`);
+            }
+        } catch (error) {
+            console.error('Simulation host error:', error);
+            this.post({ type: 'error', message: error.message });
+        }
+    }
+
+    /**
+     * Create the engine and send the initial state
+     */
+    init(config) {
+        if (config.enableDatabase !== false) {
+            this.recorder = new DatabaseAPI();
+            this.recorder.checkStatus();
+        }
+
+        this.simulation = new HeadlessSimulation(config, this.recorder);
+        this.tickRate = config.tickRate || this.tickRate;
+
+        this.post({ type: 'ready', config: this.simulation.config });
+        this.encoder.invalidate();
+        this.flushFrame();
+    }
+
+    /**
+     * Start stepping at the current tick rate
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        // Start new database session
+        if (!this.simulation.currentSessionId) {
+            const config = this.simulation.config;
+            const sessionName = `Simulation ${new Date().toISOString()}`;
+            const sessionDescription = `Consciousness simulation with ${config.populationSize} entities`;
+            this.simulation.startSession(sessionName, sessionDescription).then(sessionId => {
+                if (sessionId) {
+                    console.log('📊 Database session started:', sessionId);
+                }
+            });
+        }
+
+        this.lastFrameTime = performance.now();
+        this.accumulator = 0;
+        this.scheduleFrame();
+    }
+
+    /**
+     * Stop stepping and end the database session
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        this.simulation.endSession();
+        this.flushFrame();
+    }
+
+    /**
+     * Single step (when stopped)
+     */
+    step() {
+        this.simulation.step();
+        this.flushFrame();
+    }
+
+    /**
+     * Reset world, population and statistics
+     */
+    reset() {
+        this.simulation.reset();
+        this.encoder.invalidate();
+        this.flushFrame();
+    }
+
+    /**
+     * Set the tick rate (ticks per second)
+     */
+    setTickRate(ticksPerSecond) {
+        this.tickRate = ticksPerSecond;
+    }
+
+    /**
+     * Schedule the next loop iteration
+     */
+    scheduleFrame() {
+        const delay = Math.max(MIN_FRAME_INTERVAL, 1000 / this.tickRate);
+        this.timer = setTimeout(() => this.runFrame(), delay);
+    }
+
+    /**
+     * Run the steps due since the last iteration and send one frame
+     */
+    runFrame() {
+        if (!this.isRunning) return;
+
+        const now = performance.now();
+        const tickInterval = 1000 / this.tickRate;
+        this.accumulator += now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        let steps = Math.floor(this.accumulator / tickInterval);
+        if (steps > MAX_STEPS_PER_FRAME) {
+            // Too far behind - drop the backlog rather than stall the loop
+            steps = MAX_STEPS_PER_FRAME;
+            this.accumulator = 0;
+        } else {
+            this.accumulator -= steps * tickInterval;
+        }
+
+        const startTime = performance.now();
+        for (let i = 0; i < steps; i++) {
+            this.simulation.step();
+        }
+
+        const stepTime = performance.now() - startTime;
+        if (this.simulation.config.debug && steps > 0 && stepTime / steps > 50) {
+            console.warn(`Slow simulation step: ${(stepTime / steps).toFixed(2)}ms`);
+        }
+
+        if (steps > 0) {
+            this.flushFrame();
+        }
+
+        this.scheduleFrame();
+    }
+
+    /**
+     * Send a frame now, or once the previous one has been acknowledged
+     */
+    flushFrame() {
+        if (!this.simulation) return;
+
+        if (this.awaitingAck) {
+            this.framePending = true;
+            return;
+        }
+
+        const { frame, transfer } = this.encoder.encode(this.simulation, {
+            layers: this.layers,
+            focusId: this.focusId
+        });
+
+        this.awaitingAck = true;
+        this.framePending = false;
+        this.post(frame, transfer);
+    }
+
+    /**
+     * The UI has rendered the last frame
+     */
+    onFrameAck() {
+        this.awaitingAck = false;
+        if (this.framePending) {
+            this.flushFrame();
+        }
+    }
+
+    /**
+     * Answer a request from the UI
+     */
+    async handleRequest({ requestId, action, payload }) {
+        try {
+            const result = await this.runRequest(action, payload);
+            this.post({ type: 'response', requestId, result });
+        } catch (error) {
+            this.post({ type: 'response', requestId, error: error.message });
+        }
+    }
+
+    /**
+     * Perform a requested action
+     */
+    runRequest(action, payload) {
+        const simulation = this.simulation;
+
+        switch (action) {
+            case 'saveSnapshot':
+                return simulation.saveSnapshot();
+
+            case 'loadSnapshot':
+                simulation.loadSnapshot(payload);
+                this.encoder.invalidate();
+                this.flushFrame();
+                return simulation.config;
+
+            case 'setPhysicsConfig':
+                simulation.setPhysicsConfig(payload);
+                this.flushFrame();
+                return simulation.config;
+
+            case 'setConfig':
+                Object.assign(simulation.config, payload);
+                return simulation.config;
+
+            case 'exportState':
+                return {
+                    config: simulation.config,
+                    sessionStats: simulation.sessionStats,
+                    worldState: simulation.world.getWorldState(),
+                    populationStats: simulation.population.getPopulationStats(),
+                    entities: simulation.population.getEntityDetails(),
+                    populationExport: simulation.population.exportPopulationState()
+                };
+
+            case 'forceEvolution':
+                simulation.population.forceEvolution();
+                this.flushFrame();
+                return true;
+
+            case 'killRandomEntity': {
+                const entities = simulation.population.getLivingEntities();
+                if (entities.length === 0) return null;
+                // Debugging aid - kept off the seeded generator
+                const randomEntity = entities[Math.floor(Math.random() * entities.length)];
+                randomEntity.energy = 0;
+                this.flushFrame();
+                return randomEntity.id;
+            }
+
+            case 'addEnergy':
+                simulation.population.getLivingEntities().forEach(entity => {
+                    entity.energy += payload;
+                });
+                this.flushFrame();
+                return true;
+
+            default:
+                throw new Error(`Unknown request: ${action}`);
+        }
+    }
+}
@@ -0,0 +1,17 @@
+/**
+ * Simulation Worker - Web Worker entry point
+ *
+ * Runs a SimulationHost inside a module worker so physics, neural forward
+ * passes and database batching stay off the UI thread. Frames are posted
+ * with their field buffers transferred rather than copied.
+ */
+
+import { SimulationHost } from './SimulationHost.js';
+
+const host = new SimulationHost((message, transfer = []) => {
+    self.postMessage(message, transfer);
+});
+
+self.onmessage = (event) => {
+    host.handle(event.data);
+};
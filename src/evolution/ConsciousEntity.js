@@ -2,32 +2,61 @@
  * Conscious Entity - Individual consciousness units in the simulation
  * 
  * Features:
- * - Neural network-based decision making
- * - Raw sensory field perception (5 field types)
- * - Experience memory with temporal awareness
- * - REINFORCE learning from immediate feedback
- * - Energy-based survival mechanics
- * - Spatial vision and navigation
+ * - Neural network-based decision making, with a configurable brain architecture
+ * - Raw sensory field perception (7 field types, field6 = terrain,
+ *   field7 = upper catalyser when perceivable)
+ * - Experience memory with temporal awareness, plus the recurrent state of
+ *   brains with a recurrent layer, carried across ticks from birth
+ * - REINFORCE learning over episodes of decisions, with discounted returns
+ *   and a running-mean reward baseline, or advantage actor-critic with the
+ *   brain's value head as critic
+ * - Energy-based survival mechanics with per-nutrient reserves and digestion
+ * - Hazard damage tracking for cause-of-death attribution
+ * - Spatial vision and navigation around walls
+ * - Optional upper catalyser deposits where it stands
+ * - Behaviour descriptor (action and diet shares) for novelty selection
+ * - Optional genotype kept apart from the learning brain (the phenotype), so
+ *   offspring can inherit the brain as born, as learned, or a blend
  */
 
-import { NeuralNetwork } from '../neural/NeuralNetwork.js';
+import { NeuralNetwork, DEFAULT_BRAIN_CONFIG } from '../neural/NeuralNetwork.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { emptyNutrientTable, digestReserves } from '../physics/Nutrients.js';
+
+// What offspring inherit: the brain as learned, the genome as born, or a blend
+export const INHERITANCE_MODES = ['lamarckian', 'baldwinian', 'hybrid'];
+
+// vision(405) + confidence(81) + internal(6) + memory(50) + terrain(81) + upper(81)
+const INPUT_SIZE = 81 * 5 + 81 + 6 + 50 + 81 + 81;
 
 export class ConsciousEntity {
-    constructor(x = null, y = null, brain = null, gridSize = 100) {
-        this.x = x ?? Math.floor(Math.random() * gridSize);
-        this.y = y ?? Math.floor(Math.random() * gridSize);
+    /**
+     * @param {NeuralNetwork|null} brain - Existing brain, or null to build one from brainConfig
+     * @param {object} brainConfig - Resolved brain config (see resolveBrainConfig)
+     */
+    constructor(x = null, y = null, brain = null, gridSize = 100, rng = new SeededRandom(), brainConfig = DEFAULT_BRAIN_CONFIG) {
+        this.rng = rng;
+        this.x = x ?? rng.nextInt(gridSize);
+        this.y = y ?? rng.nextInt(gridSize);
         this.gridSize = gridSize;
         this.energy = 100;
         this.age = 0;
         this.totalEnergyGained = 0;
         this.fitness = 0;
         
+        // Undigested nutrients and how many meals of each were eaten
+        this.reserves = emptyNutrientTable();
+        this.nutrientsEaten = emptyNutrientTable();
+        
+        // Energy drained this step by cause, used to attribute a death
+        this.lastDrains = {};
+        
         // Neural architecture
-        const inputSize = 81 * 5 + 81 + 6 + 50; // vision(405) + confidence(81) + internal(6) + memory(50)
-        const hiddenSizes = [256, 128, 64];
+        const inputSize = INPUT_SIZE;
+        const { hiddenSizes, ...brainOptions } = brainConfig;
         const outputSize = 5; // up, down, left, right, stay
         
-        this.brain = brain || new NeuralNetwork(inputSize, hiddenSizes, outputSize);
+        this.brain = brain || new NeuralNetwork(inputSize, hiddenSizes, outputSize, rng, brainOptions);
         
         // Sensory and memory systems
         this.vision = [];
@@ -39,16 +68,38 @@ export class ConsciousEntity {
         this.lastTotalEnergy = 0;
         this.lastAction = 'unknown';
         this.lastActionIndex = 4; // Default to 'stay'
+        this.lastMoveBlocked = false;
+        
+        // Recurrent brain state carried between decisions; null starts afresh
+        this.hiddenState = null;
+        
+        // Decisions since the last policy update ({ input, state, action, reward }),
+        // and the running mean of returns that advantages are measured against
+        this.episode = [];
+        this.baseline = 0;
+        
+        // Value head's estimate of the current state and the last decision's
+        // one-step TD error (null without a value head)
+        this.value = null;
+        this.tdError = null;
+        
+        // How often each action was taken, for behaviour-based selection
+        this.actionCounts = [0, 0, 0, 0, 0];
+        
+        // Genotype: the brain as born, kept apart from the learning brain (the
+        // phenotype) by keepGenome(); while null, genotype and brain are one
+        this.genome = null;
         
         // Identity
-        this.id = Math.random().toString(36).substr(2, 9);
+        this.id = rng.id();
     }
     
     /**
      * Update the entity's vision by scanning the environment
      * @param {WorldPhysics} world - The world physics engine
+     * @param {SpatialHash} entityIndex - Per-cell index of living entities
      */
-    updateVision(world, otherEntities = []) {
+    updateVision(world, entityIndex = null) {
         const visionRadius = 4;
         this.vision = [];
         
@@ -61,8 +112,8 @@ export class ConsciousEntity {
                 // Get base physical properties
                 const properties = world.getRawPhysicalProperties(x, y, distance, this.energy);
                 
-                // Add life force detection (Field 5)
-                properties.field5 = this.calculateLifeForce(x, y, otherEntities);
+                // Add life force detection (Field 5) at the cell the topology maps to
+                properties.field5 = this.calculateLifeForce(world.wrap(x), world.wrap(y), entityIndex, world.tick, world);
                 
                 this.vision.push({
                     relativeX: dx,
@@ -77,17 +128,22 @@ export class ConsciousEntity {
     /**
      * Calculate life force field (Field 5) based on nearby entities
      */
-    calculateLifeForce(x, y, otherEntities) {
-        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) {
+    calculateLifeForce(x, y, entityIndex, tick = 0, world = null) {
+        if (!entityIndex || x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) {
             return 0;
         }
         
-        const nearbyEntities = otherEntities.filter(entity => {
+        // Distances wrap around the edges only on a torus
+        const torus = world !== null && world.physics.topology === 'torus';
+        const distanceTo = (entity) => world
+            ? world.distance(entity.x, entity.y, x, y)
+            : Math.abs(entity.x - x) + Math.abs(entity.y - y);
+        
+        const nearbyEntities = entityIndex.query(x, y, 2, torus).filter(entity => {
             if (!entity || entity.energy <= 0) return false;
             if (entity.x === this.x && entity.y === this.y) return false;
             
-            const distance = Math.abs(entity.x - x) + Math.abs(entity.y - y);
-            return distance <= 2;
+            return distanceTo(entity) <= 2;
         });
         
         if (nearbyEntities.length === 0) return 0;
@@ -97,7 +153,7 @@ export class ConsciousEntity {
         // Add influence based on other entities' energy and proximity
         let totalInfluence = 0;
         nearbyEntities.forEach(entity => {
-            const distance = Math.abs(entity.x - x) + Math.abs(entity.y - y);
+            const distance = distanceTo(entity);
             const distanceWeight = 1.0 / (1 + distance * 0.5);
             const energyInfluence = entity.energy / 100.0;
             totalInfluence += energyInfluence * distanceWeight;
@@ -106,7 +162,7 @@ export class ConsciousEntity {
         field5 += totalInfluence * 0.2;
         
         // Add temporal variation
-        field5 += Math.sin((x * y + Date.now() * 0.001) * 0.1) * 0.05;
+        field5 += Math.sin((x * y + tick) * 0.1) * 0.05;
         
         return Math.max(0, Math.min(1, field5));
     }
@@ -124,6 +180,8 @@ export class ConsciousEntity {
             field3: observation.field3,
             field4: observation.field4,
             field5: observation.field5,
+            field6: observation.field6,
+            field7: observation.field7,
             confidence: observation.confidence,
             energy: this.energy,
             action: observation.action || this.lastAction,
@@ -142,7 +200,7 @@ export class ConsciousEntity {
     /**
      * Get memory summary for neural network input
      */
-    getMemorySummary() {
+    getMemorySummary(tick) {
         const summary = new Array(50).fill(0);
         
         if (this.memory.length === 0) return summary;
@@ -153,7 +211,7 @@ export class ConsciousEntity {
             const mem = recentMemories[recentMemories.length - 1 - i];
             const baseIndex = i * 10;
             
-            summary[baseIndex] = (Date.now() - mem.tick) / 1000.0; // Time since memory
+            summary[baseIndex] = (tick - mem.tick) / 100.0; // Time since memory, in cycles
             summary[baseIndex + 1] = Math.abs(this.x - mem.x) / this.gridSize; // Spatial distance
             summary[baseIndex + 2] = Math.abs(this.y - mem.y) / this.gridSize;
             summary[baseIndex + 3] = mem.field1;
@@ -201,37 +259,54 @@ export class ConsciousEntity {
         input.push(cyclePosition);
         
         // Memory summary (50 values)
-        const memorySummary = this.getMemorySummary();
+        const memorySummary = this.getMemorySummary(tick);
         input.push(...memorySummary);
         
+        // Terrain (81 values); newer blocks go last so older brains extend with zero weights
+        for (const visionPoint of this.vision) {
+            input.push(visionPoint.field6 || 0);
+        }
+        
+        // Upper catalyser (81 values), zero unless the world makes it perceivable
+        for (const visionPoint of this.vision) {
+            input.push(visionPoint.field7 || 0);
+        }
+        
         return input;
     }
     
     /**
      * Make a decision based on current state
      */
-    makeDecision(tick) {
-        const input = this.getCellInput(tick);
-        const actionProbs = this.brain.forward(input);
+    makeDecision(tick, input = this.getCellInput(tick)) {
+        const state = this.hiddenState;
+        const trace = this.brain.forwardTrace(input, state);
+        const actionProbs = trace.probabilities;
+        this.hiddenState = trace.state;
         
         // Sample action from probability distribution
-        const rand = Math.random();
+        const rand = this.rng.next();
         let cumProb = 0;
+        let action = 4; // Default: stay
         
         for (let i = 0; i < actionProbs.length; i++) {
             cumProb += actionProbs[i];
             if (rand < cumProb) {
-                return i; // 0=up, 1=down, 2=left, 3=right, 4=stay
+                action = i; // 0=up, 1=down, 2=left, 3=right, 4=stay
+                break;
             }
         }
         
-        return 4; // Default: stay
+        // Keep the input actually decided on, for learning at the episode's end
+        this.episode.push({ input, state, trace, action, reward: 0 });
+        return action;
     }
     
     /**
      * Execute an action (movement)
+     * Moves into walls or past a bounded edge are blocked and leave the entity in place
      */
-    executeAction(action) {
+    executeAction(action, world = null) {
         const moves = [
             {x: 0, y: -1}, // up
             {x: 0, y: 1},  // down  
@@ -241,58 +316,121 @@ export class ConsciousEntity {
         ];
         
         const move = moves[action];
-        // Toroidal world (wraparound)
-        this.x = (this.x + move.x + this.gridSize) % this.gridSize;
-        this.y = (this.y + move.y + this.gridSize) % this.gridSize;
+        // Edges follow the world topology (toroidal wraparound without a world)
+        const x = world ? world.wrap(this.x + move.x) : (this.x + move.x + this.gridSize) % this.gridSize;
+        const y = world ? world.wrap(this.y + move.y) : (this.y + move.y + this.gridSize) % this.gridSize;
+        
+        this.lastMoveBlocked = world !== null && (x < 0 || y < 0 || world.isBlocked(x, y));
+        if (!this.lastMoveBlocked) {
+            this.x = x;
+            this.y = y;
+        }
         
         // Store action for memory and learning
         const actionNames = ['up', 'down', 'left', 'right', 'stay'];
         this.lastAction = actionNames[action];
         this.lastActionIndex = action;
+        this.actionCounts[action]++;
     }
     
     /**
-     * Apply REINFORCE learning based on recent outcomes
+     * Learn from the finished episode. Each decision's discounted return,
+     * less a baseline, scales the gradient of its log probability,
+     * backpropagated through the whole brain. REINFORCE measures returns
+     * against the running-mean baseline; actor-critic bootstraps them from
+     * the value of the state now faced and measures them against the value
+     * head's estimate. A value head, when present, is trained towards the
+     * returns either way.
+     * @param {number[]} nextInput - Input of the decision about to be made
      */
-    applyREINFORCELearning() {
-        if (this.recentOutcomes.length === 0) return;
-        
-        const learningRate = 0.001;
-        
-        // Average recent rewards
-        const avgReward = this.recentOutcomes.reduce((sum, outcome) => sum + outcome.reward, 0) / this.recentOutcomes.length;
+    learnFromEpisode(nextInput) {
+        const steps = this.episode;
+        this.episode = [];
+        const { learner, learningRate, discount, baselineDecay, valueCoefficient } = this.brain.learning;
+        if (learningRate === 0) return;
+        const actorCritic = learner === 'actorCritic';
+        
+        // Discounted returns, accumulated from the last decision back
+        const returns = new Array(steps.length);
+        let runningReturn = actorCritic ? this.brain.forwardTrace(nextInput, this.hiddenState).value : 0;
+        for (let t = steps.length - 1; t >= 0; t--) {
+            runningReturn = steps[t].reward + discount * runningReturn;
+            returns[t] = runningReturn;
+        }
         
-        if (Math.abs(avgReward) < 0.01) return; // Skip if reward is negligible
+        let gradients = null;
+        steps.forEach((step, t) => {
+            const trace = this.traceOf(step);
+            const advantage = returns[t] - (actorCritic ? trace.value : this.baseline);
+            this.baseline = baselineDecay * this.baseline + (1 - baselineDecay) * returns[t];
+            
+            // Skip terms that are negligible
+            if (Math.abs(advantage) >= 0.01) {
+                gradients ??= this.brain.createGradients();
+                this.brain.accumulatePolicyGradient(trace, step.action, advantage, gradients);
+            }
+            if (this.brain.valueHead && Math.abs(returns[t] - trace.value) >= 0.01) {
+                gradients ??= this.brain.createGradients();
+                this.brain.accumulateValueGradient(trace, valueCoefficient * (returns[t] - trace.value), gradients);
+            }
+        });
         
-        // Apply learning to the network
-        const input = this.getCellInput(0); // Approximate input
-        this.brain.applyREINFORCE(input, this.lastActionIndex, avgReward, learningRate);
+        if (gradients) {
+            this.brain.applyGradients(gradients, learningRate);
+        }
+    }
+    
+    /**
+     * Forward trace of an episode decision; decisions restored from a
+     * snapshot are traced again, the brain unchanged since they were made
+     */
+    traceOf(step) {
+        step.trace ??= this.brain.forwardTrace(step.input, step.state);
+        return step.trace;
     }
     
     /**
      * Update entity state (called each simulation step)
      */
-    update(world, otherEntities, tick) {
-        // Energy decay
-        this.energy -= 0.5;
+    update(world, entityIndex, tick) {
+        // Energy decay, plus the cost of standing in water and any hazards here
+        const hazards = world.hazardDamage(this.x, this.y);
+        const drowning = world.terrainEnergyCost(this.x, this.y);
+        this.energy -= 0.5 + drowning + hazards.overheating + hazards.catalyser_toxicity + hazards.storm;
         this.age++;
         
-        // Check for energy consumption
-        const energyGained = world.consumeEnergy(this.x, this.y);
-        if (energyGained > 0) {
-            this.energy += energyGained;
-            this.totalEnergyGained += energyGained;
+        // Reward for the last decision, from what it led to
+        let reward = 0;
+        
+        // Eat any energy here into the matching nutrient reserve
+        const meal = world.consumeEnergy(this.x, this.y, this.id);
+        if (meal) {
+            this.reserves[meal.nutrient] += meal.value;
+            this.nutrientsEaten[meal.nutrient]++;
             
-            // Track positive outcome
+            // Track the outcome: food is positive, toxins negative
+            reward += meal.value > 0 ? 1.0 : -1.0;
             this.recentOutcomes.push({
                 action: this.lastActionIndex,
-                reward: 1.0,
+                reward: meal.value > 0 ? 1.0 : -1.0,
                 tick: tick
             });
         }
         
+        // Digest reserves into energy (sugar at once, fat slowly, toxins drain)
+        const { gained, lost } = digestReserves(this.reserves, type => world.nutrient(type));
+        this.energy += gained - lost;
+        this.totalEnergyGained += gained;
+        this.lastDrains = { drowning, ...hazards, poisoning: lost };
+        
+        // Leave a catalyser trace in the upper dimension
+        if (world.physics.upperInfluence > 0) {
+            world.depositUpper(this.x, this.y);
+        }
+        
         // Track negative outcomes for low energy
         if (this.energy < 20) {
+            reward -= 0.1;
             this.recentOutcomes.push({
                 action: this.lastActionIndex,
                 reward: -0.1,
@@ -304,7 +442,7 @@ export class ConsciousEntity {
         this.recentOutcomes = this.recentOutcomes.filter(outcome => tick - outcome.tick <= 10);
         
         // Update vision
-        this.updateVision(world, otherEntities);
+        this.updateVision(world, entityIndex);
         
         // Record current observation in memory
         const currentObservation = this.vision.find(v => v.distance === 0);
@@ -314,6 +452,8 @@ export class ConsciousEntity {
             
             if (this.totalEnergyGained > this.lastTotalEnergy) {
                 outcome = 'energy_gained';
+            } else if (this.lastMoveBlocked) {
+                outcome = 'blocked';
             } else if (this.energy < previousEnergy - 0.5) {
                 outcome = 'energy_lost';
             }
@@ -327,10 +467,30 @@ export class ConsciousEntity {
             this.lastTotalEnergy = this.totalEnergyGained;
         }
         
+        // Credit the reward to the decision that earned it, and learn once
+        // the episode is complete
+        const input = this.getCellInput(tick);
+        const previous = this.episode[this.episode.length - 1];
+        if (previous) {
+            previous.reward += reward;
+            if (this.brain.valueHead) {
+                this.traceOf(previous); // Its value before learning, for the TD error
+            }
+        }
+        if (this.episode.length >= this.brain.learning.episodeLength) {
+            this.learnFromEpisode(input);
+        }
+        
         // Make decision and execute action
-        const action = this.makeDecision(tick);
-        this.applyREINFORCELearning();
-        this.executeAction(action);
+        const action = this.makeDecision(tick, input);
+        this.executeAction(action, world);
+        
+        // One-step TD error of the previous decision: r + γ V(s') - V(s)
+        if (this.brain.valueHead) {
+            this.value = this.episode[this.episode.length - 1].trace.value;
+            this.tdError = previous ?
+                previous.reward + this.brain.learning.discount * this.value - previous.trace.value : null;
+        }
         
         // Calculate fitness
         this.fitness = this.age + this.totalEnergyGained;
@@ -338,28 +498,175 @@ export class ConsciousEntity {
         return this.energy > 0; // Return false if dead
     }
     
+    /**
+     * Cause of death: the hazard that drained the most energy in the final
+     * step, or plain energy depletion when no hazard was involved
+     */
+    getCauseOfDeath() {
+        let cause = 'energy_depletion';
+        let worst = 0;
+        for (const [name, amount] of Object.entries(this.lastDrains)) {
+            if (amount > worst) {
+                cause = name;
+                worst = amount;
+            }
+        }
+        return cause;
+    }
+    
+    /**
+     * Behaviour descriptor: share of each action taken, then share of each
+     * nutrient eaten (all zero before the first action or meal)
+     * @returns {number[]}
+     */
+    getBehaviour() {
+        const share = (counts) => {
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            return counts.map(count => (total > 0 ? count / total : 0));
+        };
+        return [...share(this.actionCounts), ...share(Object.values(this.nutrientsEaten))];
+    }
+    
+    /**
+     * Keep a copy of the brain as born, so lifetime learning changes only
+     * the phenotype and not the genotype offspring can inherit
+     */
+    keepGenome() {
+        this.genome = this.brain.clone();
+    }
+    
+    /**
+     * The network offspring inherit: the brain as learned (lamarckian), the
+     * genome as born (baldwinian), or the genome moved learnedShare of the
+     * way towards the learned brain (hybrid). Entities without a kept genome
+     * pass on their brain.
+     * @param {object} [inheritance] - { inheritance, learnedShare } (see resolveReproductionConfig)
+     */
+    heritableBrain({ inheritance = 'lamarckian', learnedShare = 1 } = {}) {
+        if (!this.genome || inheritance === 'lamarckian') return this.brain;
+        if (inheritance === 'baldwinian') return this.genome;
+        return this.genome.interpolate(this.brain, learnedShare);
+    }
+    
     /**
      * Create a mutated offspring
+     * @param {object} [structural] - Structural mutation config with its innovation tracker
+     * @param {object} [inheritance] - Inheritance mode (see heritableBrain)
+     */
+    reproduce(mutationRate = 0.1, mutationStrength = 0.1, structural = null, inheritance = {}) {
+        const childBrain = this.heritableBrain(inheritance).mutate(mutationRate, mutationStrength, structural);
+        return new ConsciousEntity(null, null, childBrain, this.gridSize, this.rng);
+    }
+    
+    /**
+     * Create an offspring with a mate: crossover of both brains, then mutation
+     * @param {ConsciousEntity} partner - Second parent; this entity's brain sets the child's shape
+     * @param {string} mode - Crossover mode (see CROSSOVER_MODES)
+     * @param {object} [inheritance] - Inheritance mode (see heritableBrain)
      */
-    reproduce(mutationRate = 0.1, mutationStrength = 0.1) {
-        const child = new ConsciousEntity(null, null, null, this.gridSize);
-        child.brain = this.brain.mutate(mutationRate, mutationStrength);
-        return child;
+    mate(partner, mode, mutationRate = 0.1, mutationStrength = 0.1, structural = null, inheritance = {}) {
+        const childBrain = this.heritableBrain(inheritance).crossover(partner.heritableBrain(inheritance), mode)
+            .mutate(mutationRate, mutationStrength, structural);
+        return new ConsciousEntity(null, null, childBrain, this.gridSize, this.rng);
     }
     
     /**
      * Create an exact copy
      */
     clone() {
-        const copy = new ConsciousEntity(this.x, this.y, null, this.gridSize);
-        copy.brain = this.brain.clone();
+        const copy = new ConsciousEntity(this.x, this.y, this.brain.clone(), this.gridSize, this.rng);
         copy.energy = this.energy;
         copy.age = this.age;
         copy.totalEnergyGained = this.totalEnergyGained;
         copy.fitness = this.fitness;
+        copy.reserves = { ...this.reserves };
+        copy.nutrientsEaten = { ...this.nutrientsEaten };
+        copy.actionCounts = [...this.actionCounts];
+        copy.baseline = this.baseline;
+        copy.hiddenState = this.hiddenState && [...this.hiddenState];
+        copy.genome = this.genome && this.genome.clone();
         return copy;
     }
     
+    /**
+     * Capture the full entity state, including its brain, for a snapshot
+     */
+    toSnapshot() {
+        return {
+            id: this.id,
+            x: this.x,
+            y: this.y,
+            energy: this.energy,
+            age: this.age,
+            totalEnergyGained: this.totalEnergyGained,
+            fitness: this.fitness,
+            reserves: { ...this.reserves },
+            nutrientsEaten: { ...this.nutrientsEaten },
+            vision: this.vision.map(point => ({ ...point })),
+            memory: this.memory.map(mem => ({ ...mem })),
+            recentOutcomes: this.recentOutcomes.map(outcome => ({ ...outcome })),
+            lastTotalEnergy: this.lastTotalEnergy,
+            lastAction: this.lastAction,
+            lastActionIndex: this.lastActionIndex,
+            lastMoveBlocked: this.lastMoveBlocked,
+            lastDrains: { ...this.lastDrains },
+            actionCounts: [...this.actionCounts],
+            hiddenState: this.hiddenState && [...this.hiddenState],
+            episode: this.episode.map(({ input, state, action, reward }) => ({
+                input: [...input], state: state && [...state], action, reward
+            })),
+            baseline: this.baseline,
+            genome: this.genome && this.genome.serialize(),
+            value: this.value,
+            tdError: this.tdError,
+            brain: this.brain.serialize()
+        };
+    }
+    
+    /**
+     * Rebuild an entity from a snapshot created by toSnapshot()
+     */
+    static fromSnapshot(snapshot, gridSize, rng) {
+        const brain = NeuralNetwork.deserialize(snapshot.brain, rng);
+        
+        // Brains from before the terrain or upper catalyser inputs ignore them
+        const inputs = brain.getArchitecture().structure[0].inputs;
+        if (inputs < INPUT_SIZE) {
+            brain.expandInputs(INPUT_SIZE - inputs);
+        }
+        
+        const entity = new ConsciousEntity(snapshot.x, snapshot.y, brain, gridSize, rng);
+        
+        entity.id = snapshot.id;
+        entity.energy = snapshot.energy;
+        entity.age = snapshot.age;
+        entity.totalEnergyGained = snapshot.totalEnergyGained;
+        entity.fitness = snapshot.fitness;
+        Object.assign(entity.reserves, snapshot.reserves);
+        Object.assign(entity.nutrientsEaten, snapshot.nutrientsEaten);
+        entity.vision = snapshot.vision.map(point => ({ ...point }));
+        entity.memory = snapshot.memory.map(mem => ({ ...mem }));
+        entity.recentOutcomes = snapshot.recentOutcomes.map(outcome => ({ ...outcome }));
+        entity.lastTotalEnergy = snapshot.lastTotalEnergy;
+        entity.lastAction = snapshot.lastAction;
+        entity.lastActionIndex = snapshot.lastActionIndex;
+        entity.lastMoveBlocked = snapshot.lastMoveBlocked ?? false;
+        entity.lastDrains = { ...snapshot.lastDrains };
+        // Snapshots from before action counting start from zero
+        entity.actionCounts = [...(snapshot.actionCounts ?? entity.actionCounts)];
+        // Snapshots from before episode learning start a fresh episode
+        entity.episode = (snapshot.episode ?? []).map(step => ({
+            ...step, input: [...step.input], state: step.state ? [...step.state] : null
+        }));
+        entity.hiddenState = snapshot.hiddenState ? [...snapshot.hiddenState] : null;
+        entity.genome = snapshot.genome ? NeuralNetwork.deserialize(snapshot.genome, rng) : null;
+        entity.baseline = snapshot.baseline ?? 0;
+        entity.value = snapshot.value ?? null;
+        entity.tdError = snapshot.tdError ?? null;
+        
+        return entity;
+    }
+    
     /**
      * Get entity status
      */
@@ -371,8 +678,12 @@ export class ConsciousEntity {
             age: this.age,
             fitness: this.fitness,
             totalEnergyGained: this.totalEnergyGained,
+            reserves: { ...this.reserves },
+            nutrientsEaten: { ...this.nutrientsEaten },
             memorySize: this.memory.length,
             recentOutcomes: this.recentOutcomes.length,
+            value: this.value,
+            tdError: this.tdError,
             lastAction: this.lastAction
         };
     }
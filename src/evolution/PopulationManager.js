@@ -3,31 +3,107 @@
  * 
  * Features:
  * - Maintains a fixed population of conscious entities
- * - Fitness-based evolution when entities die
- * - Genetic algorithm with mutation
+ * - Evolution when entities die, with parents chosen by a pluggable selection
+ *   strategy (see Selection.js)
+ * - Genetic algorithm with mutation, and optional two-parent crossover
  * - Population statistics and tracking
  * - Generation management
+ * - Per-cell spatial index of entities for neighbourhood sensing
+ * - One or more brain configs; population slots cycle through them so brain
+ *   architectures can compete, and offspring keep their parent's architecture
+ * - Optional structural mutation of offspring brains, with neuron ids drawn
+ *   from a shared innovation tracker (see StructuralMutation.js)
+ * - Lamarckian, Baldwinian or hybrid inheritance of lifetime learning
  */
 
-import { ConsciousEntity } from './ConsciousEntity.js';
+import { ConsciousEntity, INHERITANCE_MODES } from './ConsciousEntity.js';
+import { createSelection, resolveSelection } from './Selection.js';
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { SpatialHash } from '../utils/SpatialHash.js';
+import { DEFAULT_BRAIN_CONFIG, CROSSOVER_MODES } from '../neural/NeuralNetwork.js';
+import { DEFAULT_STRUCTURAL_MUTATION, InnovationTracker, hasStructuralMutation } from '../neural/StructuralMutation.js';
+
+export const DEFAULT_REPRODUCTION_CONFIG = {
+    selection: { strategy: 'best' }, // Parent selection strategy and its options
+    crossoverRate: 0,           // Chance a birth has two parents (0 keeps single-parent reproduction)
+    crossoverMode: 'uniform',   // Crossover operator: uniform, neuron or layer
+    inheritance: 'lamarckian',  // Offspring inherit the brain as learned (lamarckian), as born (baldwinian) or a blend (hybrid)
+    learnedShare: 0.5           // Share of lifetime learning passed on under hybrid inheritance
+};
+
+/**
+ * Merge reproduction config overrides over the defaults, rejecting unknown or invalid values
+ * @param {object} overrides - Partial reproduction config
+ * @param {object|Array<object>} [brainConfig] - Resolved brain config(s) the
+ *   population breeds with, checked against the inheritance mode
+ * @returns {object} - Complete reproduction config
+ */
+export function resolveReproductionConfig(overrides = {}, brainConfig = []) {
+    const config = { ...DEFAULT_REPRODUCTION_CONFIG };
+    
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_REPRODUCTION_CONFIG)) {
+            throw new Error(`Unknown reproduction parameter: ${key}`);
+        }
+        config[key] = value;
+    }
+    
+    if (typeof config.crossoverRate !== 'number' || !(config.crossoverRate >= 0 && config.crossoverRate <= 1)) {
+        throw new Error('Reproduction crossoverRate must be a number from 0 to 1');
+    }
+    if (!CROSSOVER_MODES.includes(config.crossoverMode)) {
+        throw new Error(`Invalid crossover mode "${config.crossoverMode}" (expected ${CROSSOVER_MODES.join(', ')})`);
+    }
+    if (!INHERITANCE_MODES.includes(config.inheritance)) {
+        throw new Error(`Invalid inheritance "${config.inheritance}" (expected ${INHERITANCE_MODES.join(', ')})`);
+    }
+    if (typeof config.learnedShare !== 'number' || !(config.learnedShare >= 0 && config.learnedShare <= 1)) {
+        throw new Error('Reproduction learnedShare must be a number from 0 to 1');
+    }
+    // Genomes never learn, so they have no optimizer state to pass on
+    if (config.inheritance !== 'lamarckian' && [].concat(brainConfig).some(brain => brain.optimizer?.inherit)) {
+        throw new Error(`Optimizer inherit needs lamarckian inheritance (got ${config.inheritance})`);
+    }
+    config.selection = resolveSelection(config.selection);
+    
+    return config;
+}
 
 export class PopulationManager {
-    constructor(populationSize = 5, gridSize = 100) {
+    /**
+     * @param {object|object[]} brainConfig - Resolved brain config, or a list assigned to slots in turn
+     * @param {object} structuralMutation - Resolved structural mutation config (see resolveStructuralMutation)
+     * @param {object} reproduction - Resolved reproduction config (see resolveReproductionConfig)
+     */
+    constructor(populationSize = 5, gridSize = 100, rng = new SeededRandom(), brainConfig = DEFAULT_BRAIN_CONFIG,
+                structuralMutation = DEFAULT_STRUCTURAL_MUTATION, reproduction = DEFAULT_REPRODUCTION_CONFIG) {
         this.populationSize = populationSize;
         this.gridSize = gridSize;
+        this.rng = rng;
+        this.brainConfigs = [].concat(brainConfig);
         this.entities = [];
         this.generation = 0;
         this.totalDeaths = 0;
+        this.deathCauses = {};
         this.bestFitness = 0;
         this.allTimeBest = null;
         
         // Evolution parameters
         this.mutationRate = 0.1;
         this.mutationStrength = 0.1;
+        this.structuralMutation = structuralMutation;
+        this.setReproduction(reproduction);
+        this.innovations = new InnovationTracker();
         
         // Statistics
         this.generationStats = [];
         
+        // Log individual deaths to the console
+        this.verbose = true;
+        
+        // Positions of living entities, rebuilt each update and kept in sync as they move
+        this.entityIndex = new SpatialHash(gridSize);
+        
         // Initialize population
         this.initializePopulation();
     }
@@ -38,26 +114,57 @@ export class PopulationManager {
     initializePopulation() {
         this.entities = [];
         for (let i = 0; i < this.populationSize; i++) {
-            this.entities.push(new ConsciousEntity(null, null, null, this.gridSize));
+            this.entities.push(this.createRandomEntity(i));
+        }
+    }
+    
+    /**
+     * Create an entity with a fresh brain built from the slot's brain config
+     */
+    createRandomEntity(slot) {
+        const brainConfig = this.brainConfigs[slot % this.brainConfigs.length];
+        return this.keepGenome(new ConsciousEntity(null, null, null, this.gridSize, this.rng, brainConfig));
+    }
+    
+    /**
+     * Have a newborn keep its genome apart from its learning brain, unless
+     * inheritance is Lamarckian and the two may be one
+     */
+    keepGenome(entity) {
+        if (this.reproduction.inheritance !== 'lamarckian') {
+            entity.keepGenome();
         }
+        return entity;
     }
     
     /**
      * Update all entities in the population
      */
     update(world, tick, dbAPI = null, sessionId = null) {
-        const livingEntities = this.entities.filter(entity => entity.energy > 0);
+        // Entities spawned on or walled in by terrain step to the nearest open cell
+        for (const entity of this.entities) {
+            if (entity && world.isBlocked(entity.x, entity.y)) {
+                Object.assign(entity, world.nearestOpenCell(entity.x, entity.y));
+            }
+        }
+        
+        // Index entities alive at the start of the tick; replacements join next tick
+        this.entityIndex.rebuild(this.getLivingEntities());
         
         // Update each entity
         for (let i = 0; i < this.entities.length; i++) {
             const entity = this.entities[i];
             if (!entity || entity.energy <= 0) continue;
             
-            const survived = entity.update(world, livingEntities, tick);
+            const oldX = entity.x;
+            const oldY = entity.y;
+            const survived = entity.update(world, this.entityIndex, tick);
+            this.entityIndex.relocate(entity, oldX, oldY);
             
-            // Database API logging for entity metrics
+            // Database API logging for entity metrics; the reward column
+            // holds the critic's TD error for brains with a value head
             if (dbAPI && sessionId && survived) {
-                dbAPI.recordEntityMetrics(entity, tick, entity.lastAction);
+                dbAPI.recordEntityMetrics(entity, tick, entity.lastAction, entity.tdError);
                 
                 // Note: Memory storage would require a separate API endpoint
                 // For now, we'll focus on the main metrics
@@ -69,56 +176,174 @@ export class PopulationManager {
         }
     }
     
+    /**
+     * Kill a random fraction of the living entities (a scheduled catastrophe);
+     * each is replaced by offspring of the survivors like any other death
+     * @returns {number} - Number of entities culled
+     */
+    cull(fraction, tick, dbAPI = null, sessionId = null) {
+        const living = [];
+        this.entities.forEach((entity, i) => {
+            if (entity && entity.energy > 0) living.push(i);
+        });
+        
+        // Partial Fisher-Yates shuffle picks the victims
+        const count = Math.round(living.length * fraction);
+        for (let i = 0; i < count; i++) {
+            const j = i + this.rng.nextInt(living.length - i);
+            [living[i], living[j]] = [living[j], living[i]];
+        }
+        
+        // Mark every victim first so none is chosen as a parent
+        const victims = living.slice(0, count);
+        for (const i of victims) {
+            const entity = this.entities[i];
+            entity.lastDrains = { culled: entity.energy };
+            entity.energy = 0;
+        }
+        for (const i of victims) {
+            this.handleEntityDeath(i, dbAPI, sessionId, tick);
+        }
+        
+        return count;
+    }
+    
     /**
      * Handle entity death and create replacement
      */
     handleEntityDeath(entityIndex, dbAPI = null, sessionId = null, tick = 0) {
         const deadEntity = this.entities[entityIndex];
         
+        const causeOfDeath = deadEntity.getCauseOfDeath();
+        
         // Database API logging for death
         if (dbAPI && sessionId) {
-            dbAPI.recordEntityDeath(deadEntity, tick, 'energy_depletion');
+            dbAPI.recordEntityDeath(deadEntity, tick, causeOfDeath);
         }
         
         // Update statistics
         this.totalDeaths++;
+        this.deathCauses[causeOfDeath] = (this.deathCauses[causeOfDeath] || 0) + 1;
         if (deadEntity.fitness > this.bestFitness) {
             this.bestFitness = deadEntity.fitness;
             this.allTimeBest = deadEntity.clone();
         }
         
-        console.log(`Entity ${deadEntity.id} died! Age: ${deadEntity.age}, Energy gained: ${deadEntity.totalEnergyGained}, Fitness: ${deadEntity.fitness}`);
+        if (this.verbose) {
+            console.log(`Entity ${deadEntity.id} died (${causeOfDeath})! Age: ${deadEntity.age}, Energy gained: ${deadEntity.totalEnergyGained}, Fitness: ${deadEntity.fitness}`);
+        }
+        
+        // Strategies with archives remember the dead
+        this.selection.recordDeath(deadEntity);
         
-        // Find best living entity for breeding
-        const bestParent = this.findBestLivingEntity();
+        // Select a parent for breeding, and a mate when crossing over
+        const choice = this.selectParent();
+        const parent = choice?.entity ?? null;
+        const mateChoice = parent ? this.chooseMate(parent) : null;
+        const mate = mateChoice?.entity ?? null;
         
         // Create new entity
         let newEntity;
-        if (bestParent) {
-            // Breed from best living entity
-            newEntity = bestParent.reproduce(this.mutationRate, this.mutationStrength);
+        if (parent) {
+            // Breed from the selected parent
+            newEntity = this.breed(parent, mate);
         } else {
             // No living entities - create random
-            newEntity = new ConsciousEntity(null, null, null, this.gridSize);
+            newEntity = this.createRandomEntity(entityIndex);
         }
         
         // Database API logging for birth
         if (dbAPI && sessionId) {
-            dbAPI.recordEntityBirth(newEntity, this.generation, tick, bestParent?.id);
+            dbAPI.recordEntityBirth(newEntity, this.generation, tick, parent?.id, mate?.id);
             
-            // Record mutation event
-            if (bestParent) {
+            // Record crossover event
+            if (mate) {
                 dbAPI.recordEvolutionEvent(
-                    tick, 'mutation', newEntity.id, bestParent.id, null,
-                    { mutationRate: this.mutationRate, mutationStrength: this.mutationStrength }
+                    tick, 'crossover', newEntity.id, parent.id, null,
+                    {
+                        secondParentId: mate.id,
+                        crossoverMode: this.reproduction.crossoverMode,
+                        selection: this.describeSelection(mateChoice)
+                    }
                 );
             }
+            
+            // Record mutation event, with how the parent was selected and any structural changes
+            if (parent) {
+                const mutationData = {
+                    mutationRate: this.mutationRate,
+                    mutationStrength: this.mutationStrength,
+                    selection: this.describeSelection(choice),
+                    inheritance: this.reproduction.inheritance
+                };
+                if (this.reproduction.inheritance === 'hybrid') {
+                    mutationData.learnedShare = this.reproduction.learnedShare;
+                }
+                if (newEntity.brain.structuralChanges.length > 0) {
+                    mutationData.structuralChanges = newEntity.brain.structuralChanges;
+                }
+                dbAPI.recordEvolutionEvent(tick, 'mutation', newEntity.id, parent.id, null, mutationData);
+            }
         }
         
         this.entities[entityIndex] = newEntity;
         this.generation++;
     }
     
+    /**
+     * Use a reproduction config, creating its selection strategy
+     * @param {object} reproduction - Resolved reproduction config
+     */
+    setReproduction(reproduction) {
+        this.reproduction = reproduction;
+        this.selection = createSelection(reproduction.selection);
+    }
+    
+    /**
+     * Select a parent among the living with the configured strategy
+     * @param {ConsciousEntity} [exclude] - Entity that may not be chosen
+     * @returns {object|null} - { entity, ...details of the choice }, or null without candidates
+     */
+    selectParent(exclude = null) {
+        const candidates = this.getLivingEntities().filter(entity => entity !== exclude);
+        return this.selection.select(candidates, this.rng, exclude);
+    }
+    
+    /**
+     * Pick a second parent for a birth: with chance crossoverRate, selected
+     * like the first parent from the other entities; without one the birth
+     * falls back to single-parent reproduction
+     * @returns {object|null} - Selection choice, or null for single-parent reproduction
+     */
+    chooseMate(parent) {
+        if (this.reproduction.crossoverRate === 0 || this.rng.next() >= this.reproduction.crossoverRate) {
+            return null;
+        }
+        return this.selectParent(parent);
+    }
+    
+    /**
+     * Selection config plus the details of a choice, for evolution event data
+     */
+    describeSelection(choice) {
+        const { entity, ...details } = choice;
+        return { ...this.reproduction.selection, ...details };
+    }
+    
+    /**
+     * Create a mutated offspring of a parent, crossed with a mate when given
+     * and structurally mutated when enabled, from the brains the inheritance
+     * mode passes on
+     */
+    breed(parent, mate = null) {
+        const structural = hasStructuralMutation(this.structuralMutation) ?
+            { ...this.structuralMutation, innovations: this.innovations } : null;
+        const child = mate ?
+            parent.mate(mate, this.reproduction.crossoverMode, this.mutationRate, this.mutationStrength, structural, this.reproduction) :
+            parent.reproduce(this.mutationRate, this.mutationStrength, structural, this.reproduction);
+        return this.keepGenome(child);
+    }
+    
     /**
      * Find the entity with highest fitness among living entities
      */
@@ -162,6 +387,7 @@ export class PopulationManager {
                 bestCurrentFitness: 0,
                 generation: this.generation,
                 totalDeaths: this.totalDeaths,
+                deathCauses: { ...this.deathCauses },
                 bestAllTimeFitness: this.bestFitness
             };
         }
@@ -181,6 +407,7 @@ export class PopulationManager {
             bestCurrentFitness: Math.round(bestCurrentFitness),
             generation: this.generation,
             totalDeaths: this.totalDeaths,
+            deathCauses: { ...this.deathCauses },
             bestAllTimeFitness: Math.round(this.bestFitness)
         };
     }
@@ -253,9 +480,12 @@ export class PopulationManager {
     reset() {
         this.generation = 0;
         this.totalDeaths = 0;
+        this.deathCauses = {};
         this.bestFitness = 0;
         this.allTimeBest = null;
         this.generationStats = [];
+        this.innovations.reset();
+        this.selection.reset();
         this.initializePopulation();
     }
     
@@ -299,11 +529,56 @@ export class PopulationManager {
         }
         
         if (weakestIndex !== -1 && strongest) {
-            this.entities[weakestIndex] = strongest.reproduce(this.mutationRate, this.mutationStrength);
+            this.entities[weakestIndex] = this.breed(strongest, this.chooseMate(strongest)?.entity);
             console.log(`Forced evolution: Replaced weakest (fitness ${weakestFitness}) with offspring of strongest (fitness ${strongestFitness})`);
         }
     }
     
+    /**
+     * Capture the complete population state for a snapshot
+     */
+    toSnapshot() {
+        return {
+            populationSize: this.populationSize,
+            generation: this.generation,
+            totalDeaths: this.totalDeaths,
+            deathCauses: { ...this.deathCauses },
+            bestFitness: this.bestFitness,
+            allTimeBest: this.allTimeBest ? this.allTimeBest.toSnapshot() : null,
+            mutationRate: this.mutationRate,
+            mutationStrength: this.mutationStrength,
+            innovations: this.innovations.toSnapshot(),
+            selection: this.selection.toSnapshot(),
+            generationStats: this.generationStats.map(stat => ({ ...stat })),
+            entities: this.entities.map(entity => entity.toSnapshot())
+        };
+    }
+    
+    /**
+     * Restore the population from a snapshot created by toSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        this.populationSize = snapshot.populationSize;
+        this.generation = snapshot.generation;
+        this.totalDeaths = snapshot.totalDeaths;
+        this.deathCauses = { ...snapshot.deathCauses };
+        this.bestFitness = snapshot.bestFitness;
+        this.allTimeBest = snapshot.allTimeBest ?
+            ConsciousEntity.fromSnapshot(snapshot.allTimeBest, this.gridSize, this.rng) : null;
+        this.mutationRate = snapshot.mutationRate;
+        this.mutationStrength = snapshot.mutationStrength;
+        // Snapshots from before innovation tracking start counting from zero
+        this.innovations.restoreSnapshot(snapshot.innovations);
+        // Snapshots from before selection strategies had no archives
+        if (snapshot.selection) {
+            this.selection.restoreSnapshot(snapshot.selection, this.gridSize, this.rng);
+        } else {
+            this.selection.reset();
+        }
+        this.generationStats = snapshot.generationStats.map(stat => ({ ...stat }));
+        this.entities = snapshot.entities.map(data => ConsciousEntity.fromSnapshot(data, this.gridSize, this.rng));
+    }
+    
     /**
      * Export population state for analysis
      */
@@ -0,0 +1,266 @@
+/**
+ * Selection - Strategies for choosing the parents of newborn entities
+ *
+ * When an entity dies, PopulationManager asks the configured strategy for a
+ * parent (and for a mate on crossover births):
+ * - best: the fittest living entity (the original behaviour)
+ * - tournament: the fittest of `size` living entities drawn at random
+ * - roulette: a living entity drawn with probability proportional to fitness
+ * - rank: a living entity drawn by fitness rank; `pressure` from 1 (uniform)
+ *   to 2 (the worst never breeds)
+ * - elitism: a random member of the `eliteCount` fittest among the living and
+ *   an archive of the `archiveSize` fittest entities that ever died
+ * - novelty: the living entity whose behaviour (action and diet frequencies)
+ *   is furthest from its `neighbours` nearest neighbours among the living and
+ *   an archive of the last `archiveSize` dead entities
+ *
+ * Reproduction configs name a strategy and its options, e.g.
+ * { strategy: 'tournament', size: 3 }; options left out take the defaults.
+ * Each choice is described in the birth's mutation event, so regimes can be
+ * compared from evolution_events.event_data.
+ *
+ * More strategies can be added with
+ * registerSelection(name, { defaults, validate, create(options) }), where
+ * create returns an object with select(candidates, rng, exclude) and
+ * optionally recordDeath, reset, toSnapshot and restoreSnapshot. candidates
+ * never include exclude (the first parent when choosing a mate); strategies
+ * that also draw from an archive must leave it out themselves.
+ */
+
+import { ConsciousEntity } from './ConsciousEntity.js';
+
+const STRATEGIES = new Map();
+
+/**
+ * Register a selection strategy
+ * @param {string} name - Strategy name used in reproduction configs
+ * @param {object} definition - { defaults, validate(options), create(options) }
+ */
+export function registerSelection(name, definition) {
+    STRATEGIES.set(name, { defaults: {}, validate: () => {}, ...definition });
+}
+
+/**
+ * Look up a registered selection strategy
+ * @throws {Error} - If the strategy is unknown
+ */
+export function getSelection(name) {
+    const strategy = STRATEGIES.get(name);
+    if (!strategy) {
+        throw new Error(`Unknown selection strategy "${name}" (expected ${[...STRATEGIES.keys()].join(', ')})`);
+    }
+    return strategy;
+}
+
+/**
+ * Validate a selection config and fill in the strategy's defaults
+ * @param {object} config - { strategy, ...options }
+ * @returns {object} - Complete selection config
+ */
+export function resolveSelection(config = {}) {
+    const { strategy = 'best', ...options } = config || {};
+    const definition = getSelection(strategy);
+
+    for (const key of Object.keys(options)) {
+        if (!(key in definition.defaults)) {
+            throw new Error(`Unknown ${strategy} selection option: ${key}`);
+        }
+    }
+
+    const complete = { ...definition.defaults, ...options };
+    definition.validate(complete);
+    return { strategy, ...complete };
+}
+
+/**
+ * Build the strategy object for a resolved selection config
+ */
+export function createSelection(config) {
+    const { strategy, ...options } = config;
+    return {
+        recordDeath: () => {},
+        reset: () => {},
+        toSnapshot: () => null,
+        restoreSnapshot: () => {},
+        ...getSelection(strategy).create(options)
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Strategies
+// ---------------------------------------------------------------------------
+
+const requireInteger = (strategy, key, value, min) => {
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`Selection ${strategy}.${key} must be an integer of at least ${min}`);
+    }
+};
+
+const fittest = (entities) => entities.reduce((best, entity) => (entity.fitness > best.fitness ? entity : best));
+
+const byFitness = (a, b) => b.fitness - a.fitness;
+
+registerSelection('best', {
+    create: () => ({
+        select: (candidates) => (candidates.length > 0 ? { entity: fittest(candidates) } : null)
+    })
+});
+
+registerSelection('tournament', {
+    defaults: { size: 3 },
+    validate: (options) => requireInteger('tournament', 'size', options.size, 1),
+    create: ({ size }) => ({
+        select(candidates, rng) {
+            if (candidates.length === 0) return null;
+            // Contestants are drawn with replacement
+            const contestants = Array.from({ length: size }, () => candidates[rng.nextInt(candidates.length)]);
+            return { entity: fittest(contestants), contestants: contestants.map(entity => entity.id) };
+        }
+    })
+});
+
+registerSelection('roulette', {
+    create: () => ({
+        select(candidates, rng) {
+            if (candidates.length === 0) return null;
+            const total = candidates.reduce((sum, entity) => sum + Math.max(0, entity.fitness), 0);
+            // Without any fitness yet, every candidate is equally likely
+            if (total === 0) {
+                return { entity: candidates[rng.nextInt(candidates.length)] };
+            }
+
+            let roll = rng.next() * total;
+            for (const entity of candidates) {
+                roll -= Math.max(0, entity.fitness);
+                if (roll < 0) return { entity };
+            }
+            return { entity: candidates[candidates.length - 1] };
+        }
+    })
+});
+
+registerSelection('rank', {
+    defaults: { pressure: 1.5 },
+    validate(options) {
+        if (typeof options.pressure !== 'number' || !(options.pressure >= 1 && options.pressure <= 2)) {
+            throw new Error('Selection rank.pressure must be a number from 1 to 2');
+        }
+    },
+    create: ({ pressure }) => ({
+        select(candidates, rng) {
+            const n = candidates.length;
+            if (n === 0) return null;
+            if (n === 1) return { entity: candidates[0], rank: 1 };
+
+            // Linear ranking: rank i (0 = least fit) has weight (2 - s) + 2 i (s - 1) / (n - 1)
+            const ranked = [...candidates].sort((a, b) => a.fitness - b.fitness);
+            let roll = rng.next() * n;
+            for (let i = 0; i < n; i++) {
+                roll -= (2 - pressure) + (2 * i * (pressure - 1)) / (n - 1);
+                if (roll < 0) return { entity: ranked[i], rank: n - i };
+            }
+            return { entity: ranked[n - 1], rank: 1 };
+        }
+    })
+});
+
+registerSelection('elitism', {
+    defaults: { eliteCount: 3, archiveSize: 10 },
+    validate(options) {
+        requireInteger('elitism', 'eliteCount', options.eliteCount, 1);
+        requireInteger('elitism', 'archiveSize', options.archiveSize, 0);
+    },
+    create: ({ eliteCount, archiveSize }) => ({
+        // Fittest dead entities, fittest first
+        archive: [],
+
+        select(candidates, rng, exclude = null) {
+            // An archived first parent may not be its own mate
+            const archived = this.archive.filter(entity => entity.id !== exclude?.id);
+            const pool = [...candidates, ...archived].sort(byFitness).slice(0, eliteCount);
+            if (pool.length === 0) return null;
+            const entity = pool[rng.nextInt(pool.length)];
+            return { entity, fromArchive: !candidates.includes(entity) };
+        },
+
+        recordDeath(entity) {
+            if (archiveSize === 0) return;
+            this.archive.push(entity);
+            this.archive.sort(byFitness);
+            this.archive.length = Math.min(this.archive.length, archiveSize);
+        },
+
+        reset() {
+            this.archive = [];
+        },
+
+        toSnapshot() {
+            return { archive: this.archive.map(entity => entity.toSnapshot()) };
+        },
+
+        restoreSnapshot(snapshot, gridSize, rng) {
+            this.archive = snapshot.archive.map(data => ConsciousEntity.fromSnapshot(data, gridSize, rng));
+        }
+    })
+});
+
+registerSelection('novelty', {
+    defaults: { neighbours: 3, archiveSize: 20 },
+    validate(options) {
+        requireInteger('novelty', 'neighbours', options.neighbours, 1);
+        requireInteger('novelty', 'archiveSize', options.archiveSize, 0);
+    },
+    create: ({ neighbours, archiveSize }) => ({
+        // Behaviour descriptors of recently dead entities, oldest first
+        archive: [],
+
+        select(candidates) {
+            if (candidates.length === 0) return null;
+            const behaviours = candidates.map(entity => entity.getBehaviour());
+
+            let best = null;
+            let bestNovelty = -1;
+            candidates.forEach((entity, i) => {
+                const others = [...behaviours.filter((_, j) => j !== i), ...this.archive];
+                const novelty = meanNearestDistance(behaviours[i], others, neighbours);
+                if (novelty > bestNovelty) {
+                    best = entity;
+                    bestNovelty = novelty;
+                }
+            });
+            return { entity: best, novelty: bestNovelty };
+        },
+
+        recordDeath(entity) {
+            if (archiveSize === 0) return;
+            this.archive.push(entity.getBehaviour());
+            if (this.archive.length > archiveSize) {
+                this.archive.shift();
+            }
+        },
+
+        reset() {
+            this.archive = [];
+        },
+
+        toSnapshot() {
+            return { archive: this.archive.map(behaviour => [...behaviour]) };
+        },
+
+        restoreSnapshot(snapshot) {
+            this.archive = snapshot.archive.map(behaviour => [...behaviour]);
+        }
+    })
+});
+
+/**
+ * Mean Euclidean distance from a behaviour to its k nearest others (0 with none)
+ */
+function meanNearestDistance(behaviour, others, k) {
+    if (others.length === 0) return 0;
+    const distances = others
+        .map(other => Math.sqrt(other.reduce((sum, value, i) => sum + (value - behaviour[i]) ** 2, 0)))
+        .sort((a, b) => a - b)
+        .slice(0, k);
+    return distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+}
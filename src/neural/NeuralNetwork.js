@@ -2,31 +2,235 @@
  * Neural Network Implementation for Consciousness Simulation
  * 
  * Features:
- * - Multi-layer feedforward architecture
+ * - Multi-layer feedforward architecture, optionally with an Elman recurrent
+ *   layer whose state the caller carries from one step to the next
  * - Gaussian weight initialization
- * - ReLU activation for hidden layers
- * - Softmax output for action probability distribution
- * - Mutation-based evolution
- * - REINFORCE learning for immediate feedback
+ * - Configurable hidden activation (ReLU, tanh, leaky ReLU, sigmoid)
+ * - Configurable output head turning outputs into action probabilities
+ * - Mutation-based evolution, optionally structural (see StructuralMutation.js)
+ * - Crossover of two parent networks (uniform, per neuron or per layer)
+ * - Policy gradient learning, backpropagated through every layer
+ * - Optional value head estimating expected return, for actor-critic learning
+ * - Pluggable optimizers (see Optimizers.js) with per-network state
+ *
+ * Brain configs ({ hiddenSizes, activation, outputHead, temperature } and the
+ * learning settings) are checked by resolveBrainConfig(); DEFAULT_BRAIN_CONFIG
+ * is the original [256, 128, 64] ReLU network with a softmax head.
  */
 
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { geneIndex, initialNeuronIds, inputIds, mutateStructure } from './StructuralMutation.js';
+import {
+    applyOptimizer, copyOptimizerState, deserializeOptimizerState, remapOptimizerState,
+    resolveOptimizer, serializeOptimizerState
+} from './Optimizers.js';
+
+// Hidden layer activation functions
+export const ACTIVATIONS = {
+    relu: (x) => Math.max(0, x),
+    tanh: (x) => Math.tanh(x),
+    leakyRelu: (x) => (x > 0 ? x : 0.01 * x),
+    sigmoid: (x) => 1 / (1 + Math.exp(-x))
+};
+
+// Activation derivatives from the weighted sum x and its activation y
+const ACTIVATION_DERIVATIVES = {
+    relu: (x) => (x > 0 ? 1 : 0),
+    tanh: (x, y) => 1 - y * y,
+    leakyRelu: (x) => (x > 0 ? 1 : 0.01),
+    sigmoid: (x, y) => y * (1 - y)
+};
+
+// Output heads: raw outputs to a probability distribution over actions
+export const OUTPUT_HEADS = {
+    // Softmax of outputs divided by the temperature
+    softmax: (outputs, temperature) => softmax(outputs.map(x => x / temperature)),
+    // All probability on the strongest output (a deterministic policy)
+    greedy: (outputs) => {
+        const best = outputs.indexOf(Math.max(...outputs));
+        return outputs.map((x, i) => (i === best ? 1 : 0));
+    },
+    // Independent sigmoid per action, normalised to sum to 1
+    sigmoid: (outputs) => {
+        const values = outputs.map(x => 1 / (1 + Math.exp(-x)));
+        const sum = values.reduce((a, b) => a + b, 0);
+        return values.map(x => x / sum);
+    }
+};
+
+// Gradients of log π(action) with respect to the raw outputs, per output head
+const HEAD_GRADIENTS = {
+    softmax: (outputs, probabilities, action, temperature) =>
+        probabilities.map((p, j) => ((j === action ? 1 : 0) - p) / temperature),
+    // A greedy policy has no useful gradient; learn through the softmax of its outputs
+    greedy: (outputs, probabilities, action) =>
+        softmax(outputs).map((p, j) => (j === action ? 1 : 0) - p),
+    // log π(a) = log σ(z_a) - log Σ σ(z)
+    sigmoid: (outputs, probabilities, action) => {
+        const values = outputs.map(x => 1 / (1 + Math.exp(-x)));
+        const sum = values.reduce((a, b) => a + b, 0);
+        return values.map((s, j) => (j === action ? 1 - s : 0) - s * (1 - s) / sum);
+    }
+};
+
+// Recurrence: 'elman' feeds the last hidden layer its own previous activations
+export const RECURRENT_TYPES = ['none', 'elman'];
+
+// Lifetime learning algorithms: REINFORCE with a running-mean baseline, or
+// advantage actor-critic (A2C) with the value head as critic
+export const LEARNERS = ['reinforce', 'actorCritic'];
+
+// Id of the value head's neuron, an extra row of the output layer
+const VALUE_NEURON_ID = 'v';
+
+// Crossover operators: choose a parent per gene, per neuron or per layer
+export const CROSSOVER_MODES = ['uniform', 'neuron', 'layer'];
+
+export const DEFAULT_BRAIN_CONFIG = {
+    hiddenSizes: [256, 128, 64],      // Neurons per hidden layer
+    activation: 'relu',               // Hidden activation: relu, tanh, leakyRelu or sigmoid
+    outputHead: 'softmax',            // Action distribution: softmax, greedy or sigmoid
+    temperature: 1,                   // Softmax temperature (higher explores more)
+    recurrent: 'none',                // Recurrent last hidden layer: none or elman
+    valueHead: false,                 // Extra linear output estimating expected return
+    learner: 'reinforce',             // Lifetime learning: reinforce or actorCritic (needs valueHead)
+    learningRate: 0.001,              // Policy gradient step size (0 disables learning)
+    discount: 0.9,                    // Discount of later rewards in episode returns
+    episodeLength: 10,                // Decisions per policy gradient update
+    baselineDecay: 0.99,              // Running-mean reward baseline smoothing
+    valueCoefficient: 0.5,            // Weight of value errors in critic updates
+    optimizer: { type: 'sgd', inherit: false } // Update rule and options (see Optimizers.js)
+};
+
+// Brain config keys that tune lifetime learning rather than the network's shape
+const LEARNING_KEYS = ['learner', 'learningRate', 'discount', 'episodeLength', 'baselineDecay', 'valueCoefficient', 'optimizer'];
+
+/**
+ * Merge brain config overrides over the defaults, rejecting unknown or invalid values
+ * @param {object} overrides - Partial brain config
+ * @returns {object} - Complete brain config
+ */
+export function resolveBrainConfig(overrides = {}) {
+    const config = { ...DEFAULT_BRAIN_CONFIG };
+    
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_BRAIN_CONFIG)) {
+            throw new Error(`Unknown brain parameter: ${key}`);
+        }
+        config[key] = value;
+    }
+    
+    if (!Array.isArray(config.hiddenSizes) || !config.hiddenSizes.every(size => Number.isInteger(size) && size > 0)) {
+        throw new Error('Brain hiddenSizes must be an array of positive integers');
+    }
+    if (!(config.activation in ACTIVATIONS)) {
+        throw new Error(`Invalid activation "${config.activation}" (expected ${Object.keys(ACTIVATIONS).join(', ')})`);
+    }
+    if (!(config.outputHead in OUTPUT_HEADS)) {
+        throw new Error(`Invalid output head "${config.outputHead}" (expected ${Object.keys(OUTPUT_HEADS).join(', ')})`);
+    }
+    if (typeof config.temperature !== 'number' || !(config.temperature > 0)) {
+        throw new Error('Brain temperature must be a positive number');
+    }
+    if (!RECURRENT_TYPES.includes(config.recurrent)) {
+        throw new Error(`Invalid recurrent type "${config.recurrent}" (expected ${RECURRENT_TYPES.join(', ')})`);
+    }
+    if (config.recurrent !== 'none' && config.hiddenSizes.length === 0) {
+        throw new Error('A recurrent brain needs at least one hidden layer');
+    }
+    if (typeof config.valueHead !== 'boolean') {
+        throw new Error('Brain valueHead must be true or false');
+    }
+    if (!LEARNERS.includes(config.learner)) {
+        throw new Error(`Invalid learner "${config.learner}" (expected ${LEARNERS.join(', ')})`);
+    }
+    if (config.learner === 'actorCritic' && !config.valueHead) {
+        throw new Error('Brain learner actorCritic needs valueHead: true');
+    }
+    if (typeof config.learningRate !== 'number' || !(config.learningRate >= 0)) {
+        throw new Error('Brain learningRate must be a non-negative number');
+    }
+    if (typeof config.discount !== 'number' || !(config.discount >= 0 && config.discount <= 1)) {
+        throw new Error('Brain discount must be a number from 0 to 1');
+    }
+    if (!Number.isInteger(config.episodeLength) || config.episodeLength < 1) {
+        throw new Error('Brain episodeLength must be a positive integer');
+    }
+    if (typeof config.baselineDecay !== 'number' || !(config.baselineDecay >= 0 && config.baselineDecay < 1)) {
+        throw new Error('Brain baselineDecay must be a number from 0 up to 1');
+    }
+    if (typeof config.valueCoefficient !== 'number' || !(config.valueCoefficient >= 0)) {
+        throw new Error('Brain valueCoefficient must be a non-negative number');
+    }
+    
+    config.hiddenSizes = [...config.hiddenSizes];
+    config.optimizer = resolveOptimizer(config.optimizer);
+    return config;
+}
+
+/**
+ * Softmax of a vector
+ */
+function softmax(arr) {
+    const max = Math.max(...arr);
+    const exps = arr.map(x => Math.exp(x - max));
+    const sumExps = exps.reduce((a, b) => a + b, 0);
+    return exps.map(x => x / sumExps);
+}
+
+/**
+ * Column of a recurrent gene in another network: where the neuron it comes
+ * from sits, provided it is in the same layer
+ * @param {object} genes - geneIndex() of the other network
+ */
+function recurrentColumn(genes, index, sourceId) {
+    const source = genes.neuron(sourceId);
+    return source && source.index === index ? source.j : undefined;
+}
+
 export class NeuralNetwork {
-    constructor(inputSize, hiddenSizes, outputSize) {
+    /**
+     * @param {object} [options] - { activation, outputHead, temperature, recurrent,
+     *   valueHead } and learning settings (defaults as DEFAULT_BRAIN_CONFIG)
+     */
+    constructor(inputSize, hiddenSizes, outputSize, rng = new SeededRandom(), options = {}) {
+        this.rng = rng;
+        this.activation = options.activation ?? DEFAULT_BRAIN_CONFIG.activation;
+        this.outputHead = options.outputHead ?? DEFAULT_BRAIN_CONFIG.outputHead;
+        this.temperature = options.temperature ?? DEFAULT_BRAIN_CONFIG.temperature;
+        this.recurrent = options.recurrent ?? DEFAULT_BRAIN_CONFIG.recurrent;
+        this.valueHead = options.valueHead ?? DEFAULT_BRAIN_CONFIG.valueHead;
+        this.learning = {};
+        for (const key of LEARNING_KEYS) {
+            this.learning[key] = options[key] ?? DEFAULT_BRAIN_CONFIG[key];
+        }
+        // Fill in optimizer defaults for networks built without resolveBrainConfig
+        this.learning.optimizer = resolveOptimizer(this.learning.optimizer);
+        // Optimizer state, created by the first update
+        this.optimizerState = null;
         this.layers = [];
-        const sizes = [inputSize, ...hiddenSizes, outputSize];
+        // The value head is one more output after the action outputs
+        const sizes = [inputSize, ...hiddenSizes, outputSize + (this.valueHead ? 1 : 0)];
         
-        // Initialize layers with random weights and biases
+        // Initialize layers with random weights and biases; ids name each
+        // neuron for innovation tracking
         for (let i = 1; i < sizes.length; i++) {
             const layer = {
                 weights: this.randomMatrix(sizes[i], sizes[i-1], 0.1),
-                biases: this.randomArray(sizes[i], 0.1)
+                biases: this.randomArray(sizes[i], 0.1),
+                ids: initialNeuronIds(i - 1, sizes[i], i === sizes.length - 1)
             };
             this.layers.push(layer);
         }
+        if (this.valueHead) {
+            this.layers[this.layers.length - 1].ids[outputSize] = VALUE_NEURON_ID;
+        }
         
-        // Cache for Gaussian random number generation
-        this.hasSpareGaussian = false;
-        this.spareGaussian = 0;
+        // The last hidden layer's weights from its own previous activations
+        if (this.recurrent !== 'none' && hiddenSizes.length > 0) {
+            const width = hiddenSizes[hiddenSizes.length - 1];
+            this.layers[hiddenSizes.length - 1].recurrent = this.randomMatrix(width, width, 0.1);
+        }
     }
     
     /**
@@ -46,95 +250,154 @@ export class NeuralNetwork {
     }
     
     /**
-     * Generate Gaussian random numbers using Box-Muller transform
+     * Generate Gaussian random numbers from the shared seeded generator
      */
     gaussianRandom() {
-        if (this.hasSpareGaussian) {
-            this.hasSpareGaussian = false;
-            return this.spareGaussian;
-        }
-        
-        let u = 0, v = 0;
-        while(u === 0) u = Math.random();
-        while(v === 0) v = Math.random();
-        
-        const z0 = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-        const z1 = Math.sqrt(-2.0 * Math.log(u)) * Math.sin(2 * Math.PI * v);
-        
-        this.hasSpareGaussian = true;
-        this.spareGaussian = z1;
-        return z0;
+        return this.rng.gaussian();
+    }
+    
+    /**
+     * Activation, output head and learning settings, for building networks like this one
+     */
+    getOptions() {
+        return {
+            activation: this.activation,
+            outputHead: this.outputHead,
+            temperature: this.temperature,
+            recurrent: this.recurrent,
+            valueHead: this.valueHead,
+            ...this.learning
+        };
     }
     
     /**
      * Forward pass through the network
      * @param {number[]} input - Input vector
-     * @returns {number[]} - Action probabilities (softmax output)
+     * @param {number[]|null} [state] - Recurrent state from the previous step (null starts afresh)
+     * @returns {number[]} - Action probabilities from the output head
+     */
+    forward(input, state = null) {
+        return this.forwardTrace(input, state).probabilities;
+    }
+    
+    /**
+     * Forward pass keeping what backpropagation needs
+     * @param {number[]} input - Input vector
+     * @param {number[]|null} [state] - Recurrent state from the previous step (null starts afresh)
+     * @returns {object} - { activations, sums, probabilities, value, previousState, state }:
+     *   activations[i] is the input of layer i (the last entry the raw outputs),
+     *   sums[i] the weighted sums of layer i before its activation, value the
+     *   value head's estimate (null without one), and previousState and state
+     *   the recurrent layer's activations before and after this step (null
+     *   without one); state is what the next step takes
      */
-    forward(input) {
+    forwardTrace(input, state = null) {
+        const activate = ACTIVATIONS[this.activation];
+        const activations = [input];
+        const sums = [];
         let activation = input;
+        let previousState = null;
+        let nextState = null;
         
         for (let i = 0; i < this.layers.length; i++) {
             const layer = this.layers[i];
             const newActivation = [];
+            const layerSums = [];
             
             // Matrix multiplication: weights × activation + biases
+            // (disabled connections hold null, which multiplies as 0)
             for (let j = 0; j < layer.weights.length; j++) {
                 let sum = layer.biases[j];
                 for (let k = 0; k < activation.length; k++) {
                     sum += layer.weights[j][k] * activation[k];
                 }
+                if (layer.recurrent) {
+                    previousState ??= state ?? new Array(layer.recurrent.length).fill(0);
+                    const row = layer.recurrent[j];
+                    for (let k = 0; k < row.length; k++) {
+                        sum += row[k] * previousState[k];
+                    }
+                }
+                layerSums[j] = sum;
                 
                 // Apply activation function
                 if (i === this.layers.length - 1) {
-                    // Output layer: linear activation (softmax applied later)
+                    // Output layer: linear activation (output head applied later)
                     newActivation[j] = sum;
                 } else {
-                    // Hidden layers: ReLU activation
-                    newActivation[j] = Math.max(0, sum);
+                    // Hidden layers: configured activation
+                    newActivation[j] = activate(sum);
                 }
             }
             
             activation = newActivation;
+            activations.push(activation);
+            sums.push(layerSums);
+            if (layer.recurrent) {
+                nextState = newActivation;
+            }
         }
         
-        // Apply softmax to output for action probabilities
-        return this.softmax(activation);
+        // Turn action outputs into probabilities; the value head is read as is
+        const actionOutputs = this.valueHead ? activation.slice(0, -1) : activation;
+        return {
+            activations,
+            sums,
+            probabilities: OUTPUT_HEADS[this.outputHead](actionOutputs, this.temperature),
+            value: this.valueHead ? activation[activation.length - 1] : null,
+            previousState,
+            state: nextState
+        };
     }
     
     /**
      * Apply softmax activation to output layer
      */
     softmax(arr) {
-        const max = Math.max(...arr);
-        const exps = arr.map(x => Math.exp(x - max));
-        const sumExps = exps.reduce((a, b) => a + b, 0);
-        return exps.map(x => x / sumExps);
+        return softmax(arr);
     }
     
     /**
      * Create a mutated copy of this network
      * @param {number} mutationRate - Probability of mutating each weight/bias
      * @param {number} mutationStrength - Standard deviation of mutation noise
+     * @param {object} [structural] - Structural mutation config and its innovation
+     *   tracker ({ ...config, innovations }); changes made are left in structuralChanges
      * @returns {NeuralNetwork} - New mutated network
      */
-    mutate(mutationRate, mutationStrength) {
-        const newNetwork = new NeuralNetwork(1, [1], 1); // Dummy initialization
+    mutate(mutationRate, mutationStrength, structural = null) {
+        const newNetwork = new NeuralNetwork(1, [1], 1, this.rng, this.getOptions()); // Dummy initialization
         newNetwork.layers = [];
         
-        // Deep copy and mutate each layer
+        // Deep copy and mutate each layer; disabled connections stay disabled
         for (const layer of this.layers) {
             const newLayer = {
                 weights: layer.weights.map(row => 
-                    row.map(w => Math.random() < mutationRate ? 
+                    row.map(w => w !== null && this.rng.next() < mutationRate ? 
                         w + this.gaussianRandom() * mutationStrength : w)
                 ),
-                biases: layer.biases.map(b => Math.random() < mutationRate ? 
-                    b + this.gaussianRandom() * mutationStrength : b)
+                biases: layer.biases.map(b => this.rng.next() < mutationRate ? 
+                    b + this.gaussianRandom() * mutationStrength : b),
+                ids: [...layer.ids]
             };
+            if (layer.recurrent) {
+                newLayer.recurrent = layer.recurrent.map(row =>
+                    row.map(w => this.rng.next() < mutationRate ? w + this.gaussianRandom() * mutationStrength : w)
+                );
+            }
             newNetwork.layers.push(newLayer);
         }
         
+        newNetwork.structuralChanges = structural ?
+            mutateStructure(newNetwork, structural, structural.innovations, mutationStrength) : [];
+        
+        // Offspring start their optimizer afresh unless the config inherits it
+        if (this.learning.optimizer.inherit && this.optimizerState) {
+            newNetwork.optimizerState = newNetwork.structuralChanges.length > 0 ?
+                remapOptimizerState(this.optimizerState, this, newNetwork) :
+                copyOptimizerState(this.optimizerState);
+        }
+        
         return newNetwork;
     }
     
@@ -143,41 +406,235 @@ export class NeuralNetwork {
      * @returns {NeuralNetwork} - Cloned network
      */
     clone() {
-        const newNetwork = new NeuralNetwork(1, [1], 1); // Dummy initialization
+        const newNetwork = new NeuralNetwork(1, [1], 1, this.rng, this.getOptions()); // Dummy initialization
         newNetwork.layers = [];
         
         // Deep copy each layer
         for (const layer of this.layers) {
             const newLayer = {
                 weights: layer.weights.map(row => [...row]),
-                biases: [...layer.biases]
+                biases: [...layer.biases],
+                ids: [...layer.ids]
             };
+            if (layer.recurrent) {
+                newLayer.recurrent = layer.recurrent.map(row => [...row]);
+            }
             newNetwork.layers.push(newLayer);
         }
+        newNetwork.optimizerState = copyOptimizerState(this.optimizerState);
         
         return newNetwork;
     }
     
     /**
-     * Apply REINFORCE learning to adjust network weights
+     * Copy of this network moved part of the way towards another of the same
+     * shape, e.g. from a genome towards the brain it learned into
+     * @param {NeuralNetwork} target - Network with this network's shape
+     * @param {number} share - 0 keeps this network, 1 gives the target's weights
+     * @returns {NeuralNetwork} - Interpolated network, with this network's optimizer state
+     */
+    interpolate(target, share) {
+        const result = this.clone();
+        const blend = (value, targetValue) => (value === null ? null : value + share * (targetValue - value));
+        
+        result.layers.forEach((layer, i) => {
+            const targetLayer = target.layers[i];
+            layer.weights = layer.weights.map((row, j) => row.map((w, k) => blend(w, targetLayer.weights[j][k])));
+            layer.biases = layer.biases.map((b, j) => blend(b, targetLayer.biases[j]));
+            if (layer.recurrent) {
+                layer.recurrent = layer.recurrent.map((row, j) => row.map((w, k) => blend(w, targetLayer.recurrent[j][k])));
+            }
+        });
+        
+        return result;
+    }
+    
+    /**
+     * Combine this network with a mate's into a child network
+     *
+     * As in NEAT, the child has the shape, settings and optimizer state of
+     * this (fitter) parent; genes the mate shares, matched by neuron ids, come
+     * from either parent with equal chance, and the rest from this parent.
+     * @param {NeuralNetwork} mate - Second parent network
+     * @param {string} mode - 'uniform' picks a parent per gene, 'neuron' per
+     *   neuron (its bias and incoming weights), 'layer' per layer
+     * @returns {NeuralNetwork} - Child network
+     */
+    crossover(mate, mode = 'uniform') {
+        if (!CROSSOVER_MODES.includes(mode)) {
+            throw new Error(`Invalid crossover mode "${mode}" (expected ${CROSSOVER_MODES.join(', ')})`);
+        }
+        
+        const child = this.clone();
+        const mateGenes = geneIndex(mate);
+        const pick = () => this.rng.next() < 0.5;
+        
+        child.layers.forEach((layer, i) => {
+            const sources = inputIds(child, i);
+            const layerFromMate = mode === 'layer' && pick();
+            
+            for (let j = 0; j < layer.weights.length; j++) {
+                const match = mateGenes.neuron(layer.ids[j]);
+                if (!match) continue;
+                
+                const mateLayer = mate.layers[match.index];
+                const neuronFromMate = mode === 'layer' ? layerFromMate : mode === 'neuron' && pick();
+                const fromMate = () => (mode === 'uniform' ? pick() : neuronFromMate);
+                
+                if (fromMate()) {
+                    layer.biases[j] = mateLayer.biases[match.j];
+                }
+                
+                const row = layer.weights[j];
+                for (let k = 0; k < row.length; k++) {
+                    if (row[k] === null) continue;
+                    const column = mateGenes.input(match.index, sources[k], k);
+                    const mateWeight = column === undefined ? null : mateLayer.weights[match.j][column];
+                    if (mateWeight !== null && fromMate()) {
+                        row[k] = mateWeight;
+                    }
+                }
+                
+                // Recurrent genes join two neurons of the same layer
+                if (layer.recurrent && mateLayer.recurrent) {
+                    layer.recurrent[j].forEach((weight, k) => {
+                        const column = recurrentColumn(mateGenes, match.index, layer.ids[k]);
+                        if (column !== undefined && fromMate()) {
+                            layer.recurrent[j][k] = mateLayer.recurrent[match.j][column];
+                        }
+                    });
+                }
+            }
+        });
+        
+        return child;
+    }
+    
+    /**
+     * Zeroed gradients shaped like the layers
+     * @returns {Array<{weights: Float64Array[], biases: Float64Array, recurrent?: Float64Array[]}>}
+     */
+    createGradients() {
+        return this.layers.map(layer => ({
+            weights: layer.weights.map(row => new Float64Array(row.length)),
+            biases: new Float64Array(layer.biases.length),
+            ...(layer.recurrent && { recurrent: layer.recurrent.map(row => new Float64Array(row.length)) })
+        }));
+    }
+    
+    /**
+     * Add scale × ∇ log π(action | input) to gradients, backpropagating from
+     * the output head through every hidden layer
+     * @param {object} trace - forwardTrace() of the input the action was chosen from
+     * @param {number} actionIndex - Index of the action that was taken
+     * @param {number} scale - Weight of this step (its advantage)
+     * @param {Array<object>} gradients - Accumulated gradients (see createGradients)
+     */
+    accumulatePolicyGradient(trace, actionIndex, scale, gradients) {
+        const outputs = trace.activations[this.layers.length];
+        const actionOutputs = this.valueHead ? outputs.slice(0, -1) : outputs;
+        const delta = HEAD_GRADIENTS[this.outputHead](actionOutputs, trace.probabilities, actionIndex, this.temperature)
+            .map(d => d * scale);
+        if (this.valueHead) {
+            delta.push(0);
+        }
+        this.backpropagate(trace, delta, gradients);
+    }
+    
+    /**
+     * Add scale × ∇ value(input) to gradients; the value head is linear
+     * @param {object} trace - forwardTrace() of the input
+     * @param {number} scale - Weight of this step (its value error)
+     * @param {Array<object>} gradients - Accumulated gradients (see createGradients)
+     */
+    accumulateValueGradient(trace, scale, gradients) {
+        if (!this.valueHead) {
+            throw new Error('Network has no value head');
+        }
+        const delta = new Array(trace.activations[this.layers.length].length).fill(0);
+        delta[delta.length - 1] = scale;
+        this.backpropagate(trace, delta, gradients);
+    }
+    
+    /**
+     * Backpropagate output deltas through every layer into gradients
+     *
+     * The recurrent layer's previous state counts as a fixed extra input, as
+     * in Elman's original training: its weights get gradients, but nothing
+     * flows back into earlier steps.
+     */
+    backpropagate(trace, outputDelta, gradients) {
+        const derivative = ACTIVATION_DERIVATIVES[this.activation];
+        let delta = outputDelta;
+        
+        for (let i = this.layers.length - 1; i >= 0; i--) {
+            const layer = this.layers[i];
+            const gradient = gradients[i];
+            const input = trace.activations[i];
+            
+            // Disabled connections get no gradient and pass nothing back
+            const previous = i > 0 ? new Array(input.length).fill(0) : null;
+            for (let j = 0; j < layer.weights.length; j++) {
+                const d = delta[j];
+                if (d === 0) continue;
+                
+                gradient.biases[j] += d;
+                const row = layer.weights[j];
+                const rowGradient = gradient.weights[j];
+                for (let k = 0; k < row.length; k++) {
+                    if (row[k] === null) continue;
+                    rowGradient[k] += d * input[k];
+                    if (previous) {
+                        previous[k] += d * row[k];
+                    }
+                }
+                if (layer.recurrent) {
+                    const recurrentGradient = gradient.recurrent[j];
+                    for (let k = 0; k < recurrentGradient.length; k++) {
+                        recurrentGradient[k] += d * trace.previousState[k];
+                    }
+                }
+            }
+            
+            if (previous) {
+                const sums = trace.sums[i - 1];
+                delta = previous.map((d, k) => d * derivative(sums[k], input[k]));
+            }
+        }
+    }
+    
+    /**
+     * Step weights and biases along accumulated gradients (gradient ascent)
+     * with the configured optimizer
+     * @param {Array<object>} gradients - From accumulatePolicyGradient
+     * @param {number} learningRate - Step size
+     */
+    applyGradients(gradients, learningRate) {
+        applyOptimizer(this, gradients, learningRate);
+    }
+    
+    /**
+     * Apply a single-step REINFORCE update through the whole network
      * @param {number[]} input - Input that led to the action
      * @param {number} actionIndex - Index of action that was taken
-     * @param {number} reward - Reward received for the action
+     * @param {number} reward - Reward (or advantage) received for the action
      * @param {number} learningRate - Learning rate for weight updates
      */
-    applyREINFORCE(input, actionIndex, reward, learningRate = 0.001) {
+    applyREINFORCE(input, actionIndex, reward, learningRate = this.learning.learningRate) {
         if (Math.abs(reward) < 0.01) return; // Skip if reward is negligible
         
-        // Simple REINFORCE: adjust the output layer weights
-        const outputLayer = this.layers[this.layers.length - 1];
-        
-        // Nudge weights for the action that was taken
-        for (let i = 0; i < outputLayer.weights[actionIndex].length; i++) {
-            outputLayer.weights[actionIndex][i] += learningRate * reward * input[i];
-        }
-        
-        // Nudge bias
-        outputLayer.biases[actionIndex] += learningRate * reward;
+        const gradients = this.createGradients();
+        this.accumulatePolicyGradient(this.forwardTrace(input), actionIndex, reward, gradients);
+        this.applyGradients(gradients, learningRate);
+    }
+    
+    /**
+     * Append inputs with zero weights, leaving existing behaviour unchanged
+     * @param {number} count - Number of inputs to add after the current ones
+     */
+    expandInputs(count) {
+        const firstLayer = this.layers[0];
+        firstLayer.weights = firstLayer.weights.map(row => row.concat(new Array(count).fill(0)));
     }
     
     /**
@@ -188,17 +645,27 @@ export class NeuralNetwork {
         const architecture = {
             layers: this.layers.length,
             structure: [],
+            hiddenSizes: this.layers.slice(0, -1).map(layer => layer.weights.length),
+            activation: this.activation,
+            outputHead: this.outputHead,
+            temperature: this.temperature,
+            recurrent: this.recurrent,
+            valueHead: this.valueHead,
             totalParameters: 0
         };
         
+        // Weights count enabled connections only
         for (const layer of this.layers) {
             const layerInfo = {
                 neurons: layer.weights.length,
                 inputs: layer.weights[0].length,
-                weights: layer.weights.length * layer.weights[0].length,
+                weights: layer.weights.reduce((sum, row) => sum + row.filter(w => w !== null).length, 0),
                 biases: layer.biases.length
             };
-            layerInfo.parameters = layerInfo.weights + layerInfo.biases;
+            if (layer.recurrent) {
+                layerInfo.recurrentWeights = layer.recurrent.length * layer.recurrent.length;
+            }
+            layerInfo.parameters = layerInfo.weights + layerInfo.biases + (layerInfo.recurrentWeights || 0);
             architecture.totalParameters += layerInfo.parameters;
             architecture.structure.push(layerInfo);
         }
@@ -214,9 +681,13 @@ export class NeuralNetwork {
         return {
             layers: this.layers.map(layer => ({
                 weights: layer.weights,
-                biases: layer.biases
+                biases: layer.biases,
+                ids: layer.ids,
+                ...(layer.recurrent && { recurrent: layer.recurrent })
             })),
             architecture: this.getArchitecture(),
+            learning: { ...this.learning },
+            optimizerState: serializeOptimizerState(this.optimizerState),
             version: '1.0',
             serializedAt: Date.now()
         };
@@ -225,9 +696,10 @@ export class NeuralNetwork {
     /**
      * Create network from serialized data
      * @param {object} data - Serialized network data
+     * @param {SeededRandom} [rng] - Random generator for future mutations
      * @returns {NeuralNetwork} - Reconstructed network
      */
-    static deserialize(data) {
+    static deserialize(data, rng = new SeededRandom()) {
         if (!data.layers || !data.architecture) {
             throw new Error('Invalid serialized network data');
         }
@@ -236,55 +708,103 @@ export class NeuralNetwork {
         const structure = data.architecture.structure;
         const inputSize = structure[0].inputs;
         const hiddenSizes = structure.slice(0, -1).map(layer => layer.neurons);
-        const outputSize = structure[structure.length - 1].neurons;
+        const valueHead = data.architecture.valueHead ?? false;
+        const outputSize = structure[structure.length - 1].neurons - (valueHead ? 1 : 0);
         
-        // Create network with correct architecture
-        const network = new NeuralNetwork(inputSize, hiddenSizes, outputSize);
+        // Create network with correct architecture; networks from before
+        // configurable brains used ReLU with a softmax head, and those from
+        // before learning settings take the defaults
+        const network = new NeuralNetwork(inputSize, hiddenSizes, outputSize, rng, {
+            activation: data.architecture.activation,
+            outputHead: data.architecture.outputHead,
+            temperature: data.architecture.temperature,
+            recurrent: data.architecture.recurrent,
+            valueHead,
+            ...data.learning
+        });
         
-        // Replace with serialized weights and biases
+        // Replace with serialized weights and biases; networks from before
+        // innovation tracking keep the positional ids of their shape
         data.layers.forEach((layerData, index) => {
             if (index < network.layers.length) {
                 network.layers[index].weights = layerData.weights.map(row => [...row]);
                 network.layers[index].biases = [...layerData.biases];
+                if (layerData.ids) {
+                    network.layers[index].ids = [...layerData.ids];
+                }
+                if (layerData.recurrent) {
+                    network.layers[index].recurrent = layerData.recurrent.map(row => [...row]);
+                }
             }
         });
+        network.optimizerState = deserializeOptimizerState(data.optimizerState);
         
         return network;
     }
     
     /**
      * Calculate network similarity to another network
+     *
+     * Genes (enabled connections and biases) are matched by the ids of the
+     * neurons they join, so networks of different shapes can be compared.
+     * Matching genes contribute their absolute difference and genes found in
+     * only one network count as a difference of 1, averaged over all genes.
      * @param {NeuralNetwork} other - Network to compare with
      * @returns {number} - Similarity score (0-1, 1 = identical)
      */
     calculateSimilarity(other) {
-        if (this.layers.length !== other.layers.length) {
-            return 0;
-        }
+        const otherGenes = geneIndex(other);
         
         let totalDifference = 0;
-        let totalParameters = 0;
+        let matching = 0;
+        let genes = 0;
         
         for (let i = 0; i < this.layers.length; i++) {
-            const thisLayer = this.layers[i];
-            const otherLayer = other.layers[i];
+            const layer = this.layers[i];
+            const sources = inputIds(this, i);
             
-            // Compare weights
-            for (let j = 0; j < thisLayer.weights.length; j++) {
-                for (let k = 0; k < thisLayer.weights[j].length; k++) {
-                    totalDifference += Math.abs(thisLayer.weights[j][k] - otherLayer.weights[j][k]);
-                    totalParameters++;
+            for (let j = 0; j < layer.weights.length; j++) {
+                const match = otherGenes.neuron(layer.ids[j]);
+                const otherLayer = match && other.layers[match.index];
+                
+                genes++;
+                if (match) {
+                    totalDifference += Math.abs(layer.biases[j] - otherLayer.biases[match.j]);
+                    matching++;
+                }
+                
+                for (let k = 0; k < layer.weights[j].length; k++) {
+                    const weight = layer.weights[j][k];
+                    if (weight === null) continue;
+                    genes++;
+                    
+                    const column = match ? otherGenes.input(match.index, sources[k], k) : undefined;
+                    const otherWeight = column === undefined ? null : otherLayer.weights[match.j][column];
+                    if (otherWeight !== null) {
+                        totalDifference += Math.abs(weight - otherWeight);
+                        matching++;
+                    }
+                }
+                
+                for (let k = 0; k < (layer.recurrent?.length ?? 0); k++) {
+                    genes++;
+                    const column = match && otherLayer.recurrent ?
+                        recurrentColumn(otherGenes, match.index, layer.ids[k]) : undefined;
+                    if (column !== undefined) {
+                        totalDifference += Math.abs(layer.recurrent[j][k] - otherLayer.recurrent[match.j][column]);
+                        matching++;
+                    }
                 }
-            }
-            
-            // Compare biases
-            for (let j = 0; j < thisLayer.biases.length; j++) {
-                totalDifference += Math.abs(thisLayer.biases[j] - otherLayer.biases[j]);
-                totalParameters++;
             }
         }
         
-        const averageDifference = totalDifference / totalParameters;
+        // Genes of the other network without a match here
+        const otherCount = other.layers.reduce((sum, layer) =>
+            sum + layer.biases.length + layer.weights.reduce((count, row) => count + row.filter(w => w !== null).length, 0) +
+            (layer.recurrent ? layer.recurrent.length * layer.recurrent.length : 0), 0);
+        const disjoint = (genes - matching) + (otherCount - matching);
+        
+        const averageDifference = (totalDifference + disjoint) / (matching + disjoint);
         return Math.max(0, 1 - averageDifference);
     }
     
@@ -297,8 +817,8 @@ export class NeuralNetwork {
         let allBiases = [];
         
         for (const layer of this.layers) {
-            for (const row of layer.weights) {
-                allWeights.push(...row);
+            for (const row of [...layer.weights, ...(layer.recurrent || [])]) {
+                allWeights.push(...row.filter(w => w !== null));
             }
             allBiases.push(...layer.biases);
         }
@@ -0,0 +1,292 @@
+/**
+ * Optimizers - Update rules for in-lifetime learning
+ *
+ * Learning accumulates gradients of the objective, and the brain's optimizer
+ * turns them into steps of its weights and biases (gradient ascent):
+ * - sgd: plain steps of learningRate × gradient (the original rule)
+ * - momentum: steps along a velocity that accumulates gradients, decaying by
+ *   `momentum` per update
+ * - rmsprop: steps scaled down by a running mean of squared gradients
+ *   (`decay`), so every parameter moves at a similar pace
+ * - adam: bias-corrected running means of gradients (`beta1`) and squared
+ *   gradients (`beta2`)
+ *
+ * Optimizer configs name a type and its options, e.g. { type: 'adam' }, or
+ * just the type ('adam'); options left out take the defaults. `inherit` (any type) decides whether
+ * offspring start from their parent's optimizer state or from scratch.
+ *
+ * State (the update count and per-parameter slots shaped like the layers) is
+ * created on a network's first update, copied by clone(), kept or dropped by
+ * mutate() and written by serialize(). Inherited state follows its genes by
+ * neuron ids when the offspring's shape changes.
+ *
+ * More optimizers can be added with
+ * registerOptimizer(name, { defaults, validate, slots, update }), where
+ * update(params, gradients, slots, learningRate, options, step) steps one
+ * row of parameters (disabled connections are null) in place.
+ */
+
+import { geneIndex, inputIds } from './StructuralMutation.js';
+
+const OPTIMIZERS = new Map();
+
+/**
+ * Register an optimizer
+ * @param {string} name - Type name used in optimizer configs
+ * @param {object} definition - { defaults, validate(options), slots, update(...) }
+ *   slots names the per-parameter state arrays update receives
+ */
+export function registerOptimizer(name, definition) {
+    OPTIMIZERS.set(name, { defaults: {}, validate: () => {}, slots: [], ...definition });
+}
+
+/**
+ * Look up a registered optimizer
+ * @throws {Error} - If the optimizer is unknown
+ */
+export function getOptimizer(name) {
+    const optimizer = OPTIMIZERS.get(name);
+    if (!optimizer) {
+        throw new Error(`Unknown optimizer "${name}" (expected ${[...OPTIMIZERS.keys()].join(', ')})`);
+    }
+    return optimizer;
+}
+
+/**
+ * Validate an optimizer config and fill in the type's defaults
+ * @param {object|string} config - { type, inherit, ...options }, or a type name
+ * @returns {object} - Complete optimizer config
+ */
+export function resolveOptimizer(config = {}) {
+    if (typeof config === 'string') {
+        config = { type: config };
+    } else if (config !== null && (typeof config !== 'object' || Array.isArray(config))) {
+        throw new Error(`optimizer must be a type name or an object like { type: 'adam' } (got ${JSON.stringify(config)})`);
+    }
+    const { type = 'sgd', inherit = false, ...options } = config || {};
+    const definition = getOptimizer(type);
+
+    if (typeof inherit !== 'boolean') {
+        throw new Error('Optimizer inherit must be true or false');
+    }
+    for (const key of Object.keys(options)) {
+        if (!(key in definition.defaults)) {
+            throw new Error(`Unknown ${type} optimizer option: ${key}`);
+        }
+    }
+
+    const complete = { ...definition.defaults, ...options };
+    definition.validate(complete);
+    return { type, inherit, ...complete };
+}
+
+/**
+ * Step a network's parameters along accumulated gradients with its optimizer
+ * @param {NeuralNetwork} network - Network to update; its optimizer state is
+ *   created on the first update
+ * @param {Array<object>} gradients - Gradients shaped like the layers
+ * @param {number} learningRate - Step size
+ */
+export function applyOptimizer(network, gradients, learningRate) {
+    const config = network.learning.optimizer;
+    const { type, inherit, ...options } = config;
+    const optimizer = getOptimizer(type);
+
+    network.optimizerState ??= createOptimizerState(network, optimizer.slots);
+    const state = network.optimizerState;
+    state.step++;
+
+    const rowSlots = (i, pick) => {
+        const slots = {};
+        for (const name of optimizer.slots) {
+            slots[name] = pick(state.slots[name][i]);
+        }
+        return slots;
+    };
+
+    network.layers.forEach((layer, i) => {
+        const gradient = gradients[i];
+        layer.weights.forEach((row, j) => {
+            optimizer.update(row, gradient.weights[j], rowSlots(i, slot => slot.weights[j]), learningRate, options, state.step);
+        });
+        optimizer.update(layer.biases, gradient.biases, rowSlots(i, slot => slot.biases), learningRate, options, state.step);
+        layer.recurrent?.forEach((row, j) => {
+            optimizer.update(row, gradient.recurrent[j], rowSlots(i, slot => slot.recurrent[j]), learningRate, options, state.step);
+        });
+    });
+}
+
+/**
+ * Zeroed optimizer state for a network's current shape
+ */
+function createOptimizerState(network, slotNames) {
+    const slots = {};
+    for (const name of slotNames) {
+        slots[name] = network.layers.map(layer => ({
+            weights: layer.weights.map(row => new Float64Array(row.length)),
+            biases: new Float64Array(layer.biases.length),
+            ...(layer.recurrent && { recurrent: layer.recurrent.map(row => new Float64Array(row.length)) })
+        }));
+    }
+    return { step: 0, slots };
+}
+
+const mapSlots = (state, convert) => {
+    const slots = {};
+    for (const [name, layers] of Object.entries(state.slots)) {
+        slots[name] = layers.map(layer => ({
+            weights: layer.weights.map(convert),
+            biases: convert(layer.biases),
+            ...(layer.recurrent && { recurrent: layer.recurrent.map(convert) })
+        }));
+    }
+    return { step: state.step, slots };
+};
+
+/**
+ * Deep copy of optimizer state (null stays null)
+ */
+export function copyOptimizerState(state) {
+    return state ? mapSlots(state, values => Float64Array.from(values)) : null;
+}
+
+/**
+ * Optimizer state as plain arrays, for JSON
+ */
+export function serializeOptimizerState(state) {
+    return state ? mapSlots(state, values => Array.from(values)) : null;
+}
+
+/**
+ * Optimizer state from serializeOptimizerState() output
+ */
+export function deserializeOptimizerState(data) {
+    return data ? copyOptimizerState(data) : null;
+}
+
+/**
+ * Carry optimizer state from a network to an offspring of possibly another
+ * shape: entries follow their genes by neuron ids, new genes start from zero
+ * @param {object} state - Parent's optimizer state
+ * @param {NeuralNetwork} from - Parent network
+ * @param {NeuralNetwork} to - Offspring network
+ */
+export function remapOptimizerState(state, from, to) {
+    const genes = geneIndex(from);
+    const slots = {};
+
+    for (const [name, layers] of Object.entries(state.slots)) {
+        slots[name] = to.layers.map((layer, i) => {
+            const sources = inputIds(to, i);
+            const mapped = {
+                weights: layer.weights.map(row => new Float64Array(row.length)),
+                biases: new Float64Array(layer.biases.length),
+                ...(layer.recurrent && { recurrent: layer.recurrent.map(row => new Float64Array(row.length)) })
+            };
+
+            layer.ids.forEach((id, j) => {
+                const match = genes.neuron(id);
+                if (!match) return;
+
+                const parentLayer = layers[match.index];
+                mapped.biases[j] = parentLayer.biases[match.j];
+                for (let k = 0; k < sources.length; k++) {
+                    const column = genes.input(match.index, sources[k], k);
+                    if (column !== undefined) {
+                        mapped.weights[j][k] = parentLayer.weights[match.j][column];
+                    }
+                }
+
+                // Recurrent entries join two neurons of this layer
+                if (mapped.recurrent && parentLayer.recurrent) {
+                    layer.ids.forEach((sourceId, k) => {
+                        const source = genes.neuron(sourceId);
+                        if (source && source.index === match.index) {
+                            mapped.recurrent[j][k] = parentLayer.recurrent[match.j][source.j];
+                        }
+                    });
+                }
+            });
+            return mapped;
+        });
+    }
+
+    return { step: state.step, slots };
+}
+
+// ---------------------------------------------------------------------------
+// Optimizers
+// ---------------------------------------------------------------------------
+
+const requireRate = (type, key, value) => {
+    if (typeof value !== 'number' || !(value >= 0 && value < 1)) {
+        throw new Error(`Optimizer ${type}.${key} must be a number from 0 up to 1`);
+    }
+};
+
+const requireEpsilon = (type, value) => {
+    if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`Optimizer ${type}.epsilon must be a positive number`);
+    }
+};
+
+registerOptimizer('sgd', {
+    update(params, gradients, slots, learningRate) {
+        for (let k = 0; k < params.length; k++) {
+            if (params[k] !== null) {
+                params[k] += learningRate * gradients[k];
+            }
+        }
+    }
+});
+
+registerOptimizer('momentum', {
+    defaults: { momentum: 0.9 },
+    validate: (options) => requireRate('momentum', 'momentum', options.momentum),
+    slots: ['velocity'],
+    update(params, gradients, { velocity }, learningRate, { momentum }) {
+        for (let k = 0; k < params.length; k++) {
+            if (params[k] === null) continue;
+            velocity[k] = momentum * velocity[k] + gradients[k];
+            params[k] += learningRate * velocity[k];
+        }
+    }
+});
+
+registerOptimizer('rmsprop', {
+    defaults: { decay: 0.9, epsilon: 1e-8 },
+    validate(options) {
+        requireRate('rmsprop', 'decay', options.decay);
+        requireEpsilon('rmsprop', options.epsilon);
+    },
+    slots: ['square'],
+    update(params, gradients, { square }, learningRate, { decay, epsilon }) {
+        for (let k = 0; k < params.length; k++) {
+            if (params[k] === null) continue;
+            const g = gradients[k];
+            square[k] = decay * square[k] + (1 - decay) * g * g;
+            params[k] += learningRate * g / (Math.sqrt(square[k]) + epsilon);
+        }
+    }
+});
+
+registerOptimizer('adam', {
+    defaults: { beta1: 0.9, beta2: 0.999, epsilon: 1e-8 },
+    validate(options) {
+        requireRate('adam', 'beta1', options.beta1);
+        requireRate('adam', 'beta2', options.beta2);
+        requireEpsilon('adam', options.epsilon);
+    },
+    slots: ['first', 'second'],
+    update(params, gradients, { first, second }, learningRate, { beta1, beta2, epsilon }, step) {
+        const firstCorrection = 1 - beta1 ** step;
+        const secondCorrection = 1 - beta2 ** step;
+        for (let k = 0; k < params.length; k++) {
+            if (params[k] === null) continue;
+            const g = gradients[k];
+            first[k] = beta1 * first[k] + (1 - beta1) * g;
+            second[k] = beta2 * second[k] + (1 - beta2) * g * g;
+            params[k] += learningRate * (first[k] / firstCorrection) / (Math.sqrt(second[k] / secondCorrection) + epsilon);
+        }
+    }
+});
@@ -0,0 +1,261 @@
+/**
+ * Structural Mutation - NEAT-style structural mutation of brain networks
+ *
+ * Besides weight noise, offspring brains can change shape:
+ * - addNeuron / removeNeuron: grow or shrink a hidden layer by one neuron
+ * - resizeLayer: grow or shrink a hidden layer by up to maxResize of its width
+ * - addConnection: re-enable a disabled connection with a small random weight
+ * - removeConnection: disable a connection (its weight becomes null)
+ *
+ * Each rate is the chance per reproduction that the mutation happens once.
+ * All rates are 0 by default, so brains keep their configured shape and no
+ * random numbers are drawn for structure.
+ *
+ * Innovation tracking: every neuron carries an id (layer.ids) that it keeps
+ * for life and passes to offspring. Neurons of the initial architecture get
+ * positional ids ('h<layer>.<index>', outputs 'o<index>', inputs 'i<index>'),
+ * shared by every network built from the same config; neurons added later
+ * draw a new id ('n<number>') from the population's InnovationTracker. A
+ * connection is identified by the ids of the neurons it joins, which lets
+ * NeuralNetwork.calculateSimilarity and crossover line up genes of differently
+ * shaped brains.
+ *
+ * A recurrent layer's own connections (layer.recurrent) follow its neurons:
+ * they are added silent and removed with them, and are never disabled.
+ */
+
+export const DEFAULT_STRUCTURAL_MUTATION = {
+    addNeuron: 0,           // Chance per reproduction of adding a hidden neuron
+    removeNeuron: 0,        // Chance of removing a hidden neuron
+    resizeLayer: 0,         // Chance of resizing a hidden layer by several neurons
+    addConnection: 0,       // Chance of re-enabling a disabled connection
+    removeConnection: 0,    // Chance of disabling a connection
+    maxResize: 0.25,        // Largest resize as a fraction of the layer width
+    minLayerSize: 1,        // Hidden layers never shrink below this
+    maxLayerSize: 1024      // Hidden layers never grow beyond this
+};
+
+const RATE_KEYS = ['addNeuron', 'removeNeuron', 'resizeLayer', 'addConnection', 'removeConnection'];
+
+/**
+ * Merge structural mutation overrides over the defaults, rejecting unknown or invalid values
+ * @param {object} overrides - Partial structural mutation config
+ * @returns {object} - Complete structural mutation config
+ */
+export function resolveStructuralMutation(overrides = {}) {
+    const config = { ...DEFAULT_STRUCTURAL_MUTATION };
+
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_STRUCTURAL_MUTATION)) {
+            throw new Error(`Unknown structural mutation parameter: ${key}`);
+        }
+        config[key] = value;
+    }
+
+    for (const key of [...RATE_KEYS, 'maxResize']) {
+        if (typeof config[key] !== 'number' || !(config[key] >= 0 && config[key] <= 1)) {
+            throw new Error(`Structural mutation ${key} must be a number from 0 to 1`);
+        }
+    }
+    for (const key of ['minLayerSize', 'maxLayerSize']) {
+        if (!Number.isInteger(config[key]) || config[key] < 1) {
+            throw new Error(`Structural mutation ${key} must be a positive integer`);
+        }
+    }
+    if (config.minLayerSize > config.maxLayerSize) {
+        throw new Error('Structural mutation minLayerSize must not exceed maxLayerSize');
+    }
+
+    return config;
+}
+
+/**
+ * Whether a structural mutation config can change anything
+ */
+export function hasStructuralMutation(config) {
+    return !!config && RATE_KEYS.some(key => config[key] > 0);
+}
+
+/**
+ * Hands out ids for neurons added by structural mutation
+ */
+export class InnovationTracker {
+    constructor() {
+        this.counter = 0;
+    }
+
+    nextNeuronId() {
+        return `n${++this.counter}`;
+    }
+
+    reset() {
+        this.counter = 0;
+    }
+
+    toSnapshot() {
+        return { counter: this.counter };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.counter = snapshot?.counter ?? 0;
+    }
+}
+
+/**
+ * Positional ids for the neurons of layer `index` in a freshly built network
+ */
+export function initialNeuronIds(index, count, output) {
+    return Array.from({ length: count }, (_, j) => (output ? `o${j}` : `h${index}.${j}`));
+}
+
+/**
+ * Ids of the neurons feeding layer `index` of a network
+ */
+export function inputIds(network, index) {
+    if (index > 0) {
+        return network.layers[index - 1].ids;
+    }
+    return Array.from({ length: network.layers[0].weights[0].length }, (_, k) => `i${k}`);
+}
+
+/**
+ * Locate a network's genes by neuron id, for lining up networks of different shapes
+ * @returns {{neuron: function, input: function}} - neuron(id) gives { index, j } of
+ *   that neuron, input(index, sourceId, k) the column of layer index fed by the
+ *   neuron sourceId (input k of a first layer); both undefined when absent
+ */
+export function geneIndex(network) {
+    const neurons = new Map();
+    const inputs = network.layers.map((layer, index) => {
+        layer.ids.forEach((id, j) => neurons.set(id, { index, j }));
+        return index > 0 ? new Map(inputIds(network, index).map((id, k) => [id, k])) : null;
+    });
+    const width = network.layers[0].weights[0].length;
+
+    return {
+        neuron: (id) => neurons.get(id),
+        input: (index, sourceId, k) => (index > 0 ? inputs[index].get(sourceId) : (k < width ? k : undefined))
+    };
+}
+
+/**
+ * Apply structural mutations to a network in place
+ * @param {NeuralNetwork} network - Freshly mutated offspring network
+ * @param {object} config - Resolved structural mutation config
+ * @param {InnovationTracker} innovations - Source of ids for new neurons
+ * @param {number} strength - Standard deviation of new weights
+ * @returns {Array<object>} - Changes made, e.g. { type: 'addNeuron', layer: 0, id: 'n12' }
+ */
+export function mutateStructure(network, config, innovations, strength) {
+    const rng = network.rng;
+    const hiddenLayers = network.layers.length - 1;
+    const changes = [];
+
+    const chance = (key) => config[key] > 0 && rng.next() < config[key];
+    const randomHiddenLayer = () => rng.nextInt(hiddenLayers);
+
+    if (hiddenLayers > 0 && chance('addNeuron')) {
+        const layer = randomHiddenLayer();
+        if (network.layers[layer].weights.length < config.maxLayerSize) {
+            changes.push({ type: 'addNeuron', layer, id: addNeuron(network, layer, innovations, strength) });
+        }
+    }
+
+    if (hiddenLayers > 0 && chance('removeNeuron')) {
+        const layer = randomHiddenLayer();
+        const width = network.layers[layer].weights.length;
+        if (width > config.minLayerSize) {
+            changes.push({ type: 'removeNeuron', layer, id: removeNeuron(network, layer, rng.nextInt(width)) });
+        }
+    }
+
+    if (hiddenLayers > 0 && chance('resizeLayer')) {
+        const layer = randomHiddenLayer();
+        const from = network.layers[layer].weights.length;
+        const step = 1 + rng.nextInt(Math.max(1, Math.round(from * config.maxResize)));
+        const to = Math.max(config.minLayerSize, Math.min(config.maxLayerSize, rng.next() < 0.5 ? from - step : from + step));
+
+        for (let width = from; width < to; width++) {
+            addNeuron(network, layer, innovations, strength);
+        }
+        for (let width = from; width > to; width--) {
+            removeNeuron(network, layer, rng.nextInt(width));
+        }
+        if (to !== from) {
+            changes.push({ type: 'resizeLayer', layer, from, to });
+        }
+    }
+
+    if (chance('addConnection')) {
+        const layer = rng.nextInt(network.layers.length);
+        const row = network.layers[layer].weights[rng.nextInt(network.layers[layer].weights.length)];
+        const disabled = [];
+        row.forEach((weight, k) => {
+            if (weight === null) disabled.push(k);
+        });
+        if (disabled.length > 0) {
+            const k = disabled[rng.nextInt(disabled.length)];
+            row[k] = rng.gaussian() * strength;
+            changes.push({ type: 'addConnection', layer, input: k });
+        }
+    }
+
+    if (chance('removeConnection')) {
+        const layer = rng.nextInt(network.layers.length);
+        const row = network.layers[layer].weights[rng.nextInt(network.layers[layer].weights.length)];
+        const k = rng.nextInt(row.length);
+        if (row[k] !== null) {
+            row[k] = null;
+            changes.push({ type: 'removeConnection', layer, input: k });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Append a neuron to a hidden layer; it starts with small random inputs and
+ * silent outputs, so behaviour is unchanged until later mutations weight them
+ * @returns {string} - Id of the new neuron
+ */
+function addNeuron(network, index, innovations, strength) {
+    const layer = network.layers[index];
+    const next = network.layers[index + 1];
+    const id = innovations.nextNeuronId();
+
+    layer.weights.push(Array.from({ length: layer.weights[0].length }, () => network.rng.gaussian() * strength));
+    layer.biases.push(network.rng.gaussian() * strength);
+    layer.ids.push(id);
+    for (const row of next.weights) {
+        row.push(0);
+    }
+    if (layer.recurrent) {
+        for (const row of layer.recurrent) {
+            row.push(0);
+        }
+        layer.recurrent.push(new Array(layer.ids.length).fill(0));
+    }
+
+    return id;
+}
+
+/**
+ * Remove neuron j of a hidden layer along with its outgoing connections
+ * @returns {string} - Id of the removed neuron
+ */
+function removeNeuron(network, index, j) {
+    const layer = network.layers[index];
+    const [id] = layer.ids.splice(j, 1);
+    layer.weights.splice(j, 1);
+    layer.biases.splice(j, 1);
+    for (const row of network.layers[index + 1].weights) {
+        row.splice(j, 1);
+    }
+    if (layer.recurrent) {
+        layer.recurrent.splice(j, 1);
+        for (const row of layer.recurrent) {
+            row.splice(j, 1);
+        }
+    }
+    return id;
+}
@@ -0,0 +1,122 @@
+/**
+ * Nutrients - Energy kinds produced by cores and digested by entities
+ *
+ * Every core carries a nutrient type, drawn from the nutrientMix weights when
+ * it is created, and its blooms manifest energy of that type:
+ * - sugar: modest value, released in full as soon as it is eaten
+ * - fat: high value that lasts on the ground and is digested slowly
+ * - toxin: negative value, draining energy for a few steps after eating
+ *
+ * Per type:
+ * - value: multiplier of the energyValue physics parameter (negative drains)
+ * - lifetime: multiplier of the energyLifetime physics parameter
+ * - digestRate: fraction of an entity's reserve turned into energy per step
+ * - signal: field3 reading of a cell holding the energy
+ *
+ * Any of these can be overridden per type through nutrientOptions.
+ */
+
+export const NUTRIENT_TYPES = {
+    sugar: { value: 1, lifetime: 1, digestRate: 1, signal: 1.0 },
+    fat: { value: 2.5, lifetime: 3, digestRate: 0.1, signal: 0.6 },
+    toxin: { value: -1.5, lifetime: 2, digestRate: 0.5, signal: 0.8 }
+};
+
+export const NUTRIENT_NAMES = Object.keys(NUTRIENT_TYPES);
+
+// Reserves smaller than this are digested at once
+const RESERVE_EPSILON = 0.01;
+
+/**
+ * Check nutrientMix and nutrientOptions physics values
+ * @throws {Error} - On unknown types, properties or invalid numbers
+ */
+export function validateNutrients(mix, options) {
+    for (const [name, weight] of Object.entries(mix)) {
+        if (!(name in NUTRIENT_TYPES)) {
+            throw new Error(`Unknown nutrient type: ${name} (expected ${NUTRIENT_NAMES.join(', ')})`);
+        }
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new Error(`Nutrient weight for ${name} must be a non-negative number`);
+        }
+    }
+    if (!Object.values(mix).some(weight => weight > 0)) {
+        throw new Error('nutrientMix needs at least one positive weight');
+    }
+
+    for (const [name, overrides] of Object.entries(options)) {
+        if (!(name in NUTRIENT_TYPES)) {
+            throw new Error(`Unknown nutrient type: ${name} (expected ${NUTRIENT_NAMES.join(', ')})`);
+        }
+        if (typeof overrides !== 'object' || overrides === null || Array.isArray(overrides)) {
+            throw new Error(`Nutrient options for ${name} must be an object`);
+        }
+        for (const [property, value] of Object.entries(overrides)) {
+            if (!(property in NUTRIENT_TYPES[name])) {
+                throw new Error(`Unknown ${name} nutrient option: ${property}`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Nutrient option ${name}.${property} must be a number`);
+            }
+            if (property !== 'value' && value < 0) {
+                throw new Error(`Nutrient option ${name}.${property} must be non-negative`);
+            }
+        }
+    }
+}
+
+/**
+ * Pick a nutrient type from mix weights; a single-type mix uses no randomness
+ */
+export function chooseNutrient(mix, rng) {
+    const weighted = Object.entries(mix).filter(([, weight]) => weight > 0);
+    if (weighted.length === 1) return weighted[0][0];
+
+    const total = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    let roll = rng.next() * total;
+    for (const [name, weight] of weighted) {
+        roll -= weight;
+        if (roll < 0) return name;
+    }
+    return weighted[weighted.length - 1][0];
+}
+
+/**
+ * Empty per-nutrient amounts (reserves or counts)
+ */
+export function emptyNutrientTable() {
+    const table = {};
+    for (const name of NUTRIENT_NAMES) {
+        table[name] = 0;
+    }
+    return table;
+}
+
+/**
+ * Release part of each reserve as energy
+ * @param {object} reserves - Per-nutrient reserves, updated in place
+ * @param {function} lookup - Nutrient type name to resolved properties
+ * @returns {{gained: number, lost: number}} - Energy released and drained this step
+ */
+export function digestReserves(reserves, lookup) {
+    let gained = 0;
+    let lost = 0;
+
+    for (const name of NUTRIENT_NAMES) {
+        const reserve = reserves[name];
+        if (!reserve) continue;
+
+        const amount = Math.abs(reserve) < RESERVE_EPSILON
+            ? reserve
+            : reserve * Math.min(1, lookup(name).digestRate);
+        reserves[name] = reserve - amount;
+
+        if (amount > 0) {
+            gained += amount;
+        } else {
+            lost -= amount;
+        }
+    }
+
+    return { gained, lost };
+}
@@ -0,0 +1,523 @@
+/**
+ * Temperature Fields - Pluggable thermal landscapes for WorldPhysics
+ *
+ * Generators build the initial temperature field and may adjust it every step:
+ * - sine: three interfering sine waves plus noise (the original landscape)
+ * - noise: seeded Perlin noise with octaves
+ * - hotspots: radial hot spots on a cool background
+ * - seasonal: sine waves under a travelling day/night band and a seasonal swing
+ * - heightmap: a grayscale image or value grid resampled to the world
+ *
+ * Motions move the field each step before diffusion and noise:
+ * - advection: shift along a vector of cells per step
+ * - rotation: turn about a centre point
+ * - static: stay in place, only diffusing
+ *
+ * Both registries can be extended with registerTemperatureGenerator() and
+ * registerTemperatureMotion(); each entry's validate(options) checks its
+ * option values when the physics config is resolved. Fields are flat Float32Array grids indexed by
+ * x * gridSize + y, and all randomness comes from the world's SeededRandom.
+ * Neighbourhoods and moved coordinates follow the world topology: fields wrap
+ * on a torus, mirror on a reflective world and hold their edge when bounded.
+ */
+
+// Grid offset per step for each named drift direction
+export const DRIFT_OFFSETS = {
+    right: { x: 1, y: 0 },
+    left: { x: -1, y: 0 },
+    down: { x: 0, y: 1 },
+    up: { x: 0, y: -1 },
+    none: { x: 0, y: 0 }
+};
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+const describeRange = (min, max) => {
+    if (min === -Infinity && max === Infinity) return 'a number';
+    if (max === Infinity) return `a number of at least ${min}`;
+    return `a number from ${min} to ${max}`;
+};
+
+const requireNumber = (mode, key, value, min = -Infinity, max = Infinity) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Temperature ${mode}.${key} must be ${describeRange(min, max)}`);
+    }
+};
+
+const requirePositive = (mode, key, value) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new Error(`Temperature ${mode}.${key} must be a positive number`);
+    }
+};
+
+const requireInteger = (mode, key, value, min) => {
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`Temperature ${mode}.${key} must be an integer of at least ${min}`);
+    }
+};
+
+/**
+ * Shortest distance between two coordinates on a wrapping axis
+ */
+function wrappedDistance(a, b, size) {
+    const d = Math.abs(a - b);
+    return Math.min(d, size - d);
+}
+
+/**
+ * Three interfering sine waves with a little noise, in grid order
+ */
+function generateSineField(world) {
+    const size = world.gridSize;
+    const rng = world.rng;
+    const temperature = new Float32Array(size * size);
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            let temp = 0;
+
+            // Primary wave - creates main hot/cold bands
+            temp += Math.sin((x * 2 * Math.PI) / 30) * 0.4;
+
+            // Secondary wave - adds variation
+            temp += Math.sin((y * 2 * Math.PI) / 45) * 0.2;
+
+            // Tertiary wave - creates more complex patterns
+            temp += Math.sin(((x + y) * 2 * Math.PI) / 25) * 0.15;
+
+            // Add some randomness for unpredictability
+            temp += (rng.next() - 0.5) * 0.1;
+
+            // Normalize to 0-1 range
+            temperature[world.index(x, y)] = clamp01((temp + 1) / 2);
+        }
+    }
+
+    return temperature;
+}
+
+/**
+ * Seeded 2D Perlin gradient noise
+ */
+export class PerlinNoise {
+    constructor(rng) {
+        const permutation = Array.from({ length: 256 }, (_, i) => i);
+        for (let i = permutation.length - 1; i > 0; i--) {
+            const j = rng.nextInt(i + 1);
+            [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+        }
+        this.perm = new Uint8Array(512);
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = permutation[i & 255];
+        }
+    }
+
+    static fade(t) {
+        return t * t * t * (t * (t * 6 - 15) + 10);
+    }
+
+    static gradient(hash, x, y) {
+        switch (hash & 7) {
+            case 0: return x + y;
+            case 1: return x - y;
+            case 2: return -x + y;
+            case 3: return -x - y;
+            case 4: return x;
+            case 5: return -x;
+            case 6: return y;
+            default: return -y;
+        }
+    }
+
+    /**
+     * Noise value at (x, y), roughly in [-1, 1]
+     */
+    sample(x, y) {
+        const xi = Math.floor(x) & 255;
+        const yi = Math.floor(y) & 255;
+        const xf = x - Math.floor(x);
+        const yf = y - Math.floor(y);
+        const u = PerlinNoise.fade(xf);
+        const v = PerlinNoise.fade(yf);
+        const p = this.perm;
+
+        const aa = p[p[xi] + yi];
+        const ab = p[p[xi] + yi + 1];
+        const ba = p[p[xi + 1] + yi];
+        const bb = p[p[xi + 1] + yi + 1];
+
+        const x1 = PerlinNoise.gradient(aa, xf, yf) * (1 - u) + PerlinNoise.gradient(ba, xf - 1, yf) * u;
+        const x2 = PerlinNoise.gradient(ab, xf, yf - 1) * (1 - u) + PerlinNoise.gradient(bb, xf - 1, yf - 1) * u;
+        return x1 * (1 - v) + x2 * v;
+    }
+}
+
+const generators = new Map();
+const motions = new Map();
+
+/**
+ * Register a temperature field generator
+ * @param {string} name - Name used in physicsConfig.temperatureGenerator
+ * @param {object} generator - { defaults, validate(options), generate(world, options), update?(world, field, options) }
+ */
+export function registerTemperatureGenerator(name, generator) {
+    generators.set(name, { defaults: {}, validate: () => {}, ...generator });
+}
+
+/**
+ * Register a temperature motion mode
+ * @param {string} name - Name used in physicsConfig.temperatureMotion
+ * @param {object} motion - { defaults, validate(options), step(world, source, target, options) }
+ */
+export function registerTemperatureMotion(name, motion) {
+    motions.set(name, { defaults: {}, validate: () => {}, ...motion });
+}
+
+/**
+ * Look up a registered generator
+ */
+export function getTemperatureGenerator(name) {
+    const generator = generators.get(name);
+    if (!generator) {
+        throw new Error(`Unknown temperature generator "${name}" (available: ${[...generators.keys()].join(', ')})`);
+    }
+    return generator;
+}
+
+/**
+ * Look up a registered motion mode
+ */
+export function getTemperatureMotion(name) {
+    const motion = motions.get(name);
+    if (!motion) {
+        throw new Error(`Unknown temperature motion "${name}" (available: ${[...motions.keys()].join(', ')})`);
+    }
+    return motion;
+}
+
+/**
+ * Names of the registered generators and motion modes
+ */
+export function listTemperatureModes() {
+    return { generators: [...generators.keys()], motions: [...motions.keys()] };
+}
+
+/**
+ * Diffused value of source cell (sx, sy): blends the cell with the mean of
+ * its neighbours from the world's neighbour tables (eight unless bounded)
+ */
+export function diffuseCell(source, size, sx, sy, diffusionStrength, neighbors) {
+    const { before, after } = neighbors;
+    const rowShifted = sx * size;
+
+    if (before[sx] >= 0 && after[sx] >= 0 && before[sy] >= 0 && after[sy] >= 0) {
+        const rowBefore = before[sx] * size;
+        const rowAfter = after[sx] * size;
+        const yBefore = before[sy];
+        const yAfter = after[sy];
+
+        const neighborSum =
+            source[rowBefore + yBefore] + source[rowBefore + sy] + source[rowBefore + yAfter] +
+            source[rowShifted + yBefore] + source[rowShifted + yAfter] +
+            source[rowAfter + yBefore] + source[rowAfter + sy] + source[rowAfter + yAfter];
+
+        return source[rowShifted + sy] * (1 - diffusionStrength) + (neighborSum / 8) * diffusionStrength;
+    }
+
+    // Cells on a bounded edge average over the neighbours that exist
+    let neighborSum = 0;
+    let neighborCount = 0;
+    for (const nx of [before[sx], sx, after[sx]]) {
+        if (nx < 0) continue;
+        for (const ny of [before[sy], sy, after[sy]]) {
+            if (ny < 0 || (nx === sx && ny === sy)) continue;
+            neighborSum += source[nx * size + ny];
+            neighborCount++;
+        }
+    }
+
+    return source[rowShifted + sy] * (1 - diffusionStrength) + (neighborSum / neighborCount) * diffusionStrength;
+}
+
+// ---------------------------------------------------------------------------
+// Generators
+// ---------------------------------------------------------------------------
+
+registerTemperatureGenerator('sine', {
+    generate: (world) => generateSineField(world)
+});
+
+registerTemperatureGenerator('noise', {
+    defaults: { scale: 25, octaves: 4, persistence: 0.5, contrast: 1.5 },
+    validate(options) {
+        requirePositive('noise', 'scale', options.scale);
+        requireInteger('noise', 'octaves', options.octaves, 1);
+        requireNumber('noise', 'persistence', options.persistence, 0);
+        requireNumber('noise', 'contrast', options.contrast, 0);
+    },
+    generate(world, options) {
+        const size = world.gridSize;
+        const noise = new PerlinNoise(world.rng);
+        const temperature = new Float32Array(size * size);
+
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                let total = 0;
+                let amplitude = 1;
+                let amplitudeSum = 0;
+                let frequency = 1 / options.scale;
+
+                for (let octave = 0; octave < options.octaves; octave++) {
+                    total += noise.sample(x * frequency, y * frequency) * amplitude;
+                    amplitudeSum += amplitude;
+                    amplitude *= options.persistence;
+                    frequency *= 2;
+                }
+
+                temperature[world.index(x, y)] = clamp01(0.5 + (total / amplitudeSum) * 0.5 * options.contrast);
+            }
+        }
+
+        return temperature;
+    }
+});
+
+registerTemperatureGenerator('hotspots', {
+    defaults: { count: 6, radius: 12, intensity: 0.8, background: 0.15 },
+    validate(options) {
+        requireInteger('hotspots', 'count', options.count, 0);
+        requirePositive('hotspots', 'radius', options.radius);
+        requireNumber('hotspots', 'intensity', options.intensity);
+        requireNumber('hotspots', 'background', options.background, 0, 1);
+    },
+    generate(world, options) {
+        const size = world.gridSize;
+        const temperature = new Float32Array(size * size);
+        const distance = world.physics.topology === 'torus'
+            ? wrappedDistance
+            : (a, b) => Math.abs(a - b);
+        const spots = [];
+        for (let i = 0; i < options.count; i++) {
+            spots.push({
+                x: world.rng.next() * size,
+                y: world.rng.next() * size,
+                radius: options.radius * (0.5 + world.rng.next())
+            });
+        }
+
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                let heat = options.background;
+                for (const spot of spots) {
+                    const dx = distance(x, spot.x, size);
+                    const dy = distance(y, spot.y, size);
+                    heat += options.intensity * Math.exp(-(dx * dx + dy * dy) / (2 * spot.radius * spot.radius));
+                }
+                temperature[world.index(x, y)] = clamp01(heat);
+            }
+        }
+
+        return temperature;
+    }
+});
+
+/**
+ * Day/night and seasonal heating offset of column x at a world tick
+ */
+function seasonalOffset(x, tick, size, options) {
+    const season = options.seasonAmplitude * Math.sin((2 * Math.PI * tick) / options.seasonLength);
+    const day = options.dayAmplitude * Math.cos(2 * Math.PI * (x / size - tick / options.dayLength));
+    return season + day;
+}
+
+registerTemperatureGenerator('seasonal', {
+    defaults: { dayLength: 200, dayAmplitude: 0.15, seasonLength: 2000, seasonAmplitude: 0.1 },
+    validate(options) {
+        requirePositive('seasonal', 'dayLength', options.dayLength);
+        requireNumber('seasonal', 'dayAmplitude', options.dayAmplitude, 0);
+        requirePositive('seasonal', 'seasonLength', options.seasonLength);
+        requireNumber('seasonal', 'seasonAmplitude', options.seasonAmplitude, 0);
+    },
+    generate: (world) => generateSineField(world),
+
+    // Applies the change in solar heating once per world tick, so the field
+    // keeps its own dynamics while the sun sweeps across it
+    update(world, field, options) {
+        if (world.phase !== 'emit') return;
+
+        const size = world.gridSize;
+        for (let x = 0; x < size; x++) {
+            const delta = seasonalOffset(x, world.tick, size, options) - seasonalOffset(x, world.tick - 1, size, options);
+            const row = x * size;
+            for (let y = 0; y < size; y++) {
+                field[row + y] = clamp01(field[row + y] + delta);
+            }
+        }
+    }
+});
+
+registerTemperatureGenerator('heightmap', {
+    // values: grayscale samples in image row order (row = y), 0-1 or 0-255
+    defaults: { width: 0, height: 0, values: [], invert: false },
+    validate(options) {
+        requireInteger('heightmap', 'width', options.width, 1);
+        requireInteger('heightmap', 'height', options.height, 1);
+        const { values } = options;
+        if (!Array.isArray(values) || values.length !== options.width * options.height) {
+            throw new Error('Heightmap needs width, height and width * height values');
+        }
+        if (!values.every(value => typeof value === 'number' && Number.isFinite(value) && value >= 0)) {
+            throw new Error('Temperature heightmap.values must be non-negative numbers');
+        }
+        if (typeof options.invert !== 'boolean') {
+            throw new Error('Temperature heightmap.invert must be true or false');
+        }
+    },
+    generate(world, options) {
+        const { width, height, values } = options;
+        const size = world.gridSize;
+
+        // A loop rather than Math.max(...values), which overflows the stack on large maps
+        let largest = 0;
+        for (const value of values) {
+            if (value > largest) largest = value;
+        }
+        const maxValue = largest > 1 ? 255 : 1;
+        const temperature = new Float32Array(size * size);
+
+        for (let x = 0; x < size; x++) {
+            const column = Math.min(width - 1, Math.floor((x / size) * width));
+            for (let y = 0; y < size; y++) {
+                const row = Math.min(height - 1, Math.floor((y / size) * height));
+                const value = values[row * width + column] / maxValue;
+                temperature[world.index(x, y)] = clamp01(options.invert ? 1 - value : value);
+            }
+        }
+
+        return temperature;
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Motions
+// ---------------------------------------------------------------------------
+
+registerTemperatureMotion('advection', {
+    // vector: cells per step as { x, y }; defaults to the temperatureDrift direction.
+    // Fractional vectors move by whole cells on the steps where their running total rounds up.
+    defaults: { vector: null },
+    validate(options) {
+        if (options.vector === null) return;
+        if (typeof options.vector !== 'object' || Array.isArray(options.vector)) {
+            throw new Error('Temperature advection.vector must be null or { x, y }');
+        }
+        requireNumber('advection', 'vector.x', options.vector.x);
+        requireNumber('advection', 'vector.y', options.vector.y);
+    },
+    step(world, source, target, options, physics) {
+        const size = world.gridSize;
+        const vector = options.vector || DRIFT_OFFSETS[physics.temperatureDrift];
+        const stepCount = world.tick * 2 + (world.phase === 'collect' ? 1 : 0);
+        const dx = Math.round(vector.x * (stepCount + 1)) - Math.round(vector.x * stepCount);
+        const dy = Math.round(vector.y * (stepCount + 1)) - Math.round(vector.y * stepCount);
+        const { diffusionStrength, temperatureNoise } = physics;
+        const neighbors = world.neighbors();
+
+        // Source columns are the same for every row, so they are mapped once
+        const sourceYs = new Int32Array(size);
+        for (let y = 0; y < size; y++) {
+            sourceYs[y] = world.fieldCoordinate(y - dy);
+        }
+
+        for (let x = 0; x < size; x++) {
+            // Cell (x, y) takes cell (x - dx, y - dy) and diffuses with its neighbours
+            const sx = world.fieldCoordinate(x - dx);
+            const rowTarget = x * size;
+
+            for (let y = 0; y < size; y++) {
+                const sy = sourceYs[y];
+                let diffusedTemp = diffuseCell(source, size, sx, sy, diffusionStrength, neighbors);
+
+                // Add small random noise
+                diffusedTemp += (world.rng.next() - 0.5) * temperatureNoise;
+
+                target[rowTarget + y] = clamp01(diffusedTemp);
+            }
+        }
+    }
+});
+
+registerTemperatureMotion('rotation', {
+    // angle: degrees per step; centre defaults to the middle of the grid
+    defaults: { angle: 1, centerX: null, centerY: null },
+    validate(options) {
+        requireNumber('rotation', 'angle', options.angle);
+        for (const key of ['centerX', 'centerY']) {
+            if (options[key] !== null) {
+                requireNumber('rotation', key, options[key]);
+            }
+        }
+    },
+    step(world, source, target, options, physics) {
+        const size = world.gridSize;
+        const cx = options.centerX ?? (size - 1) / 2;
+        const cy = options.centerY ?? (size - 1) / 2;
+        const radians = (options.angle * Math.PI) / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const { diffusionStrength, temperatureNoise } = physics;
+        const neighbors = world.neighbors();
+        // Sources off the grid wrap on a torus and otherwise take the nearest edge
+        const torus = physics.topology === 'torus';
+        const wrap = torus
+            ? (value) => ((value % size) + size) % size
+            : (value) => Math.max(0, Math.min(size - 1, value));
+        const next = torus
+            ? (c) => (c + 1) % size
+            : (c) => Math.min(c + 1, size - 1);
+
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                // Rotate back to find where this cell's heat came from
+                const fx = wrap(cx + (x - cx) * cos + (y - cy) * sin);
+                const fy = wrap(cy - (x - cx) * sin + (y - cy) * cos);
+
+                // Bilinear sample of the moved value, diffused at the nearest cell
+                const x0 = Math.floor(fx);
+                const y0 = Math.floor(fy);
+                const x1 = next(x0);
+                const y1 = next(y0);
+                const tx = fx - x0;
+                const ty = fy - y0;
+                const moved =
+                    (source[x0 * size + y0] * (1 - ty) + source[x0 * size + y1] * ty) * (1 - tx) +
+                    (source[x1 * size + y0] * (1 - ty) + source[x1 * size + y1] * ty) * tx;
+
+                const nx = Math.round(fx) % size;
+                const ny = Math.round(fy) % size;
+                const nearest = diffuseCell(source, size, nx, ny, diffusionStrength, neighbors);
+                const cell = source[nx * size + ny];
+                let value = moved + (nearest - cell);
+
+                value += (world.rng.next() - 0.5) * temperatureNoise;
+                target[x * size + y] = clamp01(value);
+            }
+        }
+    }
+});
+
+registerTemperatureMotion('static', {
+    step(world, source, target, options, physics) {
+        const size = world.gridSize;
+        const { diffusionStrength, temperatureNoise } = physics;
+        const neighbors = world.neighbors();
+
+        for (let x = 0; x < size; x++) {
+            for (let y = 0; y < size; y++) {
+                const value = diffuseCell(source, size, x, y, diffusionStrength, neighbors) +
+                              (world.rng.next() - 0.5) * temperatureNoise;
+                target[x * size + y] = clamp01(value);
+            }
+        }
+    }
+});
@@ -0,0 +1,66 @@
+/**
+ * Topology - How the edges of the world grid connect
+ *
+ * - torus: leaving one edge enters the opposite edge
+ * - bounded: the edges are walls; nothing exists beyond them
+ * - reflective: the world mirrors at its edges, so moves bounce back
+ *
+ * WorldPhysics applies the topology to movement, vision, diffusion and
+ * catalyser redistribution; the renderer uses the same mapping for vision.
+ */
+
+export const TOPOLOGIES = ['torus', 'bounded', 'reflective'];
+
+/**
+ * Map a coordinate onto a grid axis
+ * @param {number} c - Integer coordinate, possibly outside 0..size-1
+ * @param {number} size - Axis length
+ * @param {string} topology - One of TOPOLOGIES
+ * @returns {number} - Coordinate on the grid, or -1 beyond a bounded edge
+ */
+export function wrapCoordinate(c, size, topology) {
+    if (c >= 0 && c < size) return c;
+
+    switch (topology) {
+        case 'torus':
+            return ((c % size) + size) % size;
+
+        case 'reflective': {
+            // Mirror about the edge cells: -1 maps to 1, size maps to size - 2
+            if (size === 1) return 0;
+            const period = 2 * (size - 1);
+            const m = ((c % period) + period) % period;
+            return m < size ? m : period - m;
+        }
+
+        default:
+            return -1;
+    }
+}
+
+/**
+ * Grid distance used for neighbourhood sensing (Manhattan, wrapped on a torus)
+ */
+export function gridDistance(ax, ay, bx, by, size, topology) {
+    let dx = Math.abs(ax - bx);
+    let dy = Math.abs(ay - by);
+    if (topology === 'torus') {
+        dx = Math.min(dx, size - dx);
+        dy = Math.min(dy, size - dy);
+    }
+    return dx + dy;
+}
+
+/**
+ * Per-axis neighbour lookup tables: before[c] and after[c] are the grid
+ * coordinates adjacent to c, or -1 beyond a bounded edge
+ */
+export function buildNeighborTable(size, topology) {
+    const before = new Int32Array(size);
+    const after = new Int32Array(size);
+    for (let c = 0; c < size; c++) {
+        before[c] = wrapCoordinate(c - 1, size, topology);
+        after[c] = wrapCoordinate(c + 1, size, topology);
+    }
+    return { before, after };
+}
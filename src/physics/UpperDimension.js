@@ -0,0 +1,173 @@
+/**
+ * Upper Dimension - Catalyser dynamics of the second layer of reality
+ *
+ * Besides exchanging catalyser with the lower dimension in the emit and
+ * collect phases, the upper catalyser field can evolve on its own each step:
+ * - sources and sinks: fixed discs that add or remove catalyser, strongest
+ *   at their centre and fading linearly to their radius
+ * - currents: catalyser flows from hot towards cold cells of the lower
+ *   dimension, upperCurrent of it per unit of temperature drop, and pools
+ *   in cold regions
+ * - diffusion: blending with neighbours like the temperature field
+ *
+ * Every dynamic is off by default (upperSources, upperSinks, upperCurrent and
+ * upperDiffusion are 0), leaving the original decay and refill cycle. All
+ * neighbourhoods follow the world topology, and source placement is the only
+ * use of randomness.
+ */
+
+import { diffuseCell } from './TemperatureFields.js';
+
+// Physics parameters that decide where sources and sinks are
+export const UPPER_SOURCE_PARAMS = ['upperSources', 'upperSinks', 'upperSourceRadius'];
+
+/**
+ * Whether any upper-dimension dynamic is enabled in a physics config
+ */
+export function hasUpperDynamics(physics) {
+    return physics.upperSources > 0 || physics.upperSinks > 0 ||
+           physics.upperCurrent > 0 || physics.upperDiffusion > 0;
+}
+
+/**
+ * Place sources and sinks at random cells; sinks have a negative sign
+ * @returns {Array<{x: number, y: number, sign: number}>}
+ */
+export function createUpperSources(world) {
+    const sources = [];
+    const { upperSources, upperSinks } = world.physics;
+    for (let i = 0; i < upperSources + upperSinks; i++) {
+        sources.push({
+            x: Math.floor(world.rng.next() * world.gridSize),
+            y: Math.floor(world.rng.next() * world.gridSize),
+            sign: i < upperSources ? 1 : -1
+        });
+    }
+    return sources;
+}
+
+/**
+ * Advance the upper catalyser field one step: sources and sinks, then
+ * currents, then diffusion, keeping density within 0 to upperCatalyserMax
+ */
+export function stepUpperDimension(world) {
+    const physics = world.physics;
+
+    if (world.upperSources.length > 0) {
+        stampSources(world);
+    }
+    if (physics.upperCurrent > 0) {
+        flow(world);
+    }
+    if (physics.upperDiffusion > 0) {
+        diffuse(world);
+    }
+
+    const field = world.upperDimension.catalyser;
+    const max = physics.upperCatalyserMax;
+    for (let i = 0; i < field.length; i++) {
+        field[i] = Math.max(0, Math.min(max, field[i]));
+    }
+}
+
+/**
+ * Add (or remove) catalyser around each source (or sink)
+ */
+function stampSources(world) {
+    const field = world.upperDimension.catalyser;
+    const radius = world.physics.upperSourceRadius;
+    const reach = Math.ceil(radius);
+    const strength = world.physics.upperSourceStrength;
+
+    for (const source of world.upperSources) {
+        for (let dx = -reach; dx <= reach; dx++) {
+            const x = world.wrap(source.x + dx);
+            if (x < 0) continue;
+
+            for (let dy = -reach; dy <= reach; dy++) {
+                const y = world.wrap(source.y + dy);
+                if (y < 0) continue;
+
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance > radius) continue;
+
+                const falloff = radius > 0 ? 1 - distance / radius : 1;
+                field[world.index(x, y)] += source.sign * strength * falloff;
+            }
+        }
+    }
+}
+
+/**
+ * Move catalyser from each cell to its cooler side neighbours, in proportion
+ * to the temperature drop; what leaves one cell arrives in the others, so
+ * catalyser pools in cold regions
+ */
+function flow(world) {
+    const size = world.gridSize;
+    const source = world.upperDimension.catalyser;
+    const target = world.upperBuffer;
+    const temperature = world.lowerDimension.temperature;
+    const { before, after } = world.neighbors();
+    const current = world.physics.upperCurrent;
+    const cells = [0, 0, 0, 0];
+    const drops = [0, 0, 0, 0];
+
+    target.set(source);
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            const cell = x * size + y;
+            if (source[cell] === 0) continue;
+
+            // Side neighbours that exist (-1 beyond a bounded edge)
+            cells[0] = before[x] >= 0 ? before[x] * size + y : -1;
+            cells[1] = after[x] >= 0 ? after[x] * size + y : -1;
+            cells[2] = before[y] >= 0 ? x * size + before[y] : -1;
+            cells[3] = after[y] >= 0 ? x * size + after[y] : -1;
+
+            let totalDrop = 0;
+            for (let k = 0; k < 4; k++) {
+                drops[k] = cells[k] >= 0 ? Math.max(0, temperature[cell] - temperature[cells[k]]) : 0;
+                totalDrop += drops[k];
+            }
+            if (totalDrop === 0) continue;
+
+            // At most half a cell's catalyser leaves per step
+            const outflow = source[cell] * Math.min(0.5, current * totalDrop);
+            target[cell] -= outflow;
+            for (let k = 0; k < 4; k++) {
+                if (drops[k] > 0) {
+                    target[cells[k]] += outflow * (drops[k] / totalDrop);
+                }
+            }
+        }
+    }
+
+    swapBuffer(world);
+}
+
+/**
+ * Blend each cell with its neighbours by upperDiffusion
+ */
+function diffuse(world) {
+    const size = world.gridSize;
+    const source = world.upperDimension.catalyser;
+    const target = world.upperBuffer;
+    const neighbors = world.neighbors();
+    const strength = Math.min(1, world.physics.upperDiffusion);
+
+    for (let x = 0; x < size; x++) {
+        for (let y = 0; y < size; y++) {
+            target[x * size + y] = diffuseCell(source, size, x, y, strength, neighbors);
+        }
+    }
+
+    swapBuffer(world);
+}
+
+function swapBuffer(world) {
+    const live = world.upperDimension.catalyser;
+    world.upperDimension.catalyser = world.upperBuffer;
+    world.upperBuffer = live;
+}
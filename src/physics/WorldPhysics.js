@@ -10,59 +10,335 @@
  * - Catalyser fields enable core incubation and energy bloom cycles
  * - Cores go through dormant → incubated → bloomed states
  * - Energy manifestations provide sustenance for conscious entities
+ *
+ * Fields are flat Float32Array grids indexed by x * gridSize + y (see index()).
+ * Temperature and catalyser redistribution write into persistent back buffers
+ * that are swapped in, so stepping allocates nothing per tick.
+ * Cores and energies are indexed per cell in spatial hashes kept in sync with
+ * every move, bloom, expiry and consumption, so cell lookups are O(1).
+ *
+ * Ecology constants (core count, thresholds, durations, drift, diffusion,
+ * decay, energy value) come from a physics config; DEFAULT_PHYSICS_CONFIG
+ * holds the original values. The thermal landscape and how it moves are
+ * chosen from the generator and motion registries in TemperatureFields.js.
+ *
+ * A terrain layer (Uint8Array of TERRAIN types) adds impassable walls, water
+ * that costs extra energy to stand in, and fertile soil where cores bloom
+ * sooner and yield more energy. It is sensed as field6 and blocks movement.
+ *
+ * The topology setting (torus, bounded or reflective, see Topology.js) decides
+ * what lies past the edges for movement, vision, diffusion and catalyser
+ * redistribution alike.
+ *
+ * Each core has a nutrient type (sugar, fat or toxin, see Nutrients.js) that
+ * sets the value, lifetime and field3 signature of the energy it manifests.
+ *
+ * Hazards drain entities standing in them: overheating above a temperature
+ * threshold, catalyser toxicity at high concentration, and storm zones that
+ * drift across the world (sensed through field4). All are off by default.
+ *
+ * The upper catalyser field can have dynamics of its own (see
+ * UpperDimension.js): sources and sinks, currents down the temperature
+ * gradient, and diffusion. Entities may sense it as field7 and deposit
+ * catalyser into it; all of this is off by default.
+ *
+ * Core and energy lifecycle changes are emitted as events (see CORE_EVENTS)
+ * to listeners registered with on(type, listener), or on('*') for all.
  */
 
+import { SeededRandom } from '../utils/SeededRandom.js';
+import { SpatialHash } from '../utils/SpatialHash.js';
+import { DRIFT_OFFSETS, PerlinNoise, getTemperatureGenerator, getTemperatureMotion } from './TemperatureFields.js';
+import { TOPOLOGIES, wrapCoordinate, gridDistance, buildNeighborTable } from './Topology.js';
+import { NUTRIENT_TYPES, validateNutrients, chooseNutrient } from './Nutrients.js';
+import { UPPER_SOURCE_PARAMS, hasUpperDynamics, createUpperSources, stepUpperDimension } from './UpperDimension.js';
+
+export const TERRAIN = {
+    OPEN: 0,
+    WALL: 1,
+    WATER: 2,
+    FERTILE: 3
+};
+
+// Field6 reading for each terrain type
+const TERRAIN_SIGNAL = [0, 1.0, 0.66, 0.33];
+
+// Physics parameters that shape the generated terrain
+const TERRAIN_PARAMS = ['terrainWalls', 'terrainWallLength', 'terrainWater', 'terrainFertile', 'terrainPatchScale'];
+
+// Lifecycle event types emitted by the world; listeners receive
+// { type, tick, coreId, x, y, nutrient, ... } with extra fields per type:
+// - core:bloomed { value } - the core manifested energy worth value
+// - core:moved { fromX, fromY }
+// - energy:consumed { value, entityId, energyAge } - ticks since the bloom
+// - energy:expired { value } - also when its core is removed
+export const CORE_EVENTS = [
+    'core:incubated',
+    'core:bloomed',
+    'core:dormant',
+    'core:moved',
+    'energy:consumed',
+    'energy:expired'
+];
+
+// Physics parameters that shape the storm zones
+const STORM_PARAMS = ['stormCount', 'stormRadius', 'stormSpeed'];
+
+export const DEFAULT_PHYSICS_CONFIG = {
+    topology: 'torus',                // World edges: torus, bounded or reflective
+    coreCount: 50,                    // Cores scattered at world creation
+    incubationThreshold: 0.2,         // Catalyser needed to incubate a dormant core
+    bloomTemperatureThreshold: 0.2,   // Temperature an incubated core must stay above
+    incubationHeatTicks: 5,           // Consecutive warm ticks before blooming
+    bloomDuration: 5,                 // Ticks a core stays bloomed
+    energyLifetime: 5,                // Ticks an energy manifestation lasts
+    catalyserRelease: 0.1,            // Catalyser released when a core goes dormant
+    coreMoveDelay: 3,                 // Ticks before a harvested core moves
+    temperatureGenerator: 'sine',     // Thermal landscape generator (see TemperatureFields.js)
+    temperatureOptions: {},           // Generator option overrides
+    temperatureMotion: 'advection',   // How the landscape moves: advection, rotation or static
+    temperatureMotionOptions: {},     // Motion option overrides
+    temperatureDrift: 'right',        // Advection direction: right, left, up, down or none
+    diffusionStrength: 0.1,           // Temperature blending with neighbours per step
+    temperatureNoise: 0.02,           // Random temperature noise per step
+    upperDecay: 0.8,                  // Upper catalyser kept after each emit phase
+    upperCatalyserMax: 2,             // Upper catalyser density cap
+    upperDiffusion: 0,                // Upper catalyser blending with neighbours per step
+    upperCurrent: 0,                  // Share of upper catalyser flowing to cooler cells per unit of temperature drop
+    upperSources: 0,                  // Number of upper catalyser sources
+    upperSinks: 0,                    // Number of upper catalyser sinks
+    upperSourceRadius: 6,             // Source and sink radius in cells
+    upperSourceStrength: 0.05,        // Catalyser added or removed per step at a source centre
+    upperPerception: 0,               // field7 gain for sensing upper catalyser (0 = unsensed)
+    upperInfluence: 0,                // Upper catalyser each entity deposits per step
+    energyValue: 10,                  // Energy gained by consuming a manifestation
+    nutrientMix: { sugar: 1 },        // Relative share of cores per nutrient type
+    nutrientOptions: {},              // Per-type nutrient property overrides
+    terrainWalls: 0,                  // Number of wall segments
+    terrainWallLength: 15,            // Average wall segment length in cells
+    terrainWater: 0,                  // Fraction of cells covered by water
+    terrainFertile: 0,                // Fraction of cells with fertile soil
+    terrainPatchScale: 12,            // Size of water and fertile patches
+    waterEnergyCost: 0.5,             // Extra energy lost per step standing in water
+    fertileHeatTicks: 2,              // Warm ticks to bloom on fertile soil
+    fertileEnergyMultiplier: 2,       // Energy value multiplier for fertile blooms
+    overheatThreshold: 0.9,           // Temperature above which entities overheat
+    overheatDamage: 0,                // Energy lost per step while overheating
+    toxicityThreshold: 1,             // Catalyser concentration that becomes toxic
+    toxicityDamage: 0,                // Energy lost per step in toxic catalyser
+    stormCount: 0,                    // Number of drifting storm zones
+    stormRadius: 8,                   // Storm radius in cells
+    stormSpeed: 0.5,                  // Storm drift in cells per step
+    stormDamage: 2                    // Energy lost per step at a storm's centre
+};
+
+// Physics parameters holding option objects for a registered generator or motion
+const MODE_OPTIONS = {
+    temperatureOptions: ['temperatureGenerator', getTemperatureGenerator],
+    temperatureMotionOptions: ['temperatureMotion', getTemperatureMotion]
+};
+
+/**
+ * Merge physics overrides over the defaults, rejecting unknown or invalid values
+ * @param {object} overrides - Partial physics config
+ * @returns {object} - Complete physics config
+ */
+export function resolvePhysicsConfig(overrides = {}) {
+    const config = { ...DEFAULT_PHYSICS_CONFIG };
+    
+    for (const [key, value] of Object.entries(overrides || {})) {
+        if (!(key in DEFAULT_PHYSICS_CONFIG)) {
+            throw new Error(`Unknown physics parameter: ${key}`);
+        }
+        
+        if (key === 'topology') {
+            if (!TOPOLOGIES.includes(value)) {
+                throw new Error(`Invalid topology "${value}" (expected ${TOPOLOGIES.join(', ')})`);
+            }
+        } else if (key === 'temperatureDrift') {
+            if (!(value in DRIFT_OFFSETS)) {
+                throw new Error(`Invalid temperatureDrift "${value}" (expected ${Object.keys(DRIFT_OFFSETS).join(', ')})`);
+            }
+        } else if (key === 'temperatureGenerator') {
+            getTemperatureGenerator(value);
+        } else if (key === 'temperatureMotion') {
+            getTemperatureMotion(value);
+        } else if (key === 'nutrientMix' || key === 'nutrientOptions') {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new Error(`Physics parameter ${key} must be an object`);
+            }
+        } else if (key in MODE_OPTIONS) {
+            if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                throw new Error(`Physics parameter ${key} must be an object`);
+            }
+        } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            throw new Error(`Physics parameter ${key} must be a non-negative number`);
+        }
+        
+        config[key] = value;
+    }
+    
+    // Options must belong to the selected generator or motion, with values it accepts
+    for (const [key, [modeKey, lookup]] of Object.entries(MODE_OPTIONS)) {
+        const { defaults, validate } = lookup(config[modeKey]);
+        for (const option of Object.keys(config[key])) {
+            if (!(option in defaults)) {
+                throw new Error(`Unknown ${config[modeKey]} option: ${option}`);
+            }
+        }
+        validate({ ...defaults, ...config[key] });
+    }
+    
+    validateNutrients(config.nutrientMix, config.nutrientOptions);
+    
+    config.coreCount = Math.floor(config.coreCount);
+    return config;
+}
+
 export class WorldPhysics {
-    constructor(gridSize = 100) {
+    constructor(gridSize = 100, rng = new SeededRandom(), physicsConfig = {}) {
         this.gridSize = gridSize;
+        this.rng = rng;
+        this.physics = resolvePhysicsConfig(physicsConfig);
         this.tick = 0;
         this.phase = 'emit'; // 'emit' or 'collect'
+        this.cellCount = gridSize * gridSize;
         
         // Initialize dimensional layers
         this.lowerDimension = {
             temperature: this.generateTemperatureField(),
-            catalyser: Array(gridSize).fill().map(() => Array(gridSize).fill(0)),
+            catalyser: new Float32Array(this.cellCount),
             cores: [],
             energies: []
         };
         
         this.upperDimension = {
-            catalyser: Array(gridSize).fill().map(() => 
-                Array(gridSize).fill().map(() => Math.random() * 2)
-            )
+            catalyser: this.generateUpperCatalyserField()
         };
         
+        // Walls, water and fertile soil
+        this.terrain = this.generateTerrain();
+        
+        // Back buffers swapped with the live fields each step
+        this.temperatureBuffer = new Float32Array(this.cellCount);
+        this.upperBuffer = new Float32Array(this.cellCount);
+        this.collectBuffer = new Float32Array(this.cellCount);
+        
+        // Per-cell indexes of cores and energies
+        this.coreIndex = new SpatialHash(gridSize);
+        this.energyIndex = new SpatialHash(gridSize);
+        
         this.initializeCores();
+        
+        // Drifting storm zones
+        this.storms = this.generateStorms();
+        
+        // Upper catalyser sources and sinks
+        this.upperSources = createUpperSources(this);
+        
+        // Lifecycle event listeners by event type ('*' receives every event)
+        this.listeners = new Map();
     }
     
     /**
-     * Generate complex wave-based temperature patterns
+     * Listen for a lifecycle event type from CORE_EVENTS, or '*' for all
+     * @returns {function} - Call to stop listening
      */
-    generateTemperatureField() {
-        const temperature = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(0));
-        
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                let temp = 0;
-                
-                // Primary wave - creates main hot/cold bands
-                temp += Math.sin((x * 2 * Math.PI) / 30) * 0.4;
-                
-                // Secondary wave - adds variation
-                temp += Math.sin((y * 2 * Math.PI) / 45) * 0.2;
-                
-                // Tertiary wave - creates more complex patterns
-                temp += Math.sin(((x + y) * 2 * Math.PI) / 25) * 0.15;
-                
-                // Add some randomness for unpredictability
-                temp += (Math.random() - 0.5) * 0.1;
-                
-                // Normalize to 0-1 range
-                temperature[x][y] = Math.max(0, Math.min(1, (temp + 1) / 2));
-            }
+    on(type, listener) {
+        if (type !== '*' && !CORE_EVENTS.includes(type)) {
+            throw new Error(`Unknown world event: ${type}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
         }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+    
+    /**
+     * Stop a listener registered with on()
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+    
+    /**
+     * Notify listeners of a lifecycle event about a core or its energy
+     */
+    emit(type, source, details = {}) {
+        if (this.listeners.size === 0) return;
         
-        return temperature;
+        const event = {
+            type,
+            tick: this.tick,
+            coreId: source.coreId ?? source.id,
+            x: source.x,
+            y: source.y,
+            nutrient: source.nutrient,
+            ...details
+        };
+        this.listeners.get(type)?.forEach(listener => listener(event));
+        this.listeners.get('*')?.forEach(listener => listener(event));
+    }
+    
+    /**
+     * Flat field index of grid position (x, y)
+     */
+    index(x, y) {
+        return x * this.gridSize + y;
+    }
+    
+    /**
+     * Map a coordinate onto the grid for the world topology
+     * @returns {number} - Grid coordinate, or -1 beyond a bounded edge
+     */
+    wrap(c) {
+        return wrapCoordinate(c, this.gridSize, this.physics.topology);
+    }
+    
+    /**
+     * Coordinate to sample a field at; bounded worlds repeat their edge cells
+     */
+    fieldCoordinate(c) {
+        const wrapped = this.wrap(c);
+        return wrapped >= 0 ? wrapped : Math.max(0, Math.min(this.gridSize - 1, c));
+    }
+    
+    /**
+     * Sensing distance between two cells under the world topology
+     */
+    distance(ax, ay, bx, by) {
+        return gridDistance(ax, ay, bx, by, this.gridSize, this.physics.topology);
+    }
+    
+    /**
+     * Per-axis neighbour tables for the current topology (-1 beyond a bounded edge)
+     */
+    neighbors() {
+        if (this.neighborTopology !== this.physics.topology) {
+            this.neighborTable = buildNeighborTable(this.gridSize, this.physics.topology);
+            this.neighborTopology = this.physics.topology;
+        }
+        return this.neighborTable;
+    }
+    
+    /**
+     * Generate the temperature field with the configured generator
+     */
+    generateTemperatureField() {
+        const generator = getTemperatureGenerator(this.physics.temperatureGenerator);
+        return generator.generate(this, { ...generator.defaults, ...this.physics.temperatureOptions });
+    }
+    
+    /**
+     * Generate the initial random upper dimension catalyser density (0 to upperCatalyserMax)
+     */
+    generateUpperCatalyserField() {
+        const catalyser = new Float32Array(this.gridSize * this.gridSize);
+        for (let i = 0; i < catalyser.length; i++) {
+            catalyser[i] = this.rng.next() * this.physics.upperCatalyserMax;
+        }
+        return catalyser;
     }
     
     /**
@@ -70,80 +346,333 @@ export class WorldPhysics {
      */
     initializeCores() {
         this.lowerDimension.cores = [];
-        const numCores = 50;
-        
-        for (let i = 0; i < numCores; i++) {
-            this.lowerDimension.cores.push({
-                x: Math.floor(Math.random() * this.gridSize),
-                y: Math.floor(Math.random() * this.gridSize),
-                state: 'dormant',
-                incubationTime: 0,
-                bloomTime: 0,
-                temperatureExposure: 0,
-                consecutiveHighTemp: 0,
-                id: i
+        
+        for (let i = 0; i < this.physics.coreCount; i++) {
+            this.lowerDimension.cores.push(this.createCore(i));
+        }
+        
+        this.coreIndex.rebuild(this.lowerDimension.cores);
+    }
+    
+    /**
+     * Create a dormant core at a random open position
+     */
+    createCore(id) {
+        let x = this.rng.nextInt(this.gridSize);
+        let y = this.rng.nextInt(this.gridSize);
+        if (this.isBlocked(x, y)) {
+            ({ x, y } = this.nearestOpenCell(x, y));
+        }
+        
+        return {
+            x,
+            y,
+            state: 'dormant',
+            incubationTime: 0,
+            bloomTime: 0,
+            temperatureExposure: 0,
+            consecutiveHighTemp: 0,
+            nutrient: chooseNutrient(this.physics.nutrientMix, this.rng),
+            id
+        };
+    }
+    
+    /**
+     * Resolved properties of a nutrient type, with nutrientOptions applied
+     */
+    nutrient(type) {
+        return { ...NUTRIENT_TYPES[type], ...this.physics.nutrientOptions[type] };
+    }
+    
+    /**
+     * Apply physics parameter changes to the running world
+     * Changing coreCount adds random dormant cores or removes the newest ones;
+     * changing the temperature generator or its options regenerates the field,
+     * changing terrain parameters regenerates the terrain, and changing the
+     * nutrient mix draws new nutrient types for all cores; changing storm
+     * parameters raises new storms and changing upper source parameters
+     * places new sources and sinks
+     * @param {object} changes - Partial physics config
+     * @returns {object} - Complete physics config now in effect
+     */
+    setPhysicsConfig(changes) {
+        const previous = this.physics;
+        const next = { ...this.physics, ...changes };
+        
+        // Options of a replaced generator or motion do not carry over
+        for (const [key, [modeKey]] of Object.entries(MODE_OPTIONS)) {
+            if (next[modeKey] !== previous[modeKey] && !(key in changes)) {
+                next[key] = {};
+            }
+        }
+        
+        this.physics = resolvePhysicsConfig(next);
+        
+        // A different landscape replaces the current temperature field
+        if (previous.temperatureGenerator !== this.physics.temperatureGenerator ||
+            JSON.stringify(previous.temperatureOptions) !== JSON.stringify(this.physics.temperatureOptions)) {
+            this.lowerDimension.temperature = this.generateTemperatureField();
+        }
+        
+        // New terrain, with cores walled in moved out
+        if (TERRAIN_PARAMS.some(key => previous[key] !== this.physics[key])) {
+            this.terrain = this.generateTerrain();
+            for (const core of this.lowerDimension.cores) {
+                if (this.isBlocked(core.x, core.y)) {
+                    const oldX = core.x;
+                    const oldY = core.y;
+                    Object.assign(core, this.nearestOpenCell(core.x, core.y));
+                    this.coreIndex.relocate(core, oldX, oldY);
+                }
+            }
+        }
+        
+        const cores = this.lowerDimension.cores;
+        if (JSON.stringify(previous.nutrientMix) !== JSON.stringify(this.physics.nutrientMix)) {
+            for (const core of cores) {
+                core.nutrient = chooseNutrient(this.physics.nutrientMix, this.rng);
+            }
+        }
+        
+        if (cores.length !== this.physics.coreCount) {
+            while (cores.length < this.physics.coreCount) {
+                cores.push(this.createCore(cores.length));
+            }
+            cores.length = this.physics.coreCount;
+            
+            // Energies of removed cores go with them: their ids are reused by
+            // cores added later, which must not be moved by or credited with them
+            this.lowerDimension.energies = this.lowerDimension.energies.filter(energy => {
+                if (energy.coreId < cores.length) return true;
+                energy.active = false;
+                this.energyIndex.remove(energy);
+                this.emit('energy:expired', energy, { value: energy.value });
+                return false;
             });
+            this.coreIndex.rebuild(cores);
         }
+        
+        if (STORM_PARAMS.some(key => previous[key] !== this.physics[key])) {
+            this.storms = this.generateStorms();
+        }
+        
+        if (UPPER_SOURCE_PARAMS.some(key => previous[key] !== this.physics[key])) {
+            this.upperSources = createUpperSources(this);
+        }
+        
+        return this.physics;
     }
     
     /**
-     * Shift temperature patterns to create dynamic thermal waves
+     * Generate terrain: wall segments over water and fertile patches
+     * Water fills the lowest and fertile soil the highest cells of a noise field
      */
-    shiftTemperature() {
-        const newTemperature = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(0));
+    generateTerrain() {
+        const size = this.gridSize;
+        const terrain = new Uint8Array(this.cellCount);
+        const { terrainWalls, terrainWallLength, terrainWater, terrainFertile, terrainPatchScale } = this.physics;
         
-        // Shift right with wraparound
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                const newX = (x + 1) % this.gridSize;
-                newTemperature[newX][y] = this.lowerDimension.temperature[x][y];
+        const waterCells = Math.floor(terrainWater * this.cellCount);
+        const fertileCells = Math.floor(terrainFertile * this.cellCount);
+        if (waterCells > 0 || fertileCells > 0) {
+            const noise = new PerlinNoise(this.rng);
+            const scale = Math.max(1, terrainPatchScale);
+            const values = new Float32Array(this.cellCount);
+            for (let x = 0; x < size; x++) {
+                for (let y = 0; y < size; y++) {
+                    values[this.index(x, y)] = noise.sample(x / scale, y / scale);
+                }
+            }
+            
+            const sorted = Float32Array.from(values).sort();
+            const waterLimit = waterCells > 0 ? sorted[Math.min(waterCells, this.cellCount - 1)] : -Infinity;
+            const fertileLimit = fertileCells > 0 ? sorted[Math.max(0, this.cellCount - fertileCells)] : Infinity;
+            
+            for (let i = 0; i < this.cellCount; i++) {
+                if (values[i] >= fertileLimit) {
+                    terrain[i] = TERRAIN.FERTILE;
+                } else if (values[i] < waterLimit) {
+                    terrain[i] = TERRAIN.WATER;
+                }
             }
         }
         
-        // Add diffusion to break synchronization
-        const diffusionStrength = 0.1;
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                let diffusedTemp = newTemperature[x][y];
-                let neighborCount = 0;
-                let neighborSum = 0;
-                
-                // Average with neighbors
-                for (let dx = -1; dx <= 1; dx++) {
-                    for (let dy = -1; dy <= 1; dy++) {
-                        if (dx === 0 && dy === 0) continue;
-                        const nx = (x + dx + this.gridSize) % this.gridSize;
-                        const ny = (y + dy + this.gridSize) % this.gridSize;
-                        neighborSum += newTemperature[nx][ny];
-                        neighborCount++;
+        // Straight horizontal or vertical walls, following the topology past the edges
+        for (let i = 0; i < terrainWalls; i++) {
+            const x = this.rng.nextInt(size);
+            const y = this.rng.nextInt(size);
+            const horizontal = this.rng.next() < 0.5;
+            const length = Math.max(1, Math.round(terrainWallLength * (0.5 + this.rng.next())));
+            
+            for (let step = 0; step < length; step++) {
+                const wx = horizontal ? this.wrap(x + step) : x;
+                const wy = horizontal ? y : this.wrap(y + step);
+                if (wx < 0 || wy < 0) break;
+                terrain[this.index(wx, wy)] = TERRAIN.WALL;
+            }
+        }
+        
+        this.terrainVersion = (this.terrainVersion || 0) + 1;
+        return terrain;
+    }
+    
+    /**
+     * Terrain type at grid position (x, y)
+     */
+    terrainAt(x, y) {
+        return this.terrain[this.index(x, y)];
+    }
+    
+    /**
+     * Whether grid position (x, y) is a wall
+     */
+    isBlocked(x, y) {
+        return this.terrain[this.index(x, y)] === TERRAIN.WALL;
+    }
+    
+    /**
+     * Extra energy an entity loses for standing at (x, y) this step
+     */
+    terrainEnergyCost(x, y) {
+        return this.terrainAt(x, y) === TERRAIN.WATER ? this.physics.waterEnergyCost : 0;
+    }
+    
+    /**
+     * Create storms at random positions, each drifting in a random direction
+     */
+    generateStorms() {
+        const storms = [];
+        for (let i = 0; i < this.physics.stormCount; i++) {
+            const angle = this.rng.next() * Math.PI * 2;
+            storms.push({
+                x: this.rng.next() * this.gridSize,
+                y: this.rng.next() * this.gridSize,
+                vx: Math.cos(angle) * this.physics.stormSpeed,
+                vy: Math.sin(angle) * this.physics.stormSpeed
+            });
+        }
+        return storms;
+    }
+    
+    /**
+     * Drift storms one step; they wrap on a torus and bounce off other edges
+     */
+    moveStorms() {
+        const size = this.gridSize;
+        for (const storm of this.storms) {
+            storm.x += storm.vx;
+            storm.y += storm.vy;
+            
+            if (this.physics.topology === 'torus') {
+                storm.x = ((storm.x % size) + size) % size;
+                storm.y = ((storm.y % size) + size) % size;
+                continue;
+            }
+            
+            const max = size - 1;
+            if (storm.x < 0 || storm.x > max) {
+                storm.x = storm.x < 0 ? -storm.x : 2 * max - storm.x;
+                storm.vx = -storm.vx;
+            }
+            if (storm.y < 0 || storm.y > max) {
+                storm.y = storm.y < 0 ? -storm.y : 2 * max - storm.y;
+                storm.vy = -storm.vy;
+            }
+        }
+    }
+    
+    /**
+     * Storm strength at (x, y): 1 at a storm's centre falling to 0 at its radius
+     */
+    stormIntensity(x, y) {
+        const size = this.gridSize;
+        const torus = this.physics.topology === 'torus';
+        let intensity = 0;
+        
+        for (const storm of this.storms) {
+            let dx = Math.abs(x - storm.x);
+            let dy = Math.abs(y - storm.y);
+            if (torus) {
+                dx = Math.min(dx, size - dx);
+                dy = Math.min(dy, size - dy);
+            }
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance < this.physics.stormRadius) {
+                intensity = Math.max(intensity, 1 - distance / this.physics.stormRadius);
+            }
+        }
+        
+        return intensity;
+    }
+    
+    /**
+     * Energy each hazard drains this step from an entity at (x, y)
+     * @returns {{overheating: number, catalyser_toxicity: number, storm: number}}
+     */
+    hazardDamage(x, y) {
+        const physics = this.physics;
+        const cell = this.index(x, y);
+        
+        return {
+            overheating: this.lowerDimension.temperature[cell] > physics.overheatThreshold ? physics.overheatDamage : 0,
+            catalyser_toxicity: this.lowerDimension.catalyser[cell] > physics.toxicityThreshold ? physics.toxicityDamage : 0,
+            storm: this.storms.length > 0 ? physics.stormDamage * this.stormIntensity(x, y) : 0
+        };
+    }
+    
+    /**
+     * Nearest cell to (x, y) that is not a wall, searching outward ring by ring
+     * @returns {{x: number, y: number}} - Open cell, or (x, y) if the world is all wall
+     */
+    nearestOpenCell(x, y) {
+        const size = this.gridSize;
+        for (let radius = 1; radius < size; radius++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                    
+                    const nx = this.wrap(x + dx);
+                    const ny = this.wrap(y + dy);
+                    if (nx >= 0 && ny >= 0 && !this.isBlocked(nx, ny)) {
+                        return { x: nx, y: ny };
                     }
                 }
-                
-                if (neighborCount > 0) {
-                    const avgNeighbor = neighborSum / neighborCount;
-                    diffusedTemp = newTemperature[x][y] * (1 - diffusionStrength) + 
-                                  avgNeighbor * diffusionStrength;
-                }
-                
-                // Add small random noise
-                diffusedTemp += (Math.random() - 0.5) * 0.02;
-                
-                newTemperature[x][y] = Math.max(0, Math.min(1, diffusedTemp));
             }
         }
+        return { x, y };
+    }
+    
+    /**
+     * Move the temperature field with the configured motion, then let the
+     * generator apply any time-varying heating
+     */
+    shiftTemperature() {
+        const source = this.lowerDimension.temperature;
+        const target = this.temperatureBuffer;
+        const motion = getTemperatureMotion(this.physics.temperatureMotion);
+        const generator = getTemperatureGenerator(this.physics.temperatureGenerator);
         
-        this.lowerDimension.temperature = newTemperature;
+        motion.step(this, source, target, { ...motion.defaults, ...this.physics.temperatureMotionOptions }, this.physics);
+        
+        this.temperatureBuffer = source;
+        this.lowerDimension.temperature = target;
+        
+        if (generator.update) {
+            generator.update(this, target, { ...generator.defaults, ...this.physics.temperatureOptions });
+        }
     }
     
     /**
      * Emit phase: Transfer catalyser from upper to lower dimension
      */
     emitPhase() {
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                this.lowerDimension.catalyser[x][y] += this.upperDimension.catalyser[x][y];
-                this.upperDimension.catalyser[x][y] *= 0.8; // Decay
-            }
+        const lower = this.lowerDimension.catalyser;
+        const upper = this.upperDimension.catalyser;
+        const decay = this.physics.upperDecay;
+        
+        for (let i = 0; i < this.cellCount; i++) {
+            lower[i] += upper[i];
+            upper[i] *= decay;
         }
     }
     
@@ -151,49 +680,83 @@ export class WorldPhysics {
      * Collect phase: Redistribute catalyser based on density gradients
      */
     collectPhase() {
-        const newCatalyser = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(0));
+        const size = this.gridSize;
+        const lower = this.lowerDimension.catalyser;
+        const upper = this.upperDimension.catalyser;
+        const collected = this.collectBuffer;
+        collected.fill(0);
+        
+        // Neighbourhood rows and columns under the topology (-1 = beyond a
+        // bounded edge). This runs for every cell holding catalyser, so it
+        // must not allocate: full neighbourhoods are unrolled, and cells on a
+        // bounded edge gather the neighbours that exist into a reused buffer.
+        // Both paths add in the same order, so they give identical results.
+        const { before, after } = this.neighbors();
+        const cells = new Int32Array(9);
         
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                const currentCatalyser = this.lowerDimension.catalyser[x][y];
+        for (let x = 0; x < size; x++) {
+            const row0 = before[x] >= 0 ? before[x] * size : -1;
+            const row1 = x * size;
+            const row2 = after[x] >= 0 ? after[x] * size : -1;
+            
+            for (let y = 0; y < size; y++) {
+                const i = row1 + y;
+                const currentCatalyser = lower[i];
+                if (currentCatalyser <= 0) continue;
                 
-                if (currentCatalyser > 0) {
-                    let totalDensity = 0;
-                    const neighbors = [];
+                const y0 = before[y];
+                const y2 = after[y];
+                
+                if (row0 >= 0 && row2 >= 0 && y0 >= 0 && y2 >= 0) {
+                    const u00 = upper[row0 + y0], u01 = upper[row0 + y], u02 = upper[row0 + y2];
+                    const u10 = upper[row1 + y0], u11 = upper[row1 + y], u12 = upper[row1 + y2];
+                    const u20 = upper[row2 + y0], u21 = upper[row2 + y], u22 = upper[row2 + y2];
+                    const totalDensity = u00 + u01 + u02 + u10 + u11 + u12 + u20 + u21 + u22;
                     
-                    // Calculate neighbor densities
-                    for (let dx = -1; dx <= 1; dx++) {
-                        for (let dy = -1; dy <= 1; dy++) {
-                            const nx = x + dx;
-                            const ny = y + dy;
-                            if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
-                                const density = this.upperDimension.catalyser[nx][ny];
-                                neighbors.push({x: nx, y: ny, density});
-                                totalDensity += density;
-                            }
-                        }
+                    if (totalDensity > 0) {
+                        collected[row0 + y0] += currentCatalyser * (u00 / totalDensity);
+                        collected[row0 + y] += currentCatalyser * (u01 / totalDensity);
+                        collected[row0 + y2] += currentCatalyser * (u02 / totalDensity);
+                        collected[row1 + y0] += currentCatalyser * (u10 / totalDensity);
+                        collected[row1 + y] += currentCatalyser * (u11 / totalDensity);
+                        collected[row1 + y2] += currentCatalyser * (u12 / totalDensity);
+                        collected[row2 + y0] += currentCatalyser * (u20 / totalDensity);
+                        collected[row2 + y] += currentCatalyser * (u21 / totalDensity);
+                        collected[row2 + y2] += currentCatalyser * (u22 / totalDensity);
+                    }
+                } else {
+                    let count = 0;
+                    for (let r = 0; r < 3; r++) {
+                        const row = r === 0 ? row0 : r === 1 ? row1 : row2;
+                        if (row < 0) continue;
+                        if (y0 >= 0) cells[count++] = row + y0;
+                        cells[count++] = row + y;
+                        if (y2 >= 0) cells[count++] = row + y2;
+                    }
+                    
+                    let totalDensity = 0;
+                    for (let k = 0; k < count; k++) {
+                        totalDensity += upper[cells[k]];
                     }
                     
                     // Redistribute proportionally
                     if (totalDensity > 0) {
-                        neighbors.forEach(neighbor => {
-                            const proportion = neighbor.density / totalDensity;
-                            newCatalyser[neighbor.x][neighbor.y] += currentCatalyser * proportion;
-                        });
+                        for (let k = 0; k < count; k++) {
+                            const j = cells[k];
+                            collected[j] += currentCatalyser * (upper[j] / totalDensity);
+                        }
                     }
-                    
-                    // Clear current position
-                    this.lowerDimension.catalyser[x][y] = 0;
                 }
+                
+                // Clear current position
+                lower[i] = 0;
             }
         }
         
         // Update upper dimension with collected catalyser
-        for (let x = 0; x < this.gridSize; x++) {
-            for (let y = 0; y < this.gridSize; y++) {
-                this.upperDimension.catalyser[x][y] += newCatalyser[x][y];
-                this.upperDimension.catalyser[x][y] = Math.min(2, this.upperDimension.catalyser[x][y]);
-            }
+        const maxDensity = this.physics.upperCatalyserMax;
+        for (let i = 0; i < this.cellCount; i++) {
+            upper[i] = Math.min(maxDensity, upper[i] + collected[i]);
         }
     }
     
@@ -201,6 +764,8 @@ export class WorldPhysics {
      * Update core states and energy manifestations
      */
     updateCores() {
+        const physics = this.physics;
+        
         this.lowerDimension.cores.forEach(core => {
             // Handle delayed core movement
             if (core.moveAfterTick && this.tick >= core.moveAfterTick) {
@@ -208,51 +773,68 @@ export class WorldPhysics {
                 delete core.moveAfterTick;
             }
             
-            const catalyserAmount = this.lowerDimension.catalyser[core.x][core.y];
-            const temperature = this.lowerDimension.temperature[core.x][core.y];
+            const cell = this.index(core.x, core.y);
+            const catalyserAmount = this.lowerDimension.catalyser[cell];
+            const temperature = this.lowerDimension.temperature[cell];
             
             // State transitions
-            if (core.state === 'dormant' && catalyserAmount > 0.2) {
+            if (core.state === 'dormant' && catalyserAmount > physics.incubationThreshold) {
                 core.state = 'incubated';
                 core.incubationTime = this.tick;
                 core.consecutiveHighTemp = 0;
+                this.emit('core:incubated', core);
             }
             
             if (core.state === 'incubated') {
-                if (temperature > 0.2) {
+                // Fertile soil shortens incubation and enriches the bloom
+                const fertile = this.terrain[cell] === TERRAIN.FERTILE;
+                const heatTicks = fertile ? physics.fertileHeatTicks : physics.incubationHeatTicks;
+                
+                if (temperature > physics.bloomTemperatureThreshold) {
                     core.consecutiveHighTemp++;
-                    if (core.consecutiveHighTemp >= 5) {
+                    if (core.consecutiveHighTemp >= heatTicks) {
                         core.state = 'bloomed';
                         core.bloomTime = this.tick;
                         
-                        // Create energy manifestation
-                        this.lowerDimension.energies.push({
+                        // Create energy manifestation of the core's nutrient type
+                        const nutrient = core.nutrient;
+                        const energy = {
                             x: core.x,
                             y: core.y,
                             createdAt: this.tick,
                             active: true,
-                            coreId: core.id
-                        });
+                            coreId: core.id,
+                            nutrient,
+                            value: physics.energyValue * this.nutrient(nutrient).value *
+                                   (fertile ? physics.fertileEnergyMultiplier : 1)
+                        };
+                        this.lowerDimension.energies.push(energy);
+                        this.energyIndex.add(energy);
+                        this.emit('core:bloomed', core, { value: energy.value });
                     }
                 } else {
                     core.consecutiveHighTemp = 0;
                 }
             }
             
-            if (core.state === 'bloomed' && this.tick - core.bloomTime >= 5) {
+            if (core.state === 'bloomed' && this.tick - core.bloomTime >= physics.bloomDuration) {
                 // Return to dormant state and release catalyser
                 core.state = 'dormant';
                 core.consecutiveHighTemp = 0;
-                this.lowerDimension.catalyser[core.x][core.y] += 0.1;
+                this.lowerDimension.catalyser[this.index(core.x, core.y)] += physics.catalyserRelease;
+                this.emit('core:dormant', core);
                 
                 this.moveCore(core);
             }
         });
         
-        // Clean up expired energies
+        // Clean up expired energies; each nutrient lasts its own share of energyLifetime
         this.lowerDimension.energies = this.lowerDimension.energies.filter(energy => {
-            if (this.tick - energy.createdAt >= 5) {
+            const lifetime = physics.energyLifetime * this.nutrient(energy.nutrient).lifetime;
+            if (this.tick - energy.createdAt >= lifetime) {
                 energy.active = false;
+                this.energyIndex.remove(energy);
+                this.emit('energy:expired', energy, { value: energy.value });
                 return false;
             }
             return true;
@@ -268,39 +850,69 @@ export class WorldPhysics {
             {x: -1, y: 0},                 {x: 1, y: 0},
             {x: -1, y: 1},  {x: 0, y: 1},  {x: 1, y: 1}
         ];
-        const move = moves[Math.floor(Math.random() * moves.length)];
-        core.x = (core.x + move.x + this.gridSize) % this.gridSize;
-        core.y = (core.y + move.y + this.gridSize) % this.gridSize;
+        const move = this.rng.choice(moves);
+        const x = this.wrap(core.x + move.x);
+        const y = this.wrap(core.y + move.y);
+        
+        // Walls and bounded edges hold cores in place
+        if (x < 0 || y < 0 || this.isBlocked(x, y)) return;
+        
+        const oldX = core.x;
+        const oldY = core.y;
+        core.x = x;
+        core.y = y;
+        this.coreIndex.relocate(core, oldX, oldY);
+        this.emit('core:moved', core, { fromX: oldX, fromY: oldY });
     }
     
     /**
      * Schedule a core to move after a delay
      */
-    scheduleCoreMovement(coreId, delay = 3) {
-        const core = this.lowerDimension.cores.find(c => c.id === coreId);
+    scheduleCoreMovement(coreId, delay = this.physics.coreMoveDelay) {
+        // Core ids are their position in the cores list
+        const core = this.lowerDimension.cores[coreId];
         if (core) {
             core.moveAfterTick = this.tick + delay;
         }
     }
     
+    /**
+     * The core sensed at a cell: when several share it, the one with the
+     * lowest id, as bucket order changes when cores move or are re-indexed
+     */
+    coreAt(x, y) {
+        let first = null;
+        for (const core of this.coreIndex.at(x, y)) {
+            if (!first || core.id < first.id) {
+                first = core;
+            }
+        }
+        return first;
+    }
+    
     /**
      * Get raw physical properties at a specific position
      * This is the fundamental sensory interface for consciousness entities
      */
     getRawPhysicalProperties(x, y, distance = 0, observerEnergy = 100) {
-        if (x < 0 || x >= this.gridSize || y < 0 || y >= this.gridSize) {
-            return { field1: 0, field2: 0, field3: 0, field4: 0, field5: 0, confidence: 0 };
+        x = this.wrap(x);
+        y = this.wrap(y);
+        if (x < 0 || y < 0) {
+            // Beyond a bounded edge there is only the edge itself, sensed as a wall
+            return {
+                field1: 0, field2: 0, field3: 0, field4: 0, field5: 0, field7: 0,
+                field6: TERRAIN_SIGNAL[TERRAIN.WALL],
+                confidence: this.senseConfidence(distance, observerEnergy)
+            };
         }
         
-        const temp = this.lowerDimension.temperature[x][y];
-        const catalyser = this.lowerDimension.catalyser[x][y];
+        const temp = this.lowerDimension.temperature[this.index(x, y)];
+        const catalyser = this.lowerDimension.catalyser[this.index(x, y)];
         
         // Check for cores and energies
-        const core = this.lowerDimension.cores.find(core => core.x === x && core.y === y);
+        const core = this.coreAt(x, y);
         const coreState = core ? core.state : 'none';
-        const hasEnergy = this.lowerDimension.energies.some(energy => 
-            energy.x === x && energy.y === y && energy.active
-        );
+        const energyHere = this.energyIndex.at(x, y)[0];
         
         // Encode core states
         const coreValue = coreState === 'none' ? 0 : 
@@ -308,7 +920,8 @@ export class WorldPhysics {
                          coreState === 'incubated' ? 0.6 : 
                          coreState === 'bloomed' ? 0.9 : 0;
         
-        const energyValue = hasEnergy ? 1.0 : 0;
+        // Each nutrient has its own energy signature
+        const energyValue = energyHere ? this.nutrient(energyHere.nutrient).signal : 0;
         
         // Raw physical field calculations
         let field1 = (temp * 0.7 + catalyser * 0.3) * (1 + Math.sin(this.tick * 0.1) * 0.1);
@@ -316,19 +929,28 @@ export class WorldPhysics {
         let field3 = temp * catalyser * (1 + coreValue) + energyValue * 0.8;
         field3 += Math.sin((x + y + this.tick) * 0.1) * 0.1;
         let field4 = temp * 0.5 + catalyser * 0.3 + coreValue * 0.2;
+        if (this.storms.length > 0) {
+            field4 += this.stormIntensity(x, y) * 0.5;
+        }
         let field5 = 0; // Will be set by entities themselves for life force detection
+        let field6 = TERRAIN_SIGNAL[this.terrain[this.index(x, y)]];
+        let field7 = 0;
+        if (this.physics.upperPerception > 0) {
+            const upper = this.upperDimension.catalyser[this.index(x, y)] / this.physics.upperCatalyserMax;
+            field7 = Math.min(1, upper) * this.physics.upperPerception;
+        }
         
         // Add spatial context from neighbors
+        const { before, after } = this.neighbors();
         let neighborInfluence = 0;
         let neighborCount = 0;
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                if (dx === 0 && dy === 0) continue;
-                const nx = x + dx;
-                const ny = y + dy;
-                if (nx >= 0 && nx < this.gridSize && ny >= 0 && ny < this.gridSize) {
-                    neighborInfluence += this.lowerDimension.temperature[nx][ny] + 
-                                       this.lowerDimension.catalyser[nx][ny];
+        for (const nx of [before[x], x, after[x]]) {
+            for (const ny of [before[y], y, after[y]]) {
+                if (nx === x && ny === y) continue;
+                if (nx >= 0 && ny >= 0) {
+                    const cell = this.index(nx, ny);
+                    neighborInfluence += this.lowerDimension.temperature[cell] + 
+                                       this.lowerDimension.catalyser[cell];
                     neighborCount++;
                 }
             }
@@ -338,25 +960,23 @@ export class WorldPhysics {
         }
         
         // Calculate confidence based on distance and observer energy
-        const baseConfidence = distance === 0 ? 1.0 : 
-                              distance === 1 ? 0.9 :
-                              distance === 2 ? 0.7 :
-                              distance === 3 ? 0.5 :
-                              distance === 4 ? 0.3 : 0.1;
-        
         const energyMultiplier = Math.max(0.1, Math.min(1.0, observerEnergy / 100.0));
-        const finalConfidence = baseConfidence * energyMultiplier;
+        const finalConfidence = this.senseConfidence(distance, observerEnergy);
         
         // Add noise based on distance and energy
         const noiseLevel = 1 - finalConfidence;
         if (distance > 0 || observerEnergy < 100) {
             const energyNoise = (1 - energyMultiplier) * 0.3;
             const totalNoise = noiseLevel * 0.2 + energyNoise;
-            field1 += (Math.random() - 0.5) * totalNoise;
-            field2 += (Math.random() - 0.5) * totalNoise;
-            field3 += (Math.random() - 0.5) * totalNoise;
-            field4 += (Math.random() - 0.5) * totalNoise;
-            field5 += (Math.random() - 0.5) * totalNoise;
+            field1 += (this.rng.next() - 0.5) * totalNoise;
+            field2 += (this.rng.next() - 0.5) * totalNoise;
+            field3 += (this.rng.next() - 0.5) * totalNoise;
+            field4 += (this.rng.next() - 0.5) * totalNoise;
+            field5 += (this.rng.next() - 0.5) * totalNoise;
+            field6 += (this.rng.next() - 0.5) * totalNoise;
+            if (this.physics.upperPerception > 0) {
+                field7 += (this.rng.next() - 0.5) * totalNoise;
+            }
         }
         
         return {
@@ -365,30 +985,55 @@ export class WorldPhysics {
             field3: Math.max(0, Math.min(1, field3)),
             field4: Math.max(0, Math.min(1, field4)),
             field5: Math.max(0, Math.min(1, field5)),
+            field6: Math.max(0, Math.min(1, field6)),
+            field7: Math.max(0, Math.min(1, field7)),
             confidence: finalConfidence
         };
     }
     
+    /**
+     * Sensing confidence at a distance for an observer with the given energy
+     */
+    senseConfidence(distance, observerEnergy) {
+        const baseConfidence = distance === 0 ? 1.0 : 
+                              distance === 1 ? 0.9 :
+                              distance === 2 ? 0.7 :
+                              distance === 3 ? 0.5 :
+                              distance === 4 ? 0.3 : 0.1;
+        
+        const energyMultiplier = Math.max(0.1, Math.min(1.0, observerEnergy / 100.0));
+        return baseConfidence * energyMultiplier;
+    }
+    
     /**
      * Consume energy at a position (called by entities)
+     * @param {string|null} entityId - Consumer, reported in the energy:consumed event
+     * @returns {{nutrient: string, value: number}|null} - The meal eaten, if any
      */
-    consumeEnergy(x, y) {
-        const energyIndex = this.lowerDimension.energies.findIndex(
-            energy => energy.x === x && energy.y === y && energy.active
-        );
+    consumeEnergy(x, y, entityId = null) {
+        // Oldest energy in the cell first
+        const energy = this.energyIndex.at(x, y)[0];
         
-        if (energyIndex !== -1) {
-            const energy = this.lowerDimension.energies[energyIndex];
-            
+        if (energy) {
             // Schedule core movement
-            this.scheduleCoreMovement(energy.coreId, 3);
+            this.scheduleCoreMovement(energy.coreId);
             
             // Remove energy
-            this.lowerDimension.energies.splice(energyIndex, 1);
-            return 10; // Energy value
+            const energies = this.lowerDimension.energies;
+            energies.splice(energies.indexOf(energy), 1);
+            this.energyIndex.remove(energy);
+            this.emit('energy:consumed', energy, {
+                value: energy.value,
+                entityId,
+                energyAge: this.tick - energy.createdAt
+            });
+            return {
+                nutrient: energy.nutrient,
+                value: energy.value
+            };
         }
         
-        return 0;
+        return null;
     }
     
     /**
@@ -406,7 +1051,22 @@ export class WorldPhysics {
             this.tick++;
         }
         
+        if (hasUpperDynamics(this.physics)) {
+            stepUpperDimension(this);
+        }
+        
         this.updateCores();
+        this.moveStorms();
+    }
+    
+    /**
+     * Deposit upperInfluence catalyser into the upper dimension at (x, y)
+     * (called by entities)
+     */
+    depositUpper(x, y) {
+        const cell = this.index(x, y);
+        const upper = this.upperDimension.catalyser;
+        upper[cell] = Math.min(this.physics.upperCatalyserMax, upper[cell] + this.physics.upperInfluence);
     }
     
     /**
@@ -427,6 +1087,71 @@ export class WorldPhysics {
         };
     }
     
+    /**
+     * Capture the complete world state (fields, cores, energies) for a snapshot
+     */
+    toSnapshot() {
+        return {
+            gridSize: this.gridSize,
+            tick: this.tick,
+            phase: this.phase,
+            temperature: Array.from(this.lowerDimension.temperature),
+            catalyser: Array.from(this.lowerDimension.catalyser),
+            upperCatalyser: Array.from(this.upperDimension.catalyser),
+            terrain: Array.from(this.terrain),
+            cores: this.lowerDimension.cores.map(core => ({ ...core })),
+            energies: this.lowerDimension.energies.map(energy => ({ ...energy })),
+            storms: this.storms.map(storm => ({ ...storm })),
+            upperSources: this.upperSources.map(source => ({ ...source }))
+        };
+    }
+    
+    /**
+     * Restore the world from a snapshot created by toSnapshot()
+     */
+    restoreSnapshot(snapshot) {
+        if (snapshot.gridSize !== this.gridSize) {
+            throw new Error(`Snapshot grid size ${snapshot.gridSize} does not match world grid size ${this.gridSize}`);
+        }
+        
+        this.tick = snapshot.tick;
+        this.phase = snapshot.phase;
+        this.lowerDimension.temperature.set(this.toField(snapshot.temperature));
+        this.lowerDimension.catalyser.set(this.toField(snapshot.catalyser));
+        this.upperDimension.catalyser.set(this.toField(snapshot.upperCatalyser));
+        
+        // Snapshots from before terrain have open ground everywhere
+        if (snapshot.terrain) {
+            this.terrain.set(this.toField(snapshot.terrain));
+        } else {
+            this.terrain.fill(TERRAIN.OPEN);
+        }
+        this.terrainVersion++;
+        // Cores and energies from before nutrient types were all sugar of the base value
+        this.lowerDimension.cores = snapshot.cores.map(core => ({ nutrient: 'sugar', ...core }));
+        this.lowerDimension.energies = snapshot.energies.map(energy => ({
+            nutrient: 'sugar',
+            value: this.physics.energyValue,
+            ...energy
+        }));
+        this.coreIndex.rebuild(this.lowerDimension.cores);
+        this.energyIndex.rebuild(this.lowerDimension.energies);
+        this.storms = (snapshot.storms || []).map(storm => ({ ...storm }));
+        this.upperSources = (snapshot.upperSources || []).map(source => ({ ...source }));
+    }
+    
+    /**
+     * Convert snapshot field data to a flat array
+     * Version 1 snapshots stored fields as nested [x][y] arrays
+     */
+    toField(data) {
+        const field = Array.isArray(data[0]) ? data.flat() : data;
+        if (field.length !== this.cellCount) {
+            throw new Error(`Snapshot field has ${field.length} cells, expected ${this.cellCount}`);
+        }
+        return field;
+    }
+    
     /**
      * Reset the world to initial state
      */
@@ -434,11 +1159,13 @@ export class WorldPhysics {
         this.tick = 0;
         this.phase = 'emit';
         this.lowerDimension.temperature = this.generateTemperatureField();
-        this.lowerDimension.catalyser = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(0));
+        this.lowerDimension.catalyser.fill(0);
         this.lowerDimension.energies = [];
-        this.upperDimension.catalyser = Array(this.gridSize).fill().map(() => 
-            Array(this.gridSize).fill().map(() => Math.random() * 2)
-        );
+        this.energyIndex.clear();
+        this.upperDimension.catalyser = this.generateUpperCatalyserField();
+        this.terrain = this.generateTerrain();
         this.initializeCores();
+        this.storms = this.generateStorms();
+        this.upperSources = createUpperSources(this);
     }
 }
\ No newline at end of file
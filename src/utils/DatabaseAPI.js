@@ -10,6 +10,7 @@ export class DatabaseAPI {
         this.baseUrl = baseUrl;
         this.currentSessionId = null;
         this.metricsBatch = [];
+        this.coreEventsBatch = [];
         this.batchSize = 10; // Further reduced batch size to prevent large payloads
         this.flushInterval = 2000; // 2 seconds - even more frequent flushing
         this.isEnabled = true;
@@ -71,8 +72,9 @@ export class DatabaseAPI {
     async endSession(totalTicks, totalEntities, peakFitness) {
         if (!this.isEnabled || !this.currentSessionId) return;
         
-        // Flush any remaining metrics
+        // Flush any remaining metrics and core events
         await this.flushMetricsBatch();
+        await this.flushCoreEvents();
         
         try {
             const response = await fetch(`${this.baseUrl}/api/simulation/session/end`, {
@@ -143,7 +145,7 @@ export class DatabaseAPI {
     /**
      * Record entity birth
      */
-    async recordEntityBirth(entity, generation, tick, parentId = null) {
+    async recordEntityBirth(entity, generation, tick, parentId = null, secondParentId = null) {
         if (!this.isEnabled || !this.currentSessionId) return;
         
         try {
@@ -155,7 +157,8 @@ export class DatabaseAPI {
                     entity,
                     generation,
                     tick,
-                    parentId
+                    parentId,
+                    secondParentId
                 })
             });
         } catch (error) {
@@ -249,7 +252,7 @@ export class DatabaseAPI {
             entity: optimizedEntity,
             tick,
             action,
-            reward: reward ? Math.round(reward * 100) / 100 : null
+            reward: reward === null ? null : Math.round(reward * 10000) / 10000
         });
         
         // Auto-flush if batch is getting large (reduced threshold)
@@ -349,6 +352,38 @@ export class DatabaseAPI {
         }
     }
     
+    /**
+     * Queue a core or energy lifecycle event; sent with the next flush
+     */
+    recordCoreEvent(event) {
+        if (!this.isEnabled || !this.currentSessionId) return;
+        
+        this.coreEventsBatch.push(event);
+    }
+    
+    /**
+     * Send queued core events to the server
+     */
+    async flushCoreEvents() {
+        if (!this.isEnabled || !this.currentSessionId || this.coreEventsBatch.length === 0) return;
+        
+        const events = this.coreEventsBatch;
+        this.coreEventsBatch = [];
+        
+        try {
+            await fetch(`${this.baseUrl}/api/simulation/core-events/batch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    sessionId: this.currentSessionId,
+                    events
+                })
+            });
+        } catch (error) {
+            console.warn('Error flushing core events:', error.message);
+        }
+    }
+    
     /**
      * Start automatic batch flushing
      */
@@ -357,6 +392,9 @@ export class DatabaseAPI {
             if (this.metricsBatch.length > 0) {
                 this.flushMetricsBatch();
             }
+            if (this.coreEventsBatch.length > 0) {
+                this.flushCoreEvents();
+            }
         }, this.flushInterval);
     }
     
@@ -413,6 +451,71 @@ export class DatabaseAPI {
         }
     }
     
+    /**
+     * Upload a full simulation snapshot to a session
+     * @returns {Promise<number|null>} - Snapshot id, or null on failure
+     */
+    async uploadSnapshot(snapshot, label = null, sessionId = this.currentSessionId) {
+        if (!this.isEnabled || !sessionId) return null;
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/api/sessions/${sessionId}/snapshots`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ snapshot, label })
+            });
+            
+            const result = await response.json();
+            if (response.ok) {
+                console.log(`💾 Snapshot ${result.snapshotId} stored for ${sessionId}`);
+                return result.snapshotId;
+            } else {
+                console.error('Failed to upload snapshot:', result.error);
+                return null;
+            }
+        } catch (error) {
+            console.error('Error uploading snapshot:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * List snapshots stored for a session (newest first)
+     */
+    async listSnapshots(sessionId = this.currentSessionId) {
+        if (!this.isEnabled || !sessionId) return [];
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/api/sessions/${sessionId}/snapshots`);
+            const result = await response.json();
+            return result.snapshots || [];
+        } catch (error) {
+            console.error('Error listing snapshots:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Fetch a stored snapshot
+     * @returns {Promise<object|null>} - Snapshot, or null if unavailable
+     */
+    async fetchSnapshot(sessionId, snapshotId) {
+        if (!this.isEnabled) return null;
+        
+        try {
+            const response = await fetch(`${this.baseUrl}/api/sessions/${sessionId}/snapshots/${snapshotId}`);
+            const result = await response.json();
+            if (!response.ok) {
+                console.error('Failed to fetch snapshot:', result.error);
+                return null;
+            }
+            return result.snapshot;
+        } catch (error) {
+            console.error('Error fetching snapshot:', error);
+            return null;
+        }
+    }
+    
     /**
      * Export current session data
      */
@@ -13,6 +13,10 @@
 import Database from 'better-sqlite3';
 import path from 'path';
 import fs from 'fs';
+import zlib from 'zlib';
+
+// Tables keyed by entity id, rebuilt together when migrating to per-session ids
+const ENTITY_KEYED_TABLES = ['entities', 'neural_networks', 'entity_metrics', 'entity_memories'];
 
 export class DatabaseManager {
     constructor(dbPath = 'data/consciousness-evolution.db') {
@@ -52,15 +56,20 @@ export class DatabaseManager {
      * Create all necessary database tables
      */
     createTables() {
+        // Move aside tables created before entity ids were scoped per session
+        this.renameLegacyEntityTables();
+        
         // Main entity tracking table
+        // Keyed per session: seeded replays reuse the same entity ids
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS entities (
-                id TEXT PRIMARY KEY,
+                id TEXT NOT NULL,
                 session_id TEXT NOT NULL,
                 generation INTEGER NOT NULL,
                 birth_tick INTEGER NOT NULL,
                 death_tick INTEGER,
                 parent_id TEXT,
+                second_parent_id TEXT, -- mate of parent_id for crossover births
                 birth_x INTEGER NOT NULL,
                 birth_y INTEGER NOT NULL,
                 death_x INTEGER,
@@ -70,7 +79,8 @@ export class DatabaseManager {
                 age_at_death INTEGER,
                 fitness REAL,
                 cause_of_death TEXT,
-                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (id, session_id)
             );
         `);
         
@@ -86,7 +96,7 @@ export class DatabaseManager {
                 architecture_hash TEXT NOT NULL,
                 total_parameters INTEGER NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (entity_id) REFERENCES entities (id)
+                FOREIGN KEY (entity_id, session_id) REFERENCES entities (id, session_id)
             );
         `);
         
@@ -111,7 +121,7 @@ export class DatabaseManager {
                 field4_avg REAL,
                 field5_avg REAL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (entity_id) REFERENCES entities (id)
+                FOREIGN KEY (entity_id, session_id) REFERENCES entities (id, session_id)
             );
         `);
         
@@ -136,7 +146,7 @@ export class DatabaseManager {
                 energy_at_time REAL NOT NULL,
                 age_at_time INTEGER NOT NULL,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                FOREIGN KEY (entity_id) REFERENCES entities (id)
+                FOREIGN KEY (entity_id, session_id) REFERENCES entities (id, session_id)
             );
         `);
         
@@ -166,7 +176,7 @@ export class DatabaseManager {
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 session_id TEXT NOT NULL,
                 tick INTEGER NOT NULL,
-                event_type TEXT NOT NULL, -- 'birth', 'death', 'mutation'
+                event_type TEXT NOT NULL, -- 'birth', 'death', 'mutation', 'crossover', 'perturbation'
                 entity_id TEXT NOT NULL,
                 parent_id TEXT,
                 fitness REAL,
@@ -177,6 +187,24 @@ export class DatabaseManager {
             );
         `);
         
+        // Core and energy lifecycle (incubation, blooms, moves, harvests)
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS core_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                tick INTEGER NOT NULL,
+                event_type TEXT NOT NULL, -- 'core:bloomed', 'energy:consumed', ... (see CORE_EVENTS)
+                core_id INTEGER NOT NULL,
+                x INTEGER NOT NULL,
+                y INTEGER NOT NULL,
+                nutrient TEXT,
+                entity_id TEXT, -- harvesting entity for energy:consumed
+                value REAL, -- energy value for blooms, harvests and expiries
+                energy_age INTEGER, -- ticks from bloom to harvest
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        
         // Sessions for organizing runs
         this.db.exec(`
             CREATE TABLE IF NOT EXISTS sessions (
@@ -192,10 +220,87 @@ export class DatabaseManager {
             );
         `);
         
+        // Full simulation snapshots for resuming sessions later
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS snapshots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                session_id TEXT NOT NULL,
+                tick INTEGER NOT NULL,
+                label TEXT,
+                snapshot_version INTEGER NOT NULL,
+                snapshot_data BLOB NOT NULL, -- gzip-compressed JSON snapshot
+                size_bytes INTEGER NOT NULL, -- uncompressed JSON size
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (session_id) REFERENCES sessions (id)
+            );
+        `);
+        
+        // Add columns introduced since a database was created
+        this.addMissingColumns();
+        
+        // Copy rows over from any tables moved aside above
+        this.copyLegacyEntityTables();
+        
         // Create indexes for better query performance
         this.createIndexes();
     }
     
+    /**
+     * Rename entity-keyed tables whose entities primary key is the bare id
+     */
+    renameLegacyEntityTables() {
+        const keyColumns = this.db.prepare('PRAGMA table_info(entities)').all()
+            .filter(column => column.pk > 0)
+            .map(column => column.name);
+        if (keyColumns.length === 0 || keyColumns.includes('session_id')) return;
+        
+        this.db.pragma('foreign_keys = OFF');
+        this.db.transaction(() => {
+            ENTITY_KEYED_TABLES.filter(table => this.tableExists(table)).forEach(table => {
+                this.db.exec(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+            });
+        })();
+    }
+    
+    /**
+     * Add columns missing from tables created by an older schema
+     */
+    addMissingColumns() {
+        const columns = this.db.prepare('PRAGMA table_info(entities)').all().map(column => column.name);
+        if (!columns.includes('second_parent_id')) {
+            this.db.exec('ALTER TABLE entities ADD COLUMN second_parent_id TEXT');
+        }
+    }
+    
+    /**
+     * Copy rows from renamed legacy tables into the current schema and drop them
+     */
+    copyLegacyEntityTables() {
+        const legacyTables = ENTITY_KEYED_TABLES.filter(table => this.tableExists(`${table}_legacy`));
+        if (legacyTables.length === 0) return;
+        
+        this.db.pragma('foreign_keys = OFF');
+        this.db.transaction(() => {
+            legacyTables.forEach(table => {
+                const columns = this.db.prepare(`PRAGMA table_info(${table}_legacy)`).all()
+                    .map(column => column.name)
+                    .join(', ');
+                this.db.exec(`INSERT INTO ${table} (${columns}) SELECT ${columns} FROM ${table}_legacy`);
+                this.db.exec(`DROP TABLE ${table}_legacy`);
+            });
+        })();
+        this.db.pragma('foreign_keys = ON');
+        
+        console.log(`🔧 Migrated ${legacyTables.join(', ')} to per-session entity ids`);
+    }
+    
+    /**
+     * Check whether a table exists
+     */
+    tableExists(name) {
+        return !!this.db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+    }
+    
     /**
      * Create database indexes for performance
      */
@@ -209,7 +314,9 @@ export class DatabaseManager {
             'CREATE INDEX IF NOT EXISTS idx_memories_entity ON entity_memories (entity_id)',
             'CREATE INDEX IF NOT EXISTS idx_population_session_tick ON population_stats (session_id, tick)',
             'CREATE INDEX IF NOT EXISTS idx_evolution_session ON evolution_events (session_id)',
-            'CREATE INDEX IF NOT EXISTS idx_evolution_tick ON evolution_events (tick)'
+            'CREATE INDEX IF NOT EXISTS idx_evolution_tick ON evolution_events (tick)',
+            'CREATE INDEX IF NOT EXISTS idx_core_events_session ON core_events (session_id, event_type)',
+            'CREATE INDEX IF NOT EXISTS idx_snapshots_session ON snapshots (session_id)'
         ];
         
         indexes.forEach(indexSQL => {
@@ -250,6 +357,16 @@ export class DatabaseManager {
         stmt.run(totalTicks, totalEntities, peakFitness, sessionId);
     }
     
+    /**
+     * Get a session row with its parsed configuration
+     */
+    getSession(sessionId) {
+        const session = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+        if (!session) return null;
+        
+        return { ...session, config: JSON.parse(session.config) };
+    }
+    
     /**
      * Register initial population entities
      */
@@ -268,13 +385,13 @@ export class DatabaseManager {
     /**
      * Record entity birth
      */
-    recordEntityBirth(sessionId, entity, generation, tick, parentId = null) {
+    recordEntityBirth(sessionId, entity, generation, tick, parentId = null, secondParentId = null) {
         try {
             const stmt = this.db.prepare(`
                 INSERT INTO entities (
-                    id, session_id, generation, birth_tick, parent_id, 
+                    id, session_id, generation, birth_tick, parent_id, second_parent_id,
                     birth_x, birth_y, max_energy
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `);
             
             stmt.run(
@@ -283,6 +400,7 @@ export class DatabaseManager {
                 generation,
                 tick,
                 parentId,
+                secondParentId,
                 entity.x || 0,
                 entity.y || 0,
                 entity.energy || 100
@@ -327,8 +445,9 @@ export class DatabaseManager {
             sessionId
         );
         
-        // Record death event
-        this.recordEvolutionEvent(sessionId, tick, 'death', entity.id, null, entity.fitness);
+        // Record death event, with the entity's diet when known
+        const eventData = entity.nutrientsEaten ? { nutrientsEaten: entity.nutrientsEaten } : null;
+        this.recordEvolutionEvent(sessionId, tick, 'death', entity.id, null, entity.fitness, eventData);
     }
     
     /**
@@ -350,7 +469,13 @@ export class DatabaseManager {
 
             const networkData = this.serializeNeuralNetwork(entity.brain);
             const architecture = entity.brain.getArchitecture();
-            const architectureHash = this.hashString(JSON.stringify(architecture.structure));
+            // Layer shapes plus activation and output head identify an architecture
+            const architectureHash = this.hashString(JSON.stringify({
+                structure: architecture.structure,
+                activation: architecture.activation,
+                outputHead: architecture.outputHead,
+                temperature: architecture.temperature
+            }));
             
             const stmt = this.db.prepare(`
                 INSERT INTO neural_networks (
@@ -515,6 +640,31 @@ export class DatabaseManager {
         );
     }
     
+    /**
+     * Record a core or energy lifecycle event emitted by WorldPhysics
+     */
+    recordCoreEvent(sessionId, event) {
+        const stmt = this.db.prepare(`
+            INSERT INTO core_events (
+                session_id, tick, event_type, core_id, x, y, nutrient,
+                entity_id, value, energy_age
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        
+        stmt.run(
+            sessionId,
+            event.tick,
+            event.type,
+            event.coreId,
+            event.x,
+            event.y,
+            event.nutrient ?? null,
+            event.entityId ?? null,
+            event.value ?? null,
+            event.energyAge ?? null
+        );
+    }
+    
     /**
      * Record evolution events
      */
@@ -543,24 +693,83 @@ export class DatabaseManager {
         );
     }
     
+    /**
+     * Store a full simulation snapshot for a session
+     * Weights are kept at full precision (unlike serializeNeuralNetwork) so a
+     * resumed run continues exactly; gzip keeps the row size manageable.
+     * @returns {number} - Snapshot id
+     */
+    storeSnapshot(sessionId, snapshot, label = null) {
+        const json = JSON.stringify(snapshot);
+        
+        const stmt = this.db.prepare(`
+            INSERT INTO snapshots (session_id, tick, label, snapshot_version, snapshot_data, size_bytes)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        
+        const result = stmt.run(
+            sessionId,
+            snapshot.world?.tick ?? 0,
+            label,
+            snapshot.version,
+            zlib.gzipSync(json),
+            Buffer.byteLength(json)
+        );
+        
+        console.log(`💾 Snapshot stored for ${sessionId} at tick ${snapshot.world?.tick ?? 0}`);
+        return Number(result.lastInsertRowid);
+    }
+    
+    /**
+     * List stored snapshots for a session (metadata only)
+     */
+    listSnapshots(sessionId) {
+        const stmt = this.db.prepare(`
+            SELECT id, session_id, tick, label, snapshot_version, size_bytes, created_at
+            FROM snapshots
+            WHERE session_id = ?
+            ORDER BY created_at DESC, id DESC
+        `);
+        
+        return stmt.all(sessionId);
+    }
+    
+    /**
+     * Load a stored snapshot
+     * @returns {object|null} - Parsed snapshot, or null if not found in the session
+     */
+    getSnapshot(sessionId, snapshotId) {
+        const row = this.db.prepare(`
+            SELECT snapshot_data FROM snapshots WHERE session_id = ? AND id = ?
+        `).get(sessionId, snapshotId);
+        if (!row) return null;
+        
+        return JSON.parse(zlib.gunzipSync(row.snapshot_data).toString('utf8'));
+    }
+    
     /**
      * Serialize neural network to JSON with compression
      */
     serializeNeuralNetwork(network) {
-        // Reduce precision to save space (6 decimal places instead of full precision)
+        // Reduce precision to save space (6 decimal places instead of full precision);
+        // disabled connections stay null
+        const round = (val) => (val === null ? null : Math.round(val * 1000000) / 1000000);
         const compressWeights = (arr) => {
             if (Array.isArray(arr[0])) {
-                return arr.map(row => row.map(val => Math.round(val * 1000000) / 1000000));
+                return arr.map(row => row.map(round));
             }
-            return arr.map(val => Math.round(val * 1000000) / 1000000);
+            return arr.map(round);
         };
         
         const networkData = {
             layers: network.layers.map(layer => ({
                 weights: compressWeights(layer.weights),
-                biases: compressWeights(layer.biases)
+                biases: compressWeights(layer.biases),
+                ids: layer.ids,
+                ...(layer.recurrent && { recurrent: compressWeights(layer.recurrent) })
             })),
             architecture: network.getArchitecture(),
+            learning: network.learning,
             serializedAt: Date.now()
         };
         
@@ -576,15 +785,29 @@ export class DatabaseManager {
         // Create a dummy network with correct architecture
         const architecture = data.architecture;
         const inputSize = architecture.structure[0].inputs;
-        const outputSize = architecture.structure[architecture.structure.length - 1].neurons;
+        const valueHead = architecture.valueHead ?? false;
+        const outputSize = architecture.structure[architecture.structure.length - 1].neurons - (valueHead ? 1 : 0);
         const hiddenSizes = architecture.structure.slice(0, -1).map(layer => layer.neurons);
         
-        const network = new NetworkClass(inputSize, hiddenSizes, outputSize);
+        const network = new NetworkClass(inputSize, hiddenSizes, outputSize, undefined, {
+            activation: architecture.activation,
+            outputHead: architecture.outputHead,
+            temperature: architecture.temperature,
+            recurrent: architecture.recurrent,
+            valueHead,
+            ...data.learning
+        });
         
         // Replace with stored weights and biases
         data.layers.forEach((layerData, index) => {
             network.layers[index].weights = layerData.weights;
             network.layers[index].biases = layerData.biases;
+            if (layerData.ids) {
+                network.layers[index].ids = layerData.ids;
+            }
+            if (layerData.recurrent) {
+                network.layers[index].recurrent = layerData.recurrent;
+            }
         });
         
         return network;
@@ -610,7 +833,7 @@ export class DatabaseManager {
         const stmt = this.db.prepare(`
             SELECT nn.*, e.generation, e.birth_tick, e.death_tick
             FROM neural_networks nn
-            JOIN entities e ON nn.entity_id = e.id
+            JOIN entities e ON nn.entity_id = e.id AND nn.session_id = e.session_id
             WHERE nn.session_id = ? AND nn.entity_id = ?
             ORDER BY nn.tick ASC
         `);
@@ -646,28 +869,31 @@ export class DatabaseManager {
     
     /**
      * Get entity lineage (parent-child relationships)
+     * Follows both parents of crossover births; an entity reached along
+     * several paths is listed once, at its nearest depth
      */
     getEntityLineage(sessionId, entityId, maxDepth = 10) {
         const stmt = this.db.prepare(`
-            WITH RECURSIVE lineage(id, parent_id, generation, depth) AS (
-                SELECT id, parent_id, generation, 0
+            WITH RECURSIVE lineage(id, depth) AS (
+                SELECT id, 0
                 FROM entities 
                 WHERE id = ? AND session_id = ?
                 
-                UNION ALL
+                UNION
                 
-                SELECT e.id, e.parent_id, e.generation, l.depth + 1
+                SELECT e.id, l.depth + 1
                 FROM entities e
-                JOIN lineage l ON e.parent_id = l.id
+                JOIN lineage l ON e.parent_id = l.id OR e.second_parent_id = l.id
                 WHERE l.depth < ? AND e.session_id = ?
             )
-            SELECT e.*, l.depth
+            SELECT e.*, MIN(l.depth) AS depth
             FROM lineage l
-            JOIN entities e ON l.id = e.id
-            ORDER BY l.depth, e.generation
+            JOIN entities e ON l.id = e.id AND e.session_id = ?
+            GROUP BY e.id
+            ORDER BY depth, e.generation
         `);
         
-        return stmt.all(entityId, sessionId, maxDepth, sessionId);
+        return stmt.all(entityId, sessionId, maxDepth, sessionId, sessionId);
     }
     
     /**
@@ -690,7 +916,9 @@ export class DatabaseManager {
             networks: this.db.prepare('SELECT COUNT(*) as count FROM neural_networks').get().count,
             metrics: this.db.prepare('SELECT COUNT(*) as count FROM entity_metrics').get().count,
             memories: this.db.prepare('SELECT COUNT(*) as count FROM entity_memories').get().count,
-            events: this.db.prepare('SELECT COUNT(*) as count FROM evolution_events').get().count
+            events: this.db.prepare('SELECT COUNT(*) as count FROM evolution_events').get().count,
+            coreEvents: this.db.prepare('SELECT COUNT(*) as count FROM core_events').get().count,
+            snapshots: this.db.prepare('SELECT COUNT(*) as count FROM snapshots').get().count
         };
         
         return stats;
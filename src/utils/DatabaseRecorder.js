@@ -0,0 +1,115 @@
+/**
+ * Database Recorder for Node-side Simulation
+ *
+ * Exposes the same recording methods as DatabaseAPI, but writes straight into
+ * a DatabaseManager instead of going through the REST endpoints. Used by the
+ * headless runner so long experiments never depend on the HTTP server.
+ */
+
+export class DatabaseRecorder {
+    constructor(database, options = {}) {
+        this.database = database;
+        this.currentSessionId = null;
+        this.isEnabled = true;
+        this.enableNeuralNetworks = options.enableNeuralNetworks || false;
+        this.metricsInterval = options.metricsInterval || 1; // Record entity metrics every N ticks
+    }
+
+    /**
+     * Start a new simulation session
+     */
+    startSession(name, description, config) {
+        this.currentSessionId = this.database.startSession(name, description, config);
+        return this.currentSessionId;
+    }
+
+    /**
+     * End the current simulation session
+     */
+    endSession(totalTicks, totalEntities, peakFitness) {
+        if (!this.currentSessionId) return;
+
+        this.database.endSession(this.currentSessionId, totalTicks, totalEntities, peakFitness);
+        this.currentSessionId = null;
+    }
+
+    /**
+     * Register initial population entities
+     */
+    registerInitialPopulation(entities, generation = 0, tick = 0) {
+        if (!this.currentSessionId) return;
+
+        this.database.registerInitialPopulation(this.currentSessionId, entities, generation, tick);
+    }
+
+    /**
+     * Record entity birth
+     */
+    recordEntityBirth(entity, generation, tick, parentId = null, secondParentId = null) {
+        if (!this.currentSessionId) return;
+
+        this.database.recordEntityBirth(this.currentSessionId, entity, generation, tick, parentId, secondParentId);
+    }
+
+    /**
+     * Record entity death
+     */
+    recordEntityDeath(entity, tick, causeOfDeath = 'energy_depletion') {
+        if (!this.currentSessionId) return;
+
+        this.database.recordEntityDeath(this.currentSessionId, entity, tick, causeOfDeath);
+    }
+
+    /**
+     * Store neural network snapshot
+     */
+    storeNeuralNetwork(entity, tick, generation) {
+        if (!this.currentSessionId || !this.enableNeuralNetworks) return;
+
+        this.database.storeNeuralNetwork(this.currentSessionId, entity, tick, generation);
+    }
+
+    /**
+     * Record entity metrics, thinned out to every metricsInterval ticks
+     */
+    recordEntityMetrics(entity, tick, action, reward = null) {
+        if (!this.currentSessionId || tick % this.metricsInterval !== 0) return;
+
+        this.database.recordEntityMetrics(this.currentSessionId, entity, tick, action, reward);
+    }
+
+    /**
+     * Record population statistics
+     */
+    recordPopulationStats(tick, stats, worldState) {
+        if (!this.currentSessionId) return;
+
+        this.database.recordPopulationStats(this.currentSessionId, tick, stats, worldState);
+    }
+
+    /**
+     * Record evolution event
+     */
+    recordEvolutionEvent(tick, eventType, entityId, parentId = null, fitness = null, mutationData = null) {
+        if (!this.currentSessionId) return;
+
+        this.database.recordEvolutionEvent(this.currentSessionId, tick, eventType, entityId, parentId, fitness, mutationData);
+    }
+
+    /**
+     * Record a core or energy lifecycle event
+     */
+    recordCoreEvent(event) {
+        if (!this.currentSessionId) return;
+
+        this.database.recordCoreEvent(this.currentSessionId, event);
+    }
+
+    /**
+     * Run a function inside a single database transaction
+     * Wrapping each simulation step keeps per-row inserts from hitting the disk individually
+     */
+    transaction(fn) {
+        return this.database.db.transaction(fn)();
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Single deterministic randomness source for the whole simulation:
+ * - Mulberry32 uniform generator with 32-bit state
+ * - Box-Muller Gaussian sampling with cached spare value
+ * - Integer, choice and identifier helpers
+ *
+ * Running two simulations with the same seed yields identical trajectories,
+ * as long as every random draw goes through the shared instance.
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Pick a fresh seed from the platform generator
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {number} seed - 32-bit unsigned seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+        this.hasSpareGaussian = false;
+        this.spareGaussian = 0;
+    }
+
+    /**
+     * Capture the generator position so a snapshot can resume the sequence
+     */
+    getState() {
+        return {
+            seed: this.seed,
+            state: this.state,
+            hasSpareGaussian: this.hasSpareGaussian,
+            spareGaussian: this.spareGaussian
+        };
+    }
+
+    /**
+     * Restore a position captured by getState()
+     */
+    setState(state) {
+        this.seed = state.seed >>> 0;
+        this.state = state.state >>> 0;
+        this.hasSpareGaussian = state.hasSpareGaussian;
+        this.spareGaussian = state.spareGaussian;
+    }
+
+    /**
+     * Uniform random number in [0, 1) - drop-in replacement for Math.random
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     */
+    choice(array) {
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * Standard normal sample using the Box-Muller transform
+     */
+    gaussian() {
+        if (this.hasSpareGaussian) {
+            this.hasSpareGaussian = false;
+            return this.spareGaussian;
+        }
+
+        let u = 0, v = 0;
+        while (u === 0) u = this.next();
+        while (v === 0) v = this.next();
+
+        const z0 = Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+        const z1 = Math.sqrt(-2.0 * Math.log(u)) * Math.sin(2 * Math.PI * v);
+
+        this.hasSpareGaussian = true;
+        this.spareGaussian = z1;
+        return z0;
+    }
+
+    /**
+     * Random base-36 identifier (same shape as the previous Math.random ids)
+     */
+    id(length = 9) {
+        let id = '';
+        for (let i = 0; i < length; i++) {
+            id += this.nextInt(36).toString(36);
+        }
+        return id;
+    }
+}
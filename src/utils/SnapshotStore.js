@@ -0,0 +1,80 @@
+/**
+ * Snapshot Store - Browser persistence for full simulation snapshots
+ *
+ * Snapshots carry every entity's neural network and run to several megabytes,
+ * well past the localStorage quota, so they are kept in IndexedDB instead.
+ * Each snapshot is stored under a slot name ('latest' by default).
+ */
+
+export class SnapshotStore {
+    constructor(databaseName = 'consciousness-world', storeName = 'snapshots') {
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this environment
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the snapshot database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, 1);
+
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the object store
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Store a snapshot in a slot, replacing any previous one
+     */
+    async save(snapshot, slot = 'latest') {
+        await this.request('readwrite', store => store.put(snapshot, slot));
+    }
+
+    /**
+     * Load the snapshot from a slot
+     * @returns {Promise<object|null>} - Stored snapshot, or null if the slot is empty
+     */
+    async load(slot = 'latest') {
+        const snapshot = await this.request('readonly', store => store.get(slot));
+        return snapshot ?? null;
+    }
+
+    /**
+     * Delete the snapshot in a slot
+     */
+    async remove(slot = 'latest') {
+        await this.request('readwrite', store => store.delete(slot));
+    }
+}
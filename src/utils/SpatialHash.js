@@ -0,0 +1,144 @@
+/**
+ * Spatial Hash - Per-cell index of objects positioned on the world grid
+ *
+ * Features:
+ * - O(1) lookup of the objects occupying a cell
+ * - Bounded neighbourhood queries for radius-limited sensing
+ * - Re-bucketing of moved objects from their previous cell
+ *
+ * Objects must expose integer x and y grid coordinates. Callers own the
+ * objects and tell the hash when they are added, moved or removed.
+ */
+
+const EMPTY = Object.freeze([]);
+
+export class SpatialHash {
+    constructor(gridSize = 100) {
+        this.gridSize = gridSize;
+        this.buckets = new Map();
+    }
+
+    /**
+     * Bucket key for grid position (x, y)
+     */
+    key(x, y) {
+        return x * this.gridSize + y;
+    }
+
+    /**
+     * Remove every object
+     */
+    clear() {
+        this.buckets.clear();
+    }
+
+    /**
+     * Replace the contents with a new list of objects
+     */
+    rebuild(items) {
+        this.buckets.clear();
+        for (const item of items) {
+            this.add(item);
+        }
+    }
+
+    /**
+     * Index an object at its current position
+     */
+    add(item) {
+        const key = this.key(item.x, item.y);
+        const bucket = this.buckets.get(key);
+        if (bucket) {
+            bucket.push(item);
+        } else {
+            this.buckets.set(key, [item]);
+        }
+    }
+
+    /**
+     * Remove an object from the cell it is indexed under
+     * @param {object} item - Indexed object
+     * @param {number} x - Cell the object was indexed at (default: its current x)
+     * @param {number} y - Cell the object was indexed at (default: its current y)
+     */
+    remove(item, x = item.x, y = item.y) {
+        const key = this.key(x, y);
+        const bucket = this.buckets.get(key);
+        if (!bucket) return;
+
+        const index = bucket.indexOf(item);
+        if (index === -1) return;
+
+        bucket.splice(index, 1);
+        if (bucket.length === 0) {
+            this.buckets.delete(key);
+        }
+    }
+
+    /**
+     * Re-index an object that has moved from (oldX, oldY) to its current position
+     */
+    relocate(item, oldX, oldY) {
+        if (item.x === oldX && item.y === oldY) return;
+        this.remove(item, oldX, oldY);
+        this.add(item);
+    }
+
+    /**
+     * Objects occupying a cell, in insertion order (do not mutate)
+     */
+    at(x, y) {
+        return this.buckets.get(this.key(x, y)) || EMPTY;
+    }
+
+    /**
+     * Objects within a square neighbourhood of (x, y), clipped to the grid
+     * @param {number} radius - Chebyshev radius of the neighbourhood
+     * @param {boolean} wrap - Wrap the neighbourhood around the edges (torus)
+     */
+    query(x, y, radius, wrap = false) {
+        if (wrap) {
+            return this.queryWrapped(x, y, radius);
+        }
+
+        const results = [];
+        const xMin = Math.max(0, x - radius);
+        const xMax = Math.min(this.gridSize - 1, x + radius);
+        const yMin = Math.max(0, y - radius);
+        const yMax = Math.min(this.gridSize - 1, y + radius);
+
+        for (let cx = xMin; cx <= xMax; cx++) {
+            for (let cy = yMin; cy <= yMax; cy++) {
+                const bucket = this.buckets.get(this.key(cx, cy));
+                if (bucket) {
+                    results.push(...bucket);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Square neighbourhood on a toroidal grid; each cell is visited once even
+     * when the neighbourhood is wider than the grid
+     */
+    queryWrapped(x, y, radius) {
+        const results = [];
+        const size = this.gridSize;
+        const span = Math.min(2 * radius + 1, size);
+
+        for (let i = 0; i < span; i++) {
+            const cx = (((x - radius + i) % size) + size) % size;
+            for (let j = 0; j < span; j++) {
+                const cy = (((y - radius + j) % size) + size) % size;
+                const bucket = this.buckets.get(this.key(cx, cy));
+                if (bucket) {
+                    results.push(...bucket);
+                }
+            }
+        }
+
+        return results;
+    }
+}
@@ -6,14 +6,19 @@
  * - Simulation controls (start/stop/reset/step)
  * - Entity detail panels
  * - Evolution tracking
+ * - Perturbation timeline
  * - Visual configuration options
+ * - World physics parameter panel
  */
 
+import { DEFAULT_PHYSICS_CONFIG } from '../physics/WorldPhysics.js';
+
 export class UIController {
     constructor() {
         this.isRunning = false;
         this.tickInterval = 200; // ms between ticks
         this.selectedEntity = null;
+        this.heightmapValues = null; // Kept out of the options field, which would show thousands of samples
         
         // UI element references
         this.elements = {
@@ -88,6 +93,122 @@ export class UIController {
         if (exportBtn) {
             exportBtn.addEventListener('click', this.onExportData);
         }
+        
+        // World physics panel
+        const applyPhysicsBtn = document.getElementById('applyPhysics');
+        if (applyPhysicsBtn) {
+            applyPhysicsBtn.addEventListener('click', this.onPhysicsApply);
+        }
+        
+        const defaultPhysicsBtn = document.getElementById('defaultPhysics');
+        if (defaultPhysicsBtn) {
+            defaultPhysicsBtn.addEventListener('click', () => {
+                this.updatePhysicsPanel(DEFAULT_PHYSICS_CONFIG);
+            });
+        }
+        
+        // Options belong to one generator or motion, so clear them on a switch
+        const optionFields = { temperatureGenerator: 'temperatureOptions', temperatureMotion: 'temperatureMotionOptions' };
+        for (const [param, optionsParam] of Object.entries(optionFields)) {
+            const select = document.querySelector(`.physics-control[data-param="${param}"]`);
+            const optionsInput = document.querySelector(`.physics-control[data-param="${optionsParam}"]`);
+            if (select && optionsInput) {
+                select.addEventListener('change', () => {
+                    optionsInput.value = '{}';
+                });
+            }
+        }
+        
+        const heightmapFile = document.getElementById('heightmapFile');
+        if (heightmapFile) {
+            heightmapFile.addEventListener('change', async () => {
+                const file = heightmapFile.files[0];
+                heightmapFile.value = '';
+                if (file) {
+                    await this.loadHeightmap(file);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Show physics parameters in the physics panel
+     */
+    updatePhysicsPanel(physicsConfig) {
+        document.querySelectorAll('.physics-control').forEach(control => {
+            let value = physicsConfig[control.dataset.param];
+            if (value === undefined) return;
+            
+            if (control.dataset.type === 'json') {
+                const { values, ...options } = value;
+                if (values) {
+                    this.heightmapValues = values;
+                }
+                value = JSON.stringify(options);
+            }
+            control.value = value;
+        });
+    }
+    
+    /**
+     * Read physics parameters from the physics panel
+     * @throws {Error} If an options field is not valid JSON
+     */
+    readPhysicsPanel() {
+        const physicsConfig = {};
+        document.querySelectorAll('.physics-control').forEach(control => {
+            const param = control.dataset.param;
+            if (control.dataset.type === 'json') {
+                try {
+                    physicsConfig[param] = JSON.parse(control.value || '{}');
+                } catch (error) {
+                    throw new Error(`${param} is not valid JSON`);
+                }
+            } else {
+                physicsConfig[param] = control.tagName === 'SELECT' ? control.value : parseFloat(control.value);
+            }
+        });
+        
+        if (physicsConfig.temperatureGenerator === 'heightmap' && this.heightmapValues) {
+            physicsConfig.temperatureOptions.values = this.heightmapValues;
+        }
+        
+        return physicsConfig;
+    }
+    
+    /**
+     * Load a grayscale heightmap from an image file into the physics panel
+     * The image is scaled to at most 256 pixels a side and stored as 0-255 samples
+     */
+    async loadHeightmap(file) {
+        try {
+            const bitmap = await createImageBitmap(file);
+            const scale = Math.min(1, 256 / Math.max(bitmap.width, bitmap.height));
+            const width = Math.max(1, Math.round(bitmap.width * scale));
+            const height = Math.max(1, Math.round(bitmap.height * scale));
+            
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(bitmap, 0, 0, width, height);
+            const pixels = ctx.getImageData(0, 0, width, height).data;
+            
+            const values = [];
+            for (let i = 0; i < pixels.length; i += 4) {
+                values.push(Math.round(pixels[i] * 0.299 + pixels[i + 1] * 0.587 + pixels[i + 2] * 0.114));
+            }
+            
+            this.heightmapValues = values;
+            this.updatePhysicsPanel({
+                temperatureGenerator: 'heightmap',
+                temperatureOptions: { width, height }
+            });
+            this.showNotification(`Heightmap loaded (${width}x${height}) - press Apply to use it`, 'info');
+        } catch (error) {
+            console.error('Failed to load heightmap:', error);
+            this.showNotification('Could not read heightmap image', 'error');
+        }
     }
     
     /**
@@ -126,6 +247,7 @@ export class UIController {
             <div>Generation: ${stats.generation}</div>
             <div>Population: ${stats.livingCount}/5 cells alive</div>
             <div>Total Deaths: ${stats.totalDeaths}</div>
+            <div>Death Causes: ${Object.entries(stats.deathCauses || {}).map(([cause, count]) => `${cause} ${count}`).join(', ') || 'none'}</div>
             <div>Best Fitness: ${stats.bestAllTimeFitness}</div>
             <div>Avg Fitness: ${stats.averageFitness}</div>
             <div>Pop. Energy: ${stats.totalEnergy}</div>
@@ -167,12 +289,18 @@ export class UIController {
                 <div>Field3 (Energy Potential): ${immediateData.field3.toFixed(3)}</div>
                 <div>Field4 (Spatial Gradient): ${immediateData.field4.toFixed(3)}</div>
                 <div>Field5 (Life Force): ${immediateData.field5.toFixed(3)}</div>
+                <div>Field6 (Terrain): ${(immediateData.field6 ?? 0).toFixed(3)}</div>
+                <div>Field7 (Upper Catalyser): ${(immediateData.field7 ?? 0).toFixed(3)}</div>
                 <div>Confidence: ${immediateData.confidence.toFixed(3)}</div>
                 <div><strong>Energy: ${Math.round(targetEntity.energy)}</strong></div>
                 <div><strong>Age: ${targetEntity.age}</strong></div>
                 <div><strong>Fitness: ${Math.round(targetEntity.fitness)}</strong></div>
+                <div>Reserves: ${Object.entries(targetEntity.reserves || {}).map(([type, amount]) => `${type} ${amount.toFixed(1)}`).join(', ')}</div>
+                <div>Meals: ${Object.entries(targetEntity.nutrientsEaten || {}).map(([type, count]) => `${type} ${count}`).join(', ')}</div>
                 <div><strong>Memories: ${targetEntity.memory ? targetEntity.memory.length : 0}/${targetEntity.memoryCapacity}</strong></div>
                 <div><strong>Last Action: ${targetEntity.lastAction}</strong></div>
+                ${targetEntity.value !== null && targetEntity.value !== undefined ?
+                    `<div>Expected Return: ${targetEntity.value.toFixed(3)} (TD error ${(targetEntity.tdError ?? 0).toFixed(3)})</div>` : ''}
                 <div><br><strong>Recent Memory:</strong></div>
                 <div style="font-size: 9px;">
                     ${targetEntity.memory && targetEntity.memory.length > 0 ? 
@@ -183,8 +311,9 @@ export class UIController {
                 </div>
                 <div><br><strong>Neural Network:</strong></div>
                 <div style="font-size: 9px;">
-                    Architecture: ${targetEntity.brain.layers.length} layers
-                    <br>Parameters: ${targetEntity.brain.getArchitecture().totalParameters}
+                    Architecture: ${targetEntity.architecture.layers} layers, hidden [${targetEntity.architecture.hiddenSizes.join(', ')}]${targetEntity.architecture.recurrent && targetEntity.architecture.recurrent !== 'none' ? ` (${targetEntity.architecture.recurrent})` : ''}
+                    <br>Activation: ${targetEntity.architecture.activation}, head: ${targetEntity.architecture.outputHead}${targetEntity.architecture.valueHead ? ' + value' : ''}
+                    <br>Parameters: ${targetEntity.architecture.totalParameters}
                 </div>
             `;
         }
@@ -232,6 +361,26 @@ export class UIController {
         `;
     }
     
+    /**
+     * Show scheduled perturbations, marking those already applied
+     */
+    updatePerturbationTimeline(timeline, tick) {
+        const container = document.getElementById('perturbationTimeline');
+        if (!container) return;
+        
+        if (timeline.length === 0) {
+            container.innerHTML = '<div>No perturbations scheduled (set perturbations in the session config)</div>';
+            return;
+        }
+        
+        container.innerHTML = timeline.map(entry => {
+            const status = entry.applied ? '✅' : `⏳ in ${Math.max(0, entry.tick - tick)}`;
+            return `<div class="timeline-entry ${entry.applied ? 'applied' : 'pending'}">
+                <strong>Tick ${entry.tick}</strong> ${entry.description} <span>${status}</span>
+            </div>`;
+        }).join('');
+    }
+    
     /**
      * Toggle simulation running state
      */
@@ -289,6 +438,23 @@ export class UIController {
         document.dispatchEvent(new CustomEvent('forceEvolution'));
     }
     
+    /**
+     * Handle physics panel apply
+     */
+    onPhysicsApply = () => {
+        let physicsConfig;
+        try {
+            physicsConfig = this.readPhysicsPanel();
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+        
+        document.dispatchEvent(new CustomEvent('physicsChange', {
+            detail: { physicsConfig }
+        }));
+    }
+    
     /**
      * Handle data export
      */
@@ -3,12 +3,15 @@
  * 
  * Features:
  * - Canvas-based rendering of world state
- * - Multi-layer visualization (temperature, catalyser, cores, energies, entities)
+ * - Multi-layer visualization (terrain, temperature, catalyser, upper catalyser, cores,
+ *   energies, storms, entities)
  * - Real-time UI updates
  * - Visual debugging and analysis tools
  * - Responsive rendering with proper scaling
  */
 
+import { wrapCoordinate } from '../physics/Topology.js';
+
 export class WorldRenderer {
     constructor(canvasId, gridSize = 100, cellSize = 5) {
         this.canvas = document.getElementById(canvasId);
@@ -17,8 +20,11 @@ export class WorldRenderer {
         this.cellSize = cellSize;
         
         // Visual settings
+        this.showTerrain = true;
+        this.showStorms = true;
         this.showTemperature = true;
         this.showCatalyser = true;
+        this.showUpperCatalyser = false;
         this.showCores = true;
         this.showEnergies = true;
         this.showEntities = true;
@@ -29,6 +35,12 @@ export class WorldRenderer {
         // Entity colors
         this.entityColors = ['#ff0000', '#ff6600', '#ffaa00', '#ffdd00', '#ffff00'];
         
+        // Terrain colors by type (open ground is left unpainted)
+        this.terrainColors = [null, '#1f2937', 'rgba(30, 80, 200, 0.45)', 'rgba(120, 90, 30, 0.45)'];
+        
+        // Energy colour (r, g, b) per nutrient type
+        this.nutrientColors = { sugar: '0, 255, 0', fat: '255, 200, 0', toxin: '200, 0, 255' };
+        
         // Initialize canvas size
         this.canvas.width = gridSize * cellSize;
         this.canvas.height = gridSize * cellSize;
@@ -45,13 +57,31 @@ export class WorldRenderer {
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
         // Render layers in order
+        if (this.showTerrain) this.renderTerrain(world);
         if (this.showTemperature) this.renderTemperature(world);
         if (this.showCatalyser) this.renderCatalyser(world);
+        if (this.showUpperCatalyser) this.renderUpperCatalyser(world);
         if (this.showCores) this.renderCores(world);
         if (this.showEnergies) this.renderEnergies(world);
+        if (this.showStorms) this.renderStorms(world);
         if (this.showEntityPaths) this.renderEntityPaths();
         if (this.showEntities) this.renderEntities(population);
-        if (this.showVision && this.selectedEntity) this.renderVision(this.selectedEntity);
+        if (this.showVision && this.selectedEntity) this.renderVision(this.selectedEntity, world);
+    }
+    
+    /**
+     * Render terrain (walls, water, fertile soil)
+     */
+    renderTerrain(world) {
+        for (let x = 0; x < this.gridSize; x++) {
+            for (let y = 0; y < this.gridSize; y++) {
+                const color = this.terrainColors[world.terrain[world.index(x, y)]];
+                if (color) {
+                    this.ctx.fillStyle = color;
+                    this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+                }
+            }
+        }
     }
     
     /**
@@ -60,7 +90,7 @@ export class WorldRenderer {
     renderTemperature(world) {
         for (let x = 0; x < this.gridSize; x++) {
             for (let y = 0; y < this.gridSize; y++) {
-                const temp = world.lowerDimension.temperature[x][y];
+                const temp = world.lowerDimension.temperature[world.index(x, y)];
                 if (temp > 0.1) { // Only render significant temperatures
                     this.ctx.fillStyle = `rgba(255, 100, 0, ${temp * 0.3})`;
                     this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
@@ -75,7 +105,7 @@ export class WorldRenderer {
     renderCatalyser(world) {
         for (let x = 0; x < this.gridSize; x++) {
             for (let y = 0; y < this.gridSize; y++) {
-                const catalyser = world.lowerDimension.catalyser[x][y];
+                const catalyser = world.lowerDimension.catalyser[world.index(x, y)];
                 if (catalyser > 0.1) { // Only render significant catalyser
                     this.ctx.fillStyle = `rgba(0, 100, 255, ${Math.min(catalyser, 1) * 0.5})`;
                     this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
@@ -84,6 +114,22 @@ export class WorldRenderer {
         }
     }
     
+    /**
+     * Render upper dimension catalyser density, relative to its cap
+     */
+    renderUpperCatalyser(world) {
+        const max = world.upperCatalyserMax ?? world.physics.upperCatalyserMax;
+        for (let x = 0; x < this.gridSize; x++) {
+            for (let y = 0; y < this.gridSize; y++) {
+                const density = world.upperDimension.catalyser[world.index(x, y)] / max;
+                if (density > 0.05) {
+                    this.ctx.fillStyle = `rgba(170, 60, 255, ${Math.min(density, 1) * 0.4})`;
+                    this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+                }
+            }
+        }
+    }
+    
     /**
      * Render cores with state-based colors
      */
@@ -118,12 +164,13 @@ export class WorldRenderer {
                 // Pulsing effect based on age
                 const age = Date.now() - energy.createdAt;
                 const pulse = Math.sin(age * 0.01) * 0.2 + 0.8;
+                const color = this.nutrientColors[energy.nutrient] || this.nutrientColors.sugar;
                 
-                this.ctx.fillStyle = `rgba(0, 255, 0, ${pulse})`;
+                this.ctx.fillStyle = `rgba(${color}, ${pulse})`;
                 this.ctx.fillRect(energy.x * this.cellSize, energy.y * this.cellSize, this.cellSize, this.cellSize);
                 
                 // Add glow effect
-                this.ctx.fillStyle = `rgba(0, 255, 0, ${pulse * 0.3})`;
+                this.ctx.fillStyle = `rgba(${color}, ${pulse * 0.3})`;
                 this.ctx.fillRect(
                     energy.x * this.cellSize - 1, 
                     energy.y * this.cellSize - 1, 
@@ -134,6 +181,25 @@ export class WorldRenderer {
         });
     }
     
+    /**
+     * Render storm zones as shaded discs
+     */
+    renderStorms(world) {
+        const radius = world.stormRadius * this.cellSize;
+        world.storms.forEach(storm => {
+            const centerX = (storm.x + 0.5) * this.cellSize;
+            const centerY = (storm.y + 0.5) * this.cellSize;
+            const gradient = this.ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, radius);
+            gradient.addColorStop(0, 'rgba(180, 190, 255, 0.45)');
+            gradient.addColorStop(1, 'rgba(180, 190, 255, 0)');
+            
+            this.ctx.fillStyle = gradient;
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+            this.ctx.fill();
+        });
+    }
+    
     /**
      * Render conscious entities
      */
@@ -223,16 +289,17 @@ export class WorldRenderer {
     /**
      * Render entity vision cone
      */
-    renderVision(entity) {
+    renderVision(entity, world) {
         if (!entity.vision || entity.vision.length === 0) return;
         
         // Render vision grid
         entity.vision.forEach(visionPoint => {
-            const worldX = entity.x + visionPoint.relativeX;
-            const worldY = entity.y + visionPoint.relativeY;
+            // Map onto the grid the same way the world sensed it
+            const worldX = wrapCoordinate(entity.x + visionPoint.relativeX, this.gridSize, world.topology);
+            const worldY = wrapCoordinate(entity.y + visionPoint.relativeY, this.gridSize, world.topology);
             
-            // Skip out-of-bounds positions
-            if (worldX < 0 || worldX >= this.gridSize || worldY < 0 || worldY >= this.gridSize) return;
+            // Skip positions beyond a bounded edge
+            if (worldX < 0 || worldY < 0) return;
             
             // Color based on confidence
             const alpha = visionPoint.confidence * 0.3;